@@ -97,10 +97,12 @@ const { useState, useEffect, useMemo, useCallback, useRef } = React;
 // 1. 工具函數 (Utilities)
 // ==========================================
 
+// responseSchema：要求以 JSON 回傳並符合指定結構 (不可與 Google 搜尋同時使用)
 const generateGeminiContent = async (
   prompt,
   base64Image = null,
-  useSearch = false
+  useSearch = false,
+  responseSchema = null
 ) => {
   const apiKey = localStorage.getItem("gemini_api_key") || "";
   if (!apiKey) throw new Error("NO_API_KEY");
@@ -119,6 +121,9 @@ const generateGeminiContent = async (
   const payload = {
     contents,
     tools: useSearch ? [{ google_search: {} }] : undefined,
+    generationConfig: responseSchema
+      ? { responseMimeType: "application/json", responseSchema }
+      : undefined,
   };
 
   for (let i = 0; i < 3; i++) {
@@ -188,590 +193,6179 @@ function getDistanceFromLatLonInKm(lat1, lon1, lat2, lon2) {
   return (R * c).toFixed(1);
 }
 
+// --- 交通時間模型 (各交通方式 profile + 可選的 OSRM 路線服務) ---
+// 使用者在「交通設定」調整的數值會覆蓋 index.html 的 TRAVEL_MODE_PROFILES
+// 時速與繞路係數至少為 1 (時速 0 會讓所有抵達時間變成 Infinity)，不合法的覆蓋值一律忽略
+const PROFILE_FIELD_MIN = { speedKmh: 1, detourFactor: 1, bufferMin: 0 };
+const isValidProfileValue = (key, value) =>
+  typeof value === "number" &&
+  isFinite(value) &&
+  value >= (PROFILE_FIELD_MIN[key] ?? 0);
+const getTravelProfiles = (overrides = {}) => {
+  const profiles = {};
+  Object.entries(window.TRAVEL_MODE_PROFILES || {}).forEach(
+    ([mode, profile]) => {
+      const valid = Object.entries(overrides[mode] || {}).filter(
+        ([key, value]) =>
+          !(key in PROFILE_FIELD_MIN) || isValidProfileValue(key, value)
+      );
+      profiles[mode] = { ...profile, ...Object.fromEntries(valid) };
+    }
+  );
+  return profiles;
+};
+const getModeProfile = (mode, profiles) => profiles[mode] || profiles.car;
+
+const routeCacheKey = (osrmProfile, from, to) =>
+  `${osrmProfile}:${from.lat.toFixed(5)},${from.lon.toFixed(5)};${to.lat.toFixed(
+    5
+  )},${to.lon.toFixed(5)}`;
+
+// 有路線快取就用實際路程與時間，否則以直線距離 × 繞路係數估算
+const estimateTravel = (from, to, mode, profiles, routeCache = {}) => {
+  const profile = getModeProfile(mode, profiles);
+  const routed =
+    profile.osrmProfile &&
+    routeCache[routeCacheKey(profile.osrmProfile, from, to)];
+  if (routed)
+    return {
+      distanceKm: routed.distanceKm,
+      minutes: Math.round(routed.durationMin + profile.bufferMin),
+      source: "route",
+    };
+  const distanceKm =
+    parseFloat(getDistanceFromLatLonInKm(from.lat, from.lon, to.lat, to.lon)) *
+    profile.detourFactor;
+  return {
+    distanceKm,
+    minutes: Math.round(
+      (distanceKm / profile.speedKmh) * 60 + profile.bufferMin
+    ),
+    source: "estimate",
+  };
+};
+
+const fetchRoute = async (baseUrl, osrmProfile, from, to) => {
+  const url = `${baseUrl.replace(/\/+$/, "")}/route/v1/${osrmProfile}/${
+    from.lon
+  },${from.lat};${to.lon},${to.lat}?overview=false`;
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Routing Error: ${response.status}`);
+  const result = await response.json();
+  const route = result.routes?.[0];
+  if (result.code !== "Ok" || !route)
+    throw new Error(`Routing Error: ${result.code}`);
+  return {
+    distanceKm: route.distance / 1000,
+    durationMin: route.duration / 60,
+    fetchedAt: Date.now(),
+  };
+};
+
+// --- 天氣預報 (Open-Meteo 相容 API，可切換為本機模擬) ---
+// 快取以「座標 (約 1 km) + 日期」為 key，存一天 24 小時的逐時預報，離線時沿用
+const DEFAULT_WEATHER_URL = "https://api.open-meteo.com/v1/forecast";
+const WEATHER_CACHE_TTL = 3 * 60 * 60 * 1000; // 超過 3 小時且有網路時重新抓取
+const WEATHER_CACHE_KEEP_DAYS = 30;
+
+const weatherCacheKey = (spot, isoDate) =>
+  `${Number(spot.lat).toFixed(2)},${Number(spot.lon).toFixed(2)}@${isoDate}`;
+
+// WMO weather code → WeatherIcon 類型
+const weatherTypeFromCode = (code) => {
+  if (code <= 1) return "sunny";
+  if (code <= 48) return "cloudy";
+  if ((code >= 71 && code <= 77) || code === 85 || code === 86) return "snow";
+  return "rain";
+};
+
+// forecastDays：服務提供預報的日期範圍 (相對今天)，範圍外的天不送出請求
+const WEATHER_PROVIDERS = {
+  "open-meteo": {
+    label: "Open-Meteo",
+    forecastDays: { past: 92, future: 15 },
+    fetchDay: async ({ lat, lon, isoDate, baseUrl }) => {
+      const url = `${(baseUrl || DEFAULT_WEATHER_URL).replace(
+        /\/+$/,
+        ""
+      )}?latitude=${lat}&longitude=${lon}&hourly=temperature_2m,precipitation_probability,precipitation,weather_code&start_date=${isoDate}&end_date=${isoDate}&timezone=auto`;
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`Weather Error: ${response.status}`);
+      const { hourly } = await response.json();
+      if (!hourly || !hourly.time) throw new Error("Weather Error: no data");
+      return {
+        temp: hourly.temperature_2m,
+        precipProb: hourly.precipitation_probability,
+        precip: hourly.precipitation,
+        code: hourly.weather_code,
+      };
+    },
+  },
+  // 不連網的模擬資料：同一地點同一天每次結果相同，方便離線測試畫面
+  stub: {
+    label: "本機模擬",
+    fetchDay: async ({ lat, lon, isoDate }) => {
+      const seed = [...`${lat}${lon}${isoDate}`].reduce(
+        (h, c) => (h * 31 + c.charCodeAt(0)) % 100003,
+        7
+      );
+      const hours = [...Array(24).keys()];
+      const precipProb = hours.map((h) => (seed * (h + 3)) % 101);
+      return {
+        temp: hours.map(
+          (h) =>
+            8 +
+            (seed % 8) +
+            Math.round(6 * Math.sin(((h - 8) / 24) * Math.PI * 2))
+        ),
+        precipProb,
+        precip: precipProb.map((p) => (p > 60 ? Math.round(p / 10) / 10 : 0)),
+        code: precipProb.map((p) => (p > 60 ? 61 : p > 30 ? 3 : 0)),
+      };
+    },
+  },
+};
+
+const isInForecastRange = (provider, isoDate, today) => {
+  if (!provider.forecastDays) return true;
+  const diff = Math.round(
+    (new Date(`${isoDate}T00:00:00`) - new Date(`${today}T00:00:00`)) /
+      (24 * 60 * 60 * 1000)
+  );
+  return (
+    diff >= -provider.forecastDays.past && diff <= provider.forecastDays.future
+  );
+};
+
+// 取出抵達時刻那一小時的預報；沒有日期或沒有快取時回傳 null
+const getSpotWeather = (weatherCache, spot, isoDate, minutes) => {
+  if (!isoDate || !weatherCache) return null;
+  const entry = weatherCache[weatherCacheKey(spot, isoDate)];
+  if (!entry) return null;
+  const hour = Math.min(23, Math.max(0, Math.floor(minutes / 60)));
+  if (entry.temp[hour] === undefined || entry.temp[hour] === null) return null;
+  return {
+    type: weatherTypeFromCode(entry.code[hour]),
+    temp: Math.round(entry.temp[hour]),
+    precipProb: entry.precipProb ? entry.precipProb[hour] : null,
+    precip: entry.precip ? entry.precip[hour] : null,
+    fetchedAt: entry.fetchedAt,
+  };
+};
+
+// 丟掉太久沒更新的預報，避免快取無限增長
+const pruneWeatherCache = (cache) => {
+  const cutoff = Date.now() - WEATHER_CACHE_KEEP_DAYS * 24 * 60 * 60 * 1000;
+  return Object.fromEntries(
+    Object.entries(cache).filter(([, entry]) => entry.fetchedAt >= cutoff)
+  );
+};
+
+// --- 多幣別換算 ---
+// 每筆消費與門票記錄自己的幣別，統計時依消費日期的匯率換算成行程的基準幣別。
+const DEFAULT_BASE_CURRENCY = "TWD"; // 舊版的換算 (totalTwd、1 TWD ≈ x) 都以台幣為準
+
+const getCurrency = (code) =>
+  window.CURRENCY_OPTIONS.find((c) => c.code === code) || {
+    code,
+    symbol: code,
+    label: code,
+  };
+
+// 各幣別記帳到小數第幾位 (CURRENCY_OPTIONS 的 decimals；沒寫的幣別記到分)
+const currencyDecimals = (code) => getCurrency(code).decimals ?? 2;
+const roundAmount = (amount, code) => {
+  const factor = 10 ** currencyDecimals(code);
+  return Math.round(amount * factor) / factor;
+};
+// 輸入框的金額字串 → 依幣別四捨五入的數字；空白或不是數字時為 NaN
+const parseAmount = (value, code) => roundAmount(parseFloat(value), code);
+
+const formatMoney = (amount, code) =>
+  `${getCurrency(code).symbol}${roundAmount(amount, code).toLocaleString(
+    undefined,
+    { maximumFractionDigits: currencyDecimals(code) }
+  )}`;
+
+// 舊紀錄沒有幣別：以載入時的基準幣別補上，之後切換基準幣別才不會改變原本的金額意義
+const stampExpenseCurrency = (expenses, currency) =>
+  Object.fromEntries(
+    Object.entries(expenses).map(([spotId, records]) => [
+      spotId,
+      records.map((r) => (r.currency ? r : { ...r, currency })),
+    ])
+  );
+
+// --- 匯率服務 ---
+// rateTable: { "YYYY-MM-DD": { rates: { EUR: 1, JPY: 162.3, ... }, rateDate, fetchedAt, source } }
+// key 為查詢的日期，rateDate 為服務實際回傳的報價日 (週末會是前一個營業日)；
+// 同一天的 rates 以同一個基準表示，任兩種幣別可交叉換算。
+const DEFAULT_RATE_URL = "https://api.frankfurter.app";
+const RATE_TTL = 12 * 60 * 60 * 1000; // 今天的匯率超過 12 小時且有網路時重新抓取
+const RATE_STALE_AFTER = 24 * 60 * 60 * 1000; // 超過一天沒更新就標示為過期
+
+// 報價缺少的幣別 (例如 ECB 不含台幣) 以本機固定匯率經由兩邊都有的幣別交叉換算補上，
+// 預設的基準幣別 TWD 才換算得動；補上的幣別記在 estimated，畫面標示為估計
+const fillMissingRates = (rates) => {
+  const stub = window.STUB_EXCHANGE_RATES || {};
+  const pivot = Object.keys(stub).find((code) => rates[code] && stub[code]);
+  if (!pivot) return { rates, estimated: [] };
+  const estimated = Object.keys(stub).filter((code) => !rates[code]);
+  const filled = { ...rates };
+  estimated.forEach((code) => {
+    filled[code] = (stub[code] / stub[pivot]) * rates[pivot];
+  });
+  return { rates: filled, estimated };
+};
+
+const RATE_PROVIDERS = {
+  // ECB 格式：GET {url}/latest 或 {url}/YYYY-MM-DD → { base, date, rates }
+  ecb: {
+    label: "ECB 格式 JSON",
+    fetchRates: async ({ baseUrl, isoDate }) => {
+      const response = await fetch(
+        `${(baseUrl || DEFAULT_RATE_URL).replace(/\/+$/, "")}/${isoDate}`
+      );
+      if (!response.ok) throw new Error(`Rate Error: ${response.status}`);
+      const result = await response.json();
+      if (!result.rates || !result.base)
+        throw new Error("Rate Error: invalid response");
+      return {
+        ...fillMissingRates({ ...result.rates, [result.base]: 1 }),
+        rateDate: result.date,
+      };
+    },
+  },
+  // 不連網的固定匯率 (index.html 的 STUB_EXCHANGE_RATES)，離線測試或沒有合適服務時使用
+  stub: {
+    label: "本機固定匯率",
+    fetchRates: async ({ isoDate }) => ({
+      rates: { ...window.STUB_EXCHANGE_RATES },
+      rateDate: isoDate === "latest" ? toLocalIsoDate(new Date()) : isoDate,
+    }),
+  },
+};
+
+// 舊版匯率表直接存 { TWD: 1, JPY: 4.7 }，轉成新格式
+const normalizeRateTable = (table) =>
+  Object.fromEntries(
+    Object.entries(table || {}).map(([date, entry]) => [
+      date,
+      entry.rates
+        ? entry
+        : { rates: entry, rateDate: date, fetchedAt: 0, source: "legacy" },
+    ])
+  );
+
+const rateOverrideKey = (from, to) => `${from}>${to}`;
+
+// 手動匯率優先；否則找最接近 isoDate 且同時有兩種幣別的報價 (同距離時取較早的日期)
+// 回傳 { rate, date (報價日), tableDate (快取 key), fetchedAt, isManual, isEstimated } 或 null
+const findRate = (rateTable, from, to, isoDate, overrides = {}) => {
+  if (from === to) return { rate: 1, date: isoDate, isManual: false };
+  if (overrides[rateOverrideKey(from, to)])
+    return {
+      rate: overrides[rateOverrideKey(from, to)],
+      date: isoDate,
+      isManual: true,
+    };
+  if (overrides[rateOverrideKey(to, from)])
+    return {
+      rate: 1 / overrides[rateOverrideKey(to, from)],
+      date: isoDate,
+      isManual: true,
+    };
+  const target = new Date(`${isoDate}T00:00:00`).getTime();
+  let best = null;
+  Object.entries(rateTable || {}).forEach(([date, entry]) => {
+    const rates = entry.rates || {};
+    if (!rates[from] || !rates[to]) return;
+    const diff = new Date(`${date}T00:00:00`).getTime() - target;
+    const distance = Math.abs(diff) + (diff > 0 ? 0.5 : 0);
+    if (!best || distance < best.distance)
+      best = {
+        rate: rates[to] / rates[from],
+        date: entry.rateDate || date,
+        tableDate: date,
+        fetchedAt: entry.fetchedAt,
+        isManual: false,
+        isEstimated: (entry.estimated || []).some(
+          (code) => code === from || code === to
+        ),
+        distance,
+      };
+  });
+  if (!best) return null;
+  const { distance, ...found } = best;
+  return found;
+};
+
+// 用的不是今天查到的匯率，或查詢時間已超過一天
+const isRateStale = (found, today) =>
+  !!found &&
+  !found.isManual &&
+  (found.tableDate !== today ||
+    Date.now() - (found.fetchedAt || 0) > RATE_STALE_AFTER);
+
+// --- 消費分類與明細彙整 ---
+const getExpenseCategory = (id) => {
+  const categories = window.EXPENSE_CATEGORIES;
+  return (
+    categories.find((c) => c.id === id) || categories[categories.length - 1]
+  );
+};
+
+// AI 回傳的分類不在清單內時歸到「其他」
+const normalizeCategory = (id) => getExpenseCategory(id).id;
+
+// --- 門票票價 (票種、年齡門檻、套票、手續費) ---
+// spot.ticket: { currency, adult, child, senior?, student?, infant?,
+//   ages?: { infantMax, childMax, seniorMin },
+//   packages?: [{ id, label, price, adults, children }],
+//   bookingFee?: { amount, per: "order" | "person" } }
+const TICKET_TIERS = [
+  { id: "adult", label: "大人" },
+  { id: "child", label: "小孩" },
+  { id: "senior", label: "敬老" },
+  { id: "student", label: "學生" },
+  { id: "infant", label: "幼兒" },
+];
+const DEFAULT_TICKET_AGES = { infantMax: 2, childMax: 12, seniorMin: 65 };
+
+const hasTicketPrice = (ticket, tier) =>
+  ticket[tier] !== undefined && ticket[tier] !== null && ticket[tier] !== "";
+
+// 任一票種有票價、有套票或有手續費才算有門票
+const hasTicketPricing = (ticket) =>
+  !!ticket &&
+  (TICKET_TIERS.some((t) => Number(ticket[t.id]) > 0) ||
+    (ticket.packages || []).length > 0 ||
+    ticket.bookingFee?.amount > 0);
+
+// 編輯時沒有任何票價、幣別與年齡設定才移除 spot.ticket，清空單一欄位重打不會丟掉其他設定
+const normalizeTicket = (ticket) =>
+  hasTicketPricing(ticket) || ticket.currency || ticket.ages
+    ? ticket
+    : undefined;
+
+// 敬老、學生沒有另外定價時買全票；幼兒沒有定價時免費
+const ticketUnitPrice = (ticket, tier) => {
+  if (hasTicketPrice(ticket, tier)) return Number(ticket[tier]) || 0;
+  return tier === "infant" ? 0 : Number(ticket.adult) || 0;
+};
+
+// 依年齡門檻決定旅客的票種；沒填年齡視為大人
+const classifyTraveller = (traveller, ticket) => {
+  const ages = { ...DEFAULT_TICKET_AGES, ...(ticket.ages || {}) };
+  const age =
+    traveller.age === "" ||
+    traveller.age === null ||
+    traveller.age === undefined
+      ? null
+      : Number(traveller.age);
+  if (age !== null) {
+    if (age <= ages.infantMax) return "infant";
+    if (age <= ages.childMax) return "child";
+    if (age >= ages.seniorMin && hasTicketPrice(ticket, "senior"))
+      return "senior";
+  }
+  if (traveller.student && hasTicketPrice(ticket, "student")) return "student";
+  return "adult";
+};
+
+// 預設張數：有同行旅客時依年齡分票種，否則用分帳成員的大人 / 小孩人數；兩者都沒有時為 0 張
+const defaultTicketCounts = (ticket, party, participants) => {
+  if (party.length > 0) {
+    const counts = {};
+    party.forEach((t) => {
+      const tier = classifyTraveller(t, ticket);
+      counts[tier] = (counts[tier] || 0) + 1;
+    });
+    return counts;
+  }
+  if (participants.length > 0)
+    return {
+      adult: participants.reduce((sum, p) => sum + (p.adults || 0), 0),
+      child: participants.reduce((sum, p) => sum + (p.children || 0), 0),
+    };
+  return {};
+};
+
+// stored 為 spot_tickets 裡手動調整過的張數 (與付款人)，覆蓋預設值
+const resolveTicketCounts = (ticket, stored, party, participants) => {
+  const overrides = Object.fromEntries(
+    TICKET_TIERS.filter((t) => stored && stored[t.id] !== undefined).map(
+      (t) => [t.id, stored[t.id]]
+    )
+  );
+  return {
+    ...defaultTicketCounts(ticket, party, participants),
+    ...overrides,
+    paidBy: stored?.paidBy,
+    isCustom: Object.keys(overrides).length > 0,
+  };
+};
+
+// 拆成票價明細：套票比單買便宜時優先使用，剩下的人買各自的票種，最後加上手續費
+const priceTicket = (ticket, counts) => {
+  const remaining = Object.fromEntries(
+    TICKET_TIERS.map((t) => [t.id, counts[t.id] || 0])
+  );
+  const parts = [];
+  const singlePrice = (pkg) =>
+    (pkg.adults || 0) * ticketUnitPrice(ticket, "adult") +
+    (pkg.children || 0) * ticketUnitPrice(ticket, "child");
+  (ticket.packages || [])
+    .filter(
+      (pkg) => pkg.price > 0 && (pkg.adults || 0) + (pkg.children || 0) > 0
+    )
+    .sort((a, b) => singlePrice(b) - b.price - (singlePrice(a) - a.price))
+    .forEach((pkg) => {
+      if (pkg.price >= singlePrice(pkg)) return;
+      let qty = 0;
+      while (
+        remaining.adult >= (pkg.adults || 0) &&
+        remaining.child >= (pkg.children || 0)
+      ) {
+        remaining.adult -= pkg.adults || 0;
+        remaining.child -= pkg.children || 0;
+        qty++;
+      }
+      if (qty > 0)
+        parts.push({
+          id: pkg.id,
+          label: pkg.label || "套票",
+          qty,
+          amount: qty * pkg.price,
+        });
+    });
+  TICKET_TIERS.forEach((tier) => {
+    if (remaining[tier.id] > 0)
+      parts.push({
+        id: tier.id,
+        label: tier.label,
+        qty: remaining[tier.id],
+        amount: remaining[tier.id] * ticketUnitPrice(ticket, tier.id),
+      });
+  });
+  const fee = ticket.bookingFee;
+  if (fee && fee.amount > 0) {
+    // 按人數收的手續費不算免費入場的幼兒
+    const persons = TICKET_TIERS.reduce(
+      (sum, t) =>
+        sum +
+        (t.id === "infant" && ticketUnitPrice(ticket, "infant") === 0
+          ? 0
+          : counts[t.id] || 0),
+      0
+    );
+    const qty = fee.per === "person" ? persons : 1;
+    if (qty > 0)
+      parts.push({
+        id: "fee",
+        label: "手續費",
+        qty,
+        amount: qty * fee.amount,
+      });
+  }
+  return {
+    parts,
+    total: parts.reduce((sum, part) => sum + part.amount, 0),
+  };
+};
+
+const formatTicketParts = (parts) =>
+  parts
+    .map((part) =>
+      part.id === "fee" && part.qty === 1
+        ? part.label
+        : `${part.label} ${part.qty}`
+    )
+    .join("、");
+
+// 門票依實際購買的張數 (含手動調整) 分攤：每個票種的原價總額平均分給持該票種的旅客，
+// 沒有人持有的票種 (多買的票) 由全體平均分擔。套票折扣與手續費按這個比例一起分攤。
+// 成員有對應旅客時依旅客年齡分票種，否則用成員的大人 / 小孩人數
+const ticketMemberWeights = (ticket, counts, party, participants) => {
+  const holders = [];
+  participants.forEach((p) => {
+    const linked = party.filter((t) => t.memberId === p.id);
+    if (linked.length > 0)
+      linked.forEach((t) =>
+        holders.push({ memberId: p.id, tier: classifyTraveller(t, ticket) })
+      );
+    else {
+      for (let i = 0; i < (p.adults || 0); i++)
+        holders.push({ memberId: p.id, tier: "adult" });
+      for (let i = 0; i < (p.children || 0); i++)
+        holders.push({ memberId: p.id, tier: "child" });
+    }
+  });
+  const weights = {};
+  if (holders.length === 0) return weights;
+  TICKET_TIERS.forEach((tier) => {
+    const value = (counts[tier.id] || 0) * ticketUnitPrice(ticket, tier.id);
+    if (value <= 0) return;
+    const tierHolders = holders.filter((h) => h.tier === tier.id);
+    const sharedBy = tierHolders.length > 0 ? tierHolders : holders;
+    sharedBy.forEach((h) => {
+      weights[h.memberId] =
+        (weights[h.memberId] || 0) + value / sharedBy.length;
+    });
+  });
+  return weights;
+};
+
+// --- 帳本 (不屬於任何景點的消費) ---
+// 與景點消費同樣存在 expenses，以保留的 key 區分：整趟行程 (行前預訂、共用花費) 與每天的雜支
+// (油資、過路費、路邊停車)。統計與報表把它們當成虛擬的一天 / 一個景點處理
+const TRIP_LEDGER_ID = "__trip__";
+const dayLedgerId = (dayId) => `__day__:${dayId}`;
+const TRIP_LEDGER_SPOT = {
+  id: TRIP_LEDGER_ID,
+  name: "行程共用",
+  dayLabel: "整趟行程",
+  isLedger: true,
+};
+const TRIP_LEDGER_DAY = {
+  dayId: TRIP_LEDGER_ID,
+  date: "整趟行程",
+  title: "行前預訂與共用花費",
+  spots: [TRIP_LEDGER_SPOT],
+};
+const dayLedgerSpot = (day) => ({
+  id: dayLedgerId(day.dayId),
+  name: "當日雜支",
+  dayLabel: day.date,
+  isLedger: true,
+});
+// 在天數前加上整趟行程帳本，並在每天的景點後加上當日雜支
+const withLedgers = (days) => [
+  TRIP_LEDGER_DAY,
+  ...days.map((day) => ({ ...day, spots: [...day.spots, dayLedgerSpot(day)] })),
+];
+
+// 把行程的景點消費、帳本與門票攤平成明細，統計、明細彈窗共用。
+// 每筆附上 baseAmount (換算成基準幣別)，找不到匯率時為 null。
+// tickets: { counts (spot_tickets), party, participants }
+const collectExpenseLines = (
+  days,
+  expenses,
+  tickets,
+  { baseCurrency, rateTable, rateOverrides }
+) => {
+  const { counts: storedCounts = {}, party = [], participants = [] } = tickets;
+  const today = toLocalIsoDate(new Date());
+  const lines = [];
+  const pushLine = (line) => {
+    const found = findRate(
+      rateTable,
+      line.currency,
+      baseCurrency,
+      line.spendDate,
+      rateOverrides
+    );
+    lines.push({
+      ...line,
+      baseAmount: found ? line.amount * found.rate : null,
+    });
+  };
+  withLedgers(days).forEach((day) =>
+    day.spots.forEach((spot) => {
+      (expenses[spot.id] || []).forEach((r) =>
+        pushLine({
+          ...r,
+          amount: r.amount || 0,
+          currency: r.currency || baseCurrency,
+          spendDate: toLocalIsoDate(new Date(r.timestamp || r.id)),
+          category: normalizeCategory(r.category),
+          dayId: day.dayId,
+          spotId: spot.id,
+          spotName: spot.name,
+        })
+      );
+      if (hasTicketPricing(spot.ticket)) {
+        const counts = resolveTicketCounts(
+          spot.ticket,
+          storedCounts[spot.id],
+          party,
+          participants
+        );
+        const { parts, total } = priceTicket(spot.ticket, counts);
+        if (total > 0)
+          pushLine({
+            id: `t-${spot.id}`,
+            amount: total,
+            currency: spot.ticket.currency || baseCurrency,
+            spendDate: day.isoDate || today,
+            note: `門票 (${formatTicketParts(parts)})`,
+            category: "tickets",
+            paidBy: counts.paidBy,
+            split: {
+              type: "tickets",
+              shares: ticketMemberWeights(
+                spot.ticket,
+                counts,
+                party,
+                participants
+              ),
+            },
+            dayId: day.dayId,
+            spotId: spot.id,
+            spotName: spot.name,
+            timestamp: 0,
+            isTicket: true,
+          });
+      }
+    })
+  );
+  return lines;
+};
+
+const sumBaseAmount = (lines) =>
+  lines.reduce((sum, line) => sum + (line.baseAmount || 0), 0);
+
+// 依分類加總 (基準幣別)，依金額由大到小排序並略過 0 元的分類
+const sumByCategory = (lines) =>
+  window.EXPENSE_CATEGORIES.map((category) => ({
+    ...category,
+    total: sumBaseAmount(lines.filter((line) => line.category === category.id)),
+  }))
+    .filter((c) => c.total > 0)
+    .sort((a, b) => b.total - a.total);
+
+// --- 消費搜尋與篩選 (明細彈窗與報表匯出共用) ---
+// 金額範圍以基準幣別計；時間範圍是一天中的時段 (可跨午夜)，沒有消費時間的門票會被排除。
+// spotIds / label 來自圖表點選的「其他景點」等多個景點
+const EMPTY_EXPENSE_FILTER = {
+  text: "",
+  dayId: "",
+  spotId: "",
+  category: "",
+  minAmount: "",
+  maxAmount: "",
+  fromTime: "",
+  toTime: "",
+  spotIds: null,
+  label: "",
+};
+
+const countActiveFilters = (filter) =>
+  [
+    filter.text.trim(),
+    filter.dayId,
+    filter.spotId,
+    filter.category,
+    filter.minAmount !== "" || filter.maxAmount !== "",
+    filter.fromTime || filter.toTime,
+    filter.spotIds,
+  ].filter(Boolean).length;
+
+const filterExpenseLines = (lines, filter) => {
+  const text = filter.text.trim().toLowerCase();
+  const min = filter.minAmount === "" ? null : Number(filter.minAmount);
+  const max = filter.maxAmount === "" ? null : Number(filter.maxAmount);
+  const from = filter.fromTime ? timeToMinutes(filter.fromTime) : null;
+  const to = filter.toTime ? timeToMinutes(filter.toTime) : null;
+  const inTimeRange = (m) => {
+    if (from !== null && to !== null && from > to) return m >= from || m <= to;
+    return (from === null || m >= from) && (to === null || m <= to);
+  };
+  return lines.filter((line) => {
+    if (filter.dayId && line.dayId !== filter.dayId) return false;
+    if (filter.spotId && line.spotId !== filter.spotId) return false;
+    if (filter.spotIds && !filter.spotIds.includes(line.spotId)) return false;
+    if (filter.category && line.category !== filter.category) return false;
+    if (
+      text &&
+      ![line.note, line.spotName, line.store].some(
+        (v) => v && v.toLowerCase().includes(text)
+      )
+    )
+      return false;
+    if (min !== null || max !== null) {
+      if (line.baseAmount === null) return false;
+      if (min !== null && line.baseAmount < min) return false;
+      if (max !== null && line.baseAmount > max) return false;
+    }
+    if (from !== null || to !== null) {
+      if (line.isTicket) return false;
+      const d = new Date(line.timestamp || line.id);
+      if (!inTimeRange(d.getHours() * 60 + d.getMinutes())) return false;
+    }
+    return true;
+  });
+};
+
+// 篩選條件的文字說明 (報表標題用)
+const describeExpenseFilter = (filter, tripDays, baseCurrency) => {
+  const days = withLedgers(tripDays);
+  const day = days.find((d) => d.dayId === filter.dayId);
+  const spot = days.flatMap((d) => d.spots).find((s) => s.id === filter.spotId);
+  const amount =
+    filter.minAmount !== "" || filter.maxAmount !== ""
+      ? `${baseCurrency} ${filter.minAmount || 0}–${filter.maxAmount || "∞"}`
+      : "";
+  const time =
+    filter.fromTime || filter.toTime
+      ? `${filter.fromTime || "00:00"}–${filter.toTime || "24:00"}`
+      : "";
+  return [
+    day && day.date,
+    spot && spot.name,
+    filter.spotIds && filter.label,
+    filter.category && getExpenseCategory(filter.category).label,
+    filter.text.trim() && `「${filter.text.trim()}」`,
+    amount,
+    time,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+};
+
+// --- 預算 (整趟、每天、每個分類；皆以基準幣別計) ---
+const EMPTY_BUDGETS = { total: null, days: {}, categories: {} };
+const BUDGET_WARN_RATIO = 0.8; // 用到八成顯示提醒色
+
+const budgetStatus = (spent, budget) => {
+  const ratio = budget > 0 ? spent / budget : 0;
+  return {
+    ratio,
+    remaining: budget - spent,
+    level: ratio > 1 ? "over" : ratio >= BUDGET_WARN_RATIO ? "warn" : "ok",
+  };
+};
+
+// 加入 newLines 後會超支的預算 (只列出這次新增金額有影響的項目)
+const findBudgetOverruns = (budgets, lines, newLines, days) => {
+  const overruns = [];
+  const check = (label, budget, match) => {
+    if (!(budget > 0)) return;
+    const added = sumBaseAmount(newLines.filter(match));
+    if (added <= 0) return;
+    const spent = sumBaseAmount(lines.filter(match)) + added;
+    if (spent > budget) overruns.push({ label, budget, spent });
+  };
+  check("整趟旅程", budgets.total, () => true);
+  Object.entries(budgets.days || {}).forEach(([dayId, budget]) => {
+    const day = days.find((d) => d.dayId === dayId);
+    if (day) check(day.date, budget, (line) => line.dayId === dayId);
+  });
+  Object.entries(budgets.categories || {}).forEach(([id, budget]) =>
+    check(getExpenseCategory(id).label, budget, (line) => line.category === id)
+  );
+  return overruns;
+};
+
+// --- 分帳 (成員、付款人、分攤方式、結算) ---
+// 成員可以是一個人或一整個家庭，adults / children 為人數
+const SPLIT_TYPES = [
+  { id: "equal", label: "平分" },
+  { id: "shares", label: "比例" },
+  { id: "exact", label: "指定金額" },
+];
+const DEFAULT_SPLIT = { type: "equal", excluded: [] };
+
+const participantHeadcount = (p) => (p.adults || 0) + (p.children || 0);
+
+// 一筆明細在成員間的分攤 (基準幣別)；沒有付款人、沒有匯率或沒有人分攤時回傳 null。
+// 指定金額以原幣別輸入，這裡按比例換算，存檔時已確認合計等於消費金額
+const splitExpenseLine = (line, participants) => {
+  if (line.baseAmount === null) return null;
+  if (!participants.some((p) => p.id === line.paidBy)) return null;
+  const split = line.split || DEFAULT_SPLIT;
+  const included = participants.filter(
+    (p) => !(split.excluded || []).includes(p.id)
+  );
+  if (included.length === 0) return null;
+  const weightOf = (p) => {
+    if (split.type === "tickets") return split.shares[p.id] || 0;
+    if (split.type === "shares")
+      return split.shares?.[p.id] ?? participantHeadcount(p);
+    if (split.type === "exact") return split.amounts?.[p.id] || 0;
+    return 1;
+  };
+  let weights = included.map(weightOf);
+  let total = weights.reduce((sum, w) => sum + w, 0);
+  if (total <= 0) {
+    weights = included.map(() => 1);
+    total = included.length;
+  }
+  return Object.fromEntries(
+    included.map((p, i) => [p.id, (line.baseAmount * weights[i]) / total])
+  );
+};
+
+// 每位成員已付、應分攤與差額 (balance > 0 表示別人要還他)
+const computeBalances = (lines, participants) => {
+  const totals = Object.fromEntries(
+    participants.map((p) => [p.id, { paid: 0, owed: 0 }])
+  );
+  let unassignedCount = 0;
+  lines.forEach((line) => {
+    const shares = splitExpenseLine(line, participants);
+    if (!shares) {
+      if (line.baseAmount) unassignedCount++;
+      return;
+    }
+    totals[line.paidBy].paid += line.baseAmount;
+    Object.entries(shares).forEach(([id, amount]) => {
+      totals[id].owed += amount;
+    });
+  });
+  return {
+    balances: participants.map((p) => ({
+      ...p,
+      ...totals[p.id],
+      balance: totals[p.id].paid - totals[p.id].owed,
+    })),
+    unassignedCount,
+  };
+};
+
+// 結算轉帳：每次由欠最多的人付給被欠最多的人，k 個人最多 k-1 筆
+const greedySettle = (people) => {
+  const creditors = people.filter((p) => p.units > 0).map((p) => ({ ...p }));
+  const debtors = people
+    .filter((p) => p.units < 0)
+    .map((p) => ({ id: p.id, units: -p.units }));
+  const transfers = [];
+  while (creditors.length && debtors.length) {
+    creditors.sort((a, b) => b.units - a.units);
+    debtors.sort((a, b) => b.units - a.units);
+    const units = Math.min(creditors[0].units, debtors[0].units);
+    transfers.push({ from: debtors[0].id, to: creditors[0].id, units });
+    creditors[0].units -= units;
+    debtors[0].units -= units;
+    if (creditors[0].units === 0) creditors.shift();
+    if (debtors[0].units === 0) debtors.shift();
+  }
+  return transfers;
+};
+
+const SETTLE_EXACT_LIMIT = 16; // 超過這個人數改用貪婪法，避免 2^n 的搜尋卡住畫面
+
+// 把有差額的人分成最多組「彼此抵銷」的小組 (n 人、g 組時最少需要 n-g 筆轉帳)。
+// dp[mask] 為 mask 內最多能分幾組；沿著 dp 回推出排列順序，合計為 0 的前綴就是分組邊界
+const zeroSumGroups = (people) => {
+  const n = people.length;
+  const size = 1 << n;
+  const sums = new Array(size).fill(0);
+  const dp = new Array(size).fill(0);
+  for (let mask = 1; mask < size; mask++) {
+    const low = Math.log2(mask & -mask);
+    sums[mask] = sums[mask & (mask - 1)] + people[low].units;
+    let best = 0;
+    for (let i = 0; i < n; i++)
+      if (mask & (1 << i)) best = Math.max(best, dp[mask ^ (1 << i)]);
+    dp[mask] = best + (sums[mask] === 0 ? 1 : 0);
+  }
+  const order = [];
+  let mask = size - 1;
+  while (mask) {
+    const target = dp[mask] - (sums[mask] === 0 ? 1 : 0);
+    const i = people.findIndex(
+      (_, idx) => mask & (1 << idx) && dp[mask ^ (1 << idx)] === target
+    );
+    order.unshift(people[i]);
+    mask ^= 1 << i;
+  }
+  const groups = [];
+  let current = [];
+  let sum = 0;
+  order.forEach((p) => {
+    current.push(p);
+    sum += p.units;
+    if (sum === 0) {
+      groups.push(current);
+      current = [];
+    }
+  });
+  return groups;
+};
+
+// 結算轉帳：找出筆數最少的轉帳方式。差額以基準幣別的最小單位 (台幣 1 元、美金 1 分) 計算，
+// 不到最小單位的差額視為已結清；四捨五入造成的尾差併入差額最大的人
+const settleUp = (balances, decimals = 0) => {
+  const factor = 10 ** decimals;
+  const people = balances
+    .map((b) => ({ id: b.id, units: Math.round(b.balance * factor) }))
+    .filter((p) => p.units !== 0);
+  if (people.length === 0) return [];
+  const residual = people.reduce((sum, p) => sum + p.units, 0);
+  if (residual !== 0) {
+    const largest = people.reduce((a, b) =>
+      Math.abs(b.units) > Math.abs(a.units) ? b : a
+    );
+    largest.units -= residual;
+  }
+  const settled = people.filter((p) => p.units !== 0);
+  const groups =
+    settled.length <= SETTLE_EXACT_LIMIT ? zeroSumGroups(settled) : [settled];
+  return groups
+    .flatMap(greedySettle)
+    .map(({ units, ...t }) => ({ ...t, amount: units / factor }));
+};
+
+// --- 消費修改紀錄 ---
+const EXPENSE_FIELD_LABELS = {
+  amount: "金額",
+  currency: "幣別",
+  note: "備註",
+  timestamp: "時間",
+  category: "分類",
+  spotId: "景點",
+};
+
+const UNDO_DELETE_LIMIT = 5; // 可連續復原的刪除筆數
+
+// 套用修改並在 history 記下每個欄位的前後值；沒有任何變動時回傳原紀錄
+const applyExpenseEdit = (record, patch, move) => {
+  const changes = {};
+  Object.entries(patch).forEach(([field, value]) => {
+    if (record[field] !== value)
+      changes[field] = { from: record[field], to: value };
+  });
+  if (move && move.from !== move.to)
+    changes.spotId = { from: move.from, to: move.to };
+  if (Object.keys(changes).length === 0) return record;
+  return {
+    ...record,
+    ...patch,
+    history: [...(record.history || []), { at: Date.now(), changes }],
+  };
+};
+
+// <input type="datetime-local"> 的值 (本地時間)
+const toDateTimeLocal = (ts) => {
+  const date = new Date(ts);
+  return `${toLocalIsoDate(date)}T${String(date.getHours()).padStart(
+    2,
+    "0"
+  )}:${String(date.getMinutes()).padStart(2, "0")}`;
+};
+
+// 產生不依賴位置的唯一 ID (天數、景點等)
+const createId = (prefix) =>
+  `${prefix}-${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .slice(2, 6)}`;
+
+// --- 營業時間 ---
+// spot.hours: "09:00-17:00" 或 "11:00-14:00, 17:00-21:00" (每天)
+// spot.hoursByDay: { 6: "09:00-18:00" } 依星期覆蓋 (0 = 週日)；spot.closedDays: [1] 公休日
+const WEEKDAY_LABELS = ["日", "一", "二", "三", "四", "五", "六"];
+
+const formatDayLabel = (isoDate) => {
+  const d = new Date(`${isoDate}T00:00:00`);
+  return `${d.getMonth() + 1}/${String(d.getDate()).padStart(2, "0")} (${
+    WEEKDAY_LABELS[d.getDay()]
+  })`;
+};
+
+const toLocalIsoDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(date.getDate()).padStart(2, "0")}`;
+
+// 優先使用 day.isoDate，否則從 "12/24 (三)" 這類標籤取出星期；無法判斷時回傳 null
+const getDayWeekday = (day) => {
+  if (day.isoDate) {
+    const d = new Date(`${day.isoDate}T00:00:00`);
+    if (!isNaN(d.getTime())) return d.getDay();
+  }
+  const m = (day.date || "").match(/[(（]([日天一二三四五六])[)）]/);
+  if (!m) return null;
+  return m[1] === "天" ? 0 : WEEKDAY_LABELS.indexOf(m[1]);
+};
+
+const parseHoursWindows = (text) => {
+  if (!text || !text.trim()) return null;
+  if (/休|closed/i.test(text)) return [];
+  return text
+    .split(/[,，、]/)
+    .map((range) =>
+      range.trim().match(/^(\d{1,2}:\d{2})\s*[-~–]\s*(\d{1,2}:\d{2})$/)
+    )
+    .filter(Boolean)
+    .map((m) => {
+      const open = timeToMinutes(m[1]);
+      let close = timeToMinutes(m[2]);
+      if (close <= open) close += 24 * 60; // 營業到隔天凌晨
+      return { open, close };
+    });
+};
+
+const getSpotHours = (spot, weekday) => {
+  if (weekday !== null && (spot.closedDays || []).includes(weekday))
+    return { text: "公休", windows: [] };
+  const text =
+    (weekday !== null && spot.hoursByDay && spot.hoursByDay[weekday]) ||
+    spot.hours;
+  const windows = parseHoursWindows(text);
+  return windows ? { text, windows } : null;
+};
+
+// 回傳 null (沒問題或沒有營業資訊) 或 { type: "closed" | "closesDuringStay" | "early", label }
+const checkOpeningHours = (spot, weekday, arrivalMin, stayMin) => {
+  const hours = getSpotHours(spot, weekday);
+  if (!hours) return null;
+  if (hours.windows.length === 0)
+    return {
+      type: "closed",
+      label:
+        weekday === null
+          ? "抵達當天公休"
+          : `抵達當天公休 (週${WEEKDAY_LABELS[weekday]})`,
+    };
+  const current = hours.windows.find(
+    (w) => arrivalMin >= w.open && arrivalMin < w.close
+  );
+  if (current) {
+    if (arrivalMin + stayMin > current.close)
+      return {
+        type: "closesDuringStay",
+        label: `停留期間打烊 (${minutesToTimeStr(current.close)})`,
+      };
+    return null;
+  }
+  const next = hours.windows
+    .filter((w) => w.open > arrivalMin)
+    .sort((a, b) => a.open - b.open)[0];
+  if (next)
+    return {
+      type: "early",
+      label: `早到 ${next.open - arrivalMin} 分鐘 (${minutesToTimeStr(
+        next.open
+      )} 開門)`,
+    };
+  return { type: "closed", label: "抵達時已打烊" };
+};
+
+// spot.ticketTime: 預約入場時間 (例如 "14:00")，抵達晚於此時間視為違規
+const checkTicketTime = (spot, arrivalMin) => {
+  if (!spot.ticketTime) return null;
+  if (arrivalMin <= timeToMinutes(spot.ticketTime)) return null;
+  return { type: "lateForTicket", label: `晚於預約入場 (${spot.ticketTime})` };
+};
+
+// --- 行程瀑布流：依出發時間、停留與交通推算每個景點的抵達時間 ---
+// ctx.nowMinutes (即時模式) 有值時，目前所在的景點最早只能從現在出發，後續抵達時間跟著順延
+const computeDaySchedule = (day, ctx) => {
+  const {
+    startTime,
+    stays,
+    actualDepartures,
+    transportModes,
+    travelProfiles,
+    routeCache,
+    nowMinutes,
+    weatherCache,
+  } = ctx;
+  const weekday = getDayWeekday(day);
+  const currentIdx =
+    day.spots.reduce(
+      (last, s, idx) => (actualDepartures[s.id] ? idx : last),
+      -1
+    ) + 1;
+  let currentMinutes = timeToMinutes(startTime || "09:00");
+  return day.spots.map((spot, idx) => {
+    const spotId = spot.id;
+    const stayStr = stays[spotId] || "1.5 hr";
+    const stayMinutes = parseStayDuration(stayStr);
+    const arrivalMinutes = currentMinutes;
+    const arrivalTimeStr = minutesToTimeStr(currentMinutes);
+    let departureMinutes;
+    let isDeparted = false;
+    let actualDepTime = null;
+    if (actualDepartures[spotId]) {
+      actualDepTime = actualDepartures[spotId];
+      departureMinutes = timeToMinutes(actualDepTime);
+      isDeparted = true;
+    } else {
+      departureMinutes = currentMinutes + stayMinutes;
+      if (nowMinutes !== undefined && idx === currentIdx)
+        departureMinutes = Math.max(departureMinutes, nowMinutes);
+    }
+    let nextStopInfo = null;
+    let nextArrivalTimeStr = "";
+    if (idx < day.spots.length - 1) {
+      const nextSpot = day.spots[idx + 1];
+      const mode = transportModes[spotId] || "car";
+      const travel = estimateTravel(
+        spot,
+        nextSpot,
+        mode,
+        travelProfiles,
+        routeCache
+      );
+      currentMinutes = departureMinutes + travel.minutes;
+      nextArrivalTimeStr = minutesToTimeStr(currentMinutes);
+      nextStopInfo = {
+        name: nextSpot.name,
+        distance: `${travel.distanceKm.toFixed(1)} km`,
+        travelTime: travel.minutes + "m",
+        travelMinutes: travel.minutes,
+        isRouted: travel.source === "route",
+        navLink: `https://www.google.com/maps/dir/?api=1&origin=${spot.lat},${
+          spot.lon
+        }&destination=${nextSpot.lat},${nextSpot.lon}&travelmode=${
+          getModeProfile(mode, travelProfiles).gmapMode
+        }`,
+      };
+    }
+    const hours = getSpotHours(spot, weekday);
+    return {
+      ...spot,
+      id: spotId,
+      time: arrivalTimeStr,
+      arrivalMinutes,
+      departureMinutes,
+      isCurrent: idx === currentIdx,
+      isNext: idx === currentIdx + 1,
+      stay: stayStr,
+      isDeparted,
+      actualDepTime,
+      nextStop: nextStopInfo,
+      nextArrivalTime: nextArrivalTimeStr,
+      mapcodeDisplay: spot.mapCode || "GPS",
+      gmapLink: `https://www.google.com/maps/search/?api=1&query=${spot.lat},${spot.lon}`,
+      weather: getSpotWeather(weatherCache, spot, day.isoDate, arrivalMinutes),
+      ticket: spot.ticket || null,
+      hoursText: hours ? hours.text : null,
+      hoursWarning:
+        checkTicketTime(spot, arrivalMinutes) ||
+        checkOpeningHours(spot, weekday, arrivalMinutes, stayMinutes),
+    };
+  });
+};
+
+// --- 路線最佳化 ---
+// 違規 (公休、停留中打烊、趕不上預約) 優先於交通時間；"early" 只是要等開門，不算違規
+const summarizeSchedule = (spots) => ({
+  travelMinutes: spots.reduce(
+    (sum, s) => sum + (s.nextStop ? s.nextStop.travelMinutes : 0),
+    0
+  ),
+  violations: spots.filter(
+    (s) => s.hoursWarning && s.hoursWarning.type !== "early"
+  ).length,
+});
+
+const compareSchedule = (a, b) =>
+  a.violations - b.violations || a.travelMinutes - b.travelMinutes;
+
+const permutations = (items) => {
+  if (items.length <= 1) return [items];
+  const result = [];
+  items.forEach((item, i) => {
+    const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+    permutations(rest).forEach((p) => result.push([item, ...p]));
+  });
+  return result;
+};
+
+const EXHAUSTIVE_LIMIT = 7; // 7! = 5040 種排列，手機上仍在瞬間內
+
+// 第一站 (家或飯店)、已出發的景點與最後一站固定，只重排中間的景點
+// 回傳 { before, after, spots, changed }；可重排的景點少於兩個時回傳 null
+const optimizeDayRoute = (day, ctx) => {
+  const spots = day.spots;
+  const lastDeparted = spots.reduce(
+    (last, s, idx) => (ctx.actualDepartures[s.id] ? idx : last),
+    0
+  );
+  const head = spots.slice(0, lastDeparted + 1);
+  const middle = spots.slice(lastDeparted + 1, -1);
+  const tail = spots.slice(-1);
+  if (middle.length < 2) return null;
+
+  const evaluate = (order) =>
+    summarizeSchedule(
+      computeDaySchedule({ ...day, spots: [...head, ...order, ...tail] }, ctx)
+    );
+  const before = evaluate(middle);
+  let best = { order: middle, summary: before };
+  const consider = (order) => {
+    const summary = evaluate(order);
+    if (compareSchedule(summary, best.summary) < 0) best = { order, summary };
+  };
+
+  if (middle.length <= EXHAUSTIVE_LIMIT) {
+    permutations(middle).forEach(consider);
+  } else {
+    // 景點太多時先用最近鄰建立初始解，再以 2-opt 反轉區段改善
+    const remaining = [...middle];
+    const greedy = [];
+    let current = head[head.length - 1];
+    while (remaining.length) {
+      let bestIdx = 0;
+      let bestMinutes = Infinity;
+      remaining.forEach((spot, idx) => {
+        const mode = ctx.transportModes[current.id] || "car";
+        const { minutes } = estimateTravel(
+          current,
+          spot,
+          mode,
+          ctx.travelProfiles,
+          ctx.routeCache
+        );
+        if (minutes < bestMinutes) {
+          bestMinutes = minutes;
+          bestIdx = idx;
+        }
+      });
+      current = remaining.splice(bestIdx, 1)[0];
+      greedy.push(current);
+    }
+    consider(greedy);
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (let i = 0; i < best.order.length - 1; i++) {
+        for (let j = i + 1; j < best.order.length; j++) {
+          const order = best.order;
+          const candidate = [
+            ...order.slice(0, i),
+            ...order.slice(i, j + 1).reverse(),
+            ...order.slice(j + 1),
+          ];
+          const previous = best;
+          consider(candidate);
+          if (best !== previous) improved = true;
+        }
+      }
+    }
+  }
+
+  return {
+    before,
+    after: best.summary,
+    spots: [...head, ...best.order, ...tail],
+    changed: best.order.some((s, idx) => s.id !== middle[idx].id),
+  };
+};
+
+// --- KML / KMZ 匯入 (Google My Maps 匯出檔) ---
+// 圖層 (Folder) => 一天，地標 (Placemark) => 一個景點
+const KML_DAY_COLORS = [
+  "bg-[#E4C2C1]", // 莫蘭迪粉
+  "bg-[#A9BFA8]", // 莫蘭迪綠
+  "bg-[#A2C4C9]", // 莫蘭迪藍
+  "bg-[#E8D595]", // 莫蘭迪黃
+];
+
+const kmlChildren = (el, tag) =>
+  Array.from(el.children || []).filter((c) => c.localName === tag);
+const kmlChildText = (el, tag) => {
+  const node = kmlChildren(el, tag)[0];
+  return node ? node.textContent.trim() : "";
+};
+const stripKmlHtml = (html) =>
+  (html || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .trim();
+
+const parseKmlPlacemark = (pm) => {
+  // 只取點位 (Point)，路線 (LineString) 等圖形略過
+  const point = pm.getElementsByTagName("Point")[0];
+  if (!point) return null;
+  const coordsNode = point.getElementsByTagName("coordinates")[0];
+  if (!coordsNode) return null;
+  const [lon, lat] = coordsNode.textContent.trim().split(",").map(Number);
+  if (isNaN(lat) || isNaN(lon)) return null;
+  return {
+    id: createId("spot"),
+    name: kmlChildText(pm, "name") || "未命名地點",
+    lat,
+    lon,
+    desc: stripKmlHtml(kmlChildText(pm, "description")),
+    mapCode: "GPS",
+  };
+};
+
+const parseKmlText = (kmlText) => {
+  const xml = new DOMParser().parseFromString(kmlText, "application/xml");
+  if (xml.getElementsByTagName("parsererror").length > 0)
+    throw new Error("KML 格式錯誤");
+  const docNode =
+    xml.getElementsByTagName("Document")[0] || xml.documentElement;
+
+  // 每個含有地標的資料夾視為一天；不在資料夾內的地標歸到文件名稱那一天
+  const groups = [];
+  const walk = (node, fallbackName) => {
+    const placemarks = kmlChildren(node, "Placemark")
+      .map(parseKmlPlacemark)
+      .filter(Boolean);
+    if (placemarks.length > 0)
+      groups.push({
+        name: kmlChildText(node, "name") || fallbackName,
+        spots: placemarks,
+      });
+    kmlChildren(node, "Folder").forEach((f) => walk(f, fallbackName));
+  };
+  walk(docNode, "匯入行程");
+
+  if (groups.length === 0) throw new Error("找不到任何地標 (Placemark)");
+
+  return groups.map((g, i) => {
+    const dateMatch = g.name.match(/(\d{1,2})[\/.-](\d{1,2})/);
+    return {
+      dayId: createId("day"),
+      date: dateMatch
+        ? `${dateMatch[1]}/${dateMatch[2].padStart(2, "0")}`
+        : `Day ${i + 1}`,
+      title: g.name,
+      themeColor: KML_DAY_COLORS[i % KML_DAY_COLORS.length],
+      spots: g.spots,
+    };
+  });
+};
+
+const readKmlFile = async (file) => {
+  if (/\.kmz$/i.test(file.name)) {
+    if (!window.JSZip) throw new Error("KMZ 解壓縮元件未載入");
+    const zip = await window.JSZip.loadAsync(file);
+    const kmlEntry =
+      zip.file("doc.kml") || zip.file(/\.kml$/i).find((f) => !f.dir) || null;
+    if (!kmlEntry) throw new Error("KMZ 內找不到 KML 檔");
+    return parseKmlText(await kmlEntry.async("string"));
+  }
+  return parseKmlText(await file.text());
+};
+
+// --- 行程 ID 與編輯工具 ---
+// 舊版景點 ID 由位置產生 (`${dayId}-s${idx}`)，消費、停留、出發、票數都以它為 key。
+// 遷移時把「當下的位置 ID」寫進景點本身並固定下來，舊資料不需搬移即可對上；
+// 之後新增、刪除或排序景點都不會再改變任何既有 ID。
+const ensureItineraryIds = (days) =>
+  (days || []).map((day) => {
+    const dayId = day.dayId || createId("day");
+    return {
+      ...day,
+      dayId,
+      spots: (day.spots || []).map((spot, idx) =>
+        spot.id ? spot : { ...spot, id: `${dayId}-s${idx}` }
+      ),
+    };
+  });
+
+// 匯入新的 KML (或還原預設行程) 時，名稱相同且相距 200 公尺內的景點沿用舊 ID、標題相同的天數
+// 沿用舊 dayId，原本的消費、停留、票數與當日雜支才對得上；對不上的舊 ID 交給呼叫端清掉
+const SPOT_MATCH_KM = 0.2;
+const carryOverItineraryIds = (oldDays, newDays) => {
+  const oldSpots = oldDays.flatMap((d) =>
+    d.spots.map((spot, idx) => ({ spot, dayId: d.dayId, idx }))
+  );
+  const oldSpotIds = new Set(oldSpots.map((o) => o.spot.id));
+  const oldDayIds = new Set(oldDays.map((d) => d.dayId));
+  const usedSpotIds = new Set();
+  const usedDayIds = new Set();
+  const days = newDays.map((day) => {
+    const oldDay = oldDays.find(
+      (d) => !usedDayIds.has(d.dayId) && d.title === day.title
+    );
+    if (oldDay) usedDayIds.add(oldDay.dayId);
+    // 沒對上的新天數若剛好用了舊的 dayId (例如都是 day1)，換一個新的才不會繼承別天的資料
+    const dayId = oldDay
+      ? oldDay.dayId
+      : oldDayIds.has(day.dayId)
+        ? createId("day")
+        : day.dayId;
+    return {
+      ...day,
+      dayId,
+      spots: day.spots.map((spot, idx) => {
+        // 同名同地點的景點可能不只一個 (出發與回家)：優先同一天、位置最接近的
+        const match = oldSpots
+          .filter(
+            (old) =>
+              !usedSpotIds.has(old.spot.id) &&
+              old.spot.name.trim() === spot.name.trim() &&
+              parseFloat(
+                getDistanceFromLatLonInKm(
+                  old.spot.lat,
+                  old.spot.lon,
+                  spot.lat,
+                  spot.lon
+                )
+              ) <= SPOT_MATCH_KM
+          )
+          .sort(
+            (a, b) =>
+              (a.dayId === dayId ? 0 : 1000) +
+              Math.abs(a.idx - idx) -
+              ((b.dayId === dayId ? 0 : 1000) + Math.abs(b.idx - idx))
+          )[0];
+        if (match) {
+          usedSpotIds.add(match.spot.id);
+          return { ...spot, id: match.spot.id };
+        }
+        return oldSpotIds.has(spot.id)
+          ? { ...spot, id: createId("spot") }
+          : spot;
+      }),
+    };
+  });
+  return {
+    days,
+    removedSpotIds: [...oldSpotIds].filter((id) => !usedSpotIds.has(id)),
+    removedDayIds: [...oldDayIds].filter((id) => !usedDayIds.has(id)),
+  };
+};
+
+// 已存在 localStorage 的行程不會看到 index.html 後來補上的欄位 (營業時間、實際日期)：
+// 依 dayId 與景點名稱對回預設行程，只補「從未設定過」的欄位 (使用者清空時存成 "" / null，不會被補回)
+const BACKFILL_DAY_FIELDS = ["isoDate"];
+const BACKFILL_SPOT_FIELDS = [
+  "hours",
+  "hoursByDay",
+  "closedDays",
+  "ticketTime",
+];
+const backfillItineraryDefaults = (days, defaults) =>
+  days.map((day) => {
+    const base = (defaults || []).find((d) => d.dayId === day.dayId);
+    if (!base) return day;
+    const fill = (target, source, fields) =>
+      fields.reduce(
+        (acc, field) =>
+          field in acc || source[field] === undefined
+            ? acc
+            : { ...acc, [field]: source[field] },
+        target
+      );
+    return {
+      ...fill(day, base, BACKFILL_DAY_FIELDS),
+      spots: day.spots.map((spot) => {
+        const baseSpot = base.spots.find((s) => s.name === spot.name);
+        return baseSpot ? fill(spot, baseSpot, BACKFILL_SPOT_FIELDS) : spot;
+      }),
+    };
+  });
+
+const moveItem = (list, from, to) => {
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+// --- 多行程儲存 (Trip Library) ---
+// 每個行程的資料存在 `trip:<tripId>:<key>`，行程清單存在 "trips"，目前行程存在 "active_trip"。
+const TRIP_DATA_KEYS = [
+  "itinerary",
+  "expenses",
+  "stays",
+  "modes",
+  "departures",
+  "spot_tickets",
+  "start_times",
+  "flight_info",
+  "hotel_info",
+  "participants",
+  "party",
+  "budgets",
+  "filter_presets",
+];
+// 舊版 (單一行程) 直接存在全域的 key
+const LEGACY_TRIP_KEYS = [
+  "itinerary",
+  "expenses",
+  "stays",
+  "modes",
+  "departures",
+  "spot_tickets",
+  "start_times",
+];
+
+const tripKey = (tripId, key) => `trip:${tripId}:${key}`;
+const loadTripData = (tripId, key, fallback) => {
+  const raw = localStorage.getItem(tripKey(tripId, key));
+  return raw ? JSON.parse(raw) : fallback;
+};
+const saveTripData = (tripId, key, value) =>
+  localStorage.setItem(tripKey(tripId, key), JSON.stringify(value));
+const loadTrips = () => JSON.parse(localStorage.getItem("trips") || "[]");
+const saveTrips = (trips) =>
+  localStorage.setItem("trips", JSON.stringify(trips));
+
+const createBlankItinerary = () => [
+  {
+    dayId: createId("day"),
+    date: "Day 1",
+    title: "第一天",
+    themeColor: KML_DAY_COLORS[0],
+    spots: [],
+  },
+];
+
+// 第一次啟動時把舊版全域資料搬進預設行程，回傳目前行程 ID
+const ensureTripLibrary = () => {
+  let trips = loadTrips();
+  if (trips.length === 0) {
+    const tripId = createId("trip");
+    LEGACY_TRIP_KEYS.forEach((key) => {
+      const raw = localStorage.getItem(key);
+      if (raw !== null) {
+        localStorage.setItem(tripKey(tripId, key), raw);
+        localStorage.removeItem(key);
+      }
+    });
+    saveTripData(tripId, "flight_info", window.FLIGHT_INFO || {});
+    saveTripData(tripId, "hotel_info", window.HOTEL_INFO || []);
+    const itinerary = loadTripData(tripId, "itinerary", window.RAW_KML_DATA);
+    trips = [
+      {
+        id: tripId,
+        name: itinerary[0]?.title || "我的行程",
+        createdAt: Date.now(),
+        archived: false,
+      },
+    ];
+    saveTrips(trips);
+  }
+  const activeId = localStorage.getItem("active_trip");
+  if (trips.some((t) => t.id === activeId)) return activeId;
+  const fallback = trips.find((t) => !t.archived) || trips[0];
+  localStorage.setItem("active_trip", fallback.id);
+  return fallback.id;
+};
+
+const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// --- 收據照片 (IndexedDB) ---
+// 照片壓縮成 JPEG data URL 存在 IndexedDB，消費紀錄只存 receiptId。
+// 備份檔不含照片；沒有任何消費引用的照片可在備份彈窗清除。
+const RECEIPT_DB_NAME = "trip-receipts";
+const RECEIPT_STORE = "receipts";
+const RECEIPT_QUEUE_STORE = "queue"; // 離線或辨識失敗、等待重試的收據
+const RECEIPT_MAX_SIZE = 1280; // 長邊上限 (px)，仍看得清收據上的小字
+const RECEIPT_THUMB_SIZE = 160;
+
+const openReceiptDb = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(RECEIPT_DB_NAME, 2);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      [RECEIPT_STORE, RECEIPT_QUEUE_STORE].forEach((name) => {
+        if (!db.objectStoreNames.contains(name))
+          db.createObjectStore(name, { keyPath: "id" });
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const withReceiptStore = async (mode, action, storeName = RECEIPT_STORE) => {
+  const db = await openReceiptDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = action(tx.objectStore(storeName));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+};
+
+const saveReceiptImage = (receipt) =>
+  withReceiptStore("readwrite", (store) => store.put(receipt));
+const loadReceiptImage = (id) =>
+  withReceiptStore("readonly", (store) => store.get(id));
+const listReceiptImages = () =>
+  withReceiptStore("readonly", (store) => store.getAll());
+const deleteReceiptImages = (ids) =>
+  withReceiptStore("readwrite", (store) => {
+    ids.forEach((id) => store.delete(id));
+  });
+
+const putQueuedReceipt = (entry) =>
+  withReceiptStore(
+    "readwrite",
+    (store) => store.put(entry),
+    RECEIPT_QUEUE_STORE
+  );
+const listQueuedReceipts = () =>
+  withReceiptStore("readonly", (store) => store.getAll(), RECEIPT_QUEUE_STORE);
+const removeQueuedReceipts = (ids) =>
+  withReceiptStore(
+    "readwrite",
+    (store) => {
+      ids.forEach((id) => store.delete(id));
+    },
+    RECEIPT_QUEUE_STORE
+  );
+
+const RECEIPT_AUTO_RETRY_LIMIT = 5; // 超過次數只能手動重試，避免一直消耗 AI 額度
+const RECEIPT_SYNC_TAG = "receipt-queue";
+
+// 請 service worker 在恢復連線時喚醒頁面；不支援 Background Sync 的瀏覽器只靠 online 事件
+const requestReceiptSync = () => {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((reg) => reg.sync && reg.sync.register(RECEIPT_SYNC_TAG))
+    .catch(() => {});
+};
+
+// 縮圖只讀一次就留在記憶體，列表捲動時不必反覆開資料庫
+const receiptThumbCache = new Map();
+const loadReceiptThumb = async (id) => {
+  if (!receiptThumbCache.has(id)) {
+    const receipt = await loadReceiptImage(id);
+    receiptThumbCache.set(id, receipt ? receipt.thumb : null);
+  }
+  return receiptThumbCache.get(id);
+};
+
+// 等比縮小並轉成 JPEG；瀏覽器不支援 canvas 時保留原圖
+const compressImage = (dataUrl, maxSize, quality) =>
+  new Promise((resolve) => {
+    const canvas = document.createElement("canvas");
+    const ctx = canvas.getContext && canvas.getContext("2d");
+    if (!ctx) return resolve(dataUrl);
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL("image/jpeg", quality));
+    };
+    img.onerror = () => resolve(dataUrl);
+    img.src = dataUrl;
+  });
+
+// 所有行程的消費中仍在使用的照片 ID
+const collectReceiptIds = () => {
+  const ids = new Set();
+  listStorageKeys()
+    .filter((key) => isTripStorageKey(key) && key.endsWith(":expenses"))
+    .forEach((key) =>
+      Object.values(JSON.parse(localStorage.getItem(key)) || {}).forEach(
+        (records) => records.forEach((r) => r.receiptId && ids.add(r.receiptId))
+      )
+    );
+  return ids;
+};
+
+const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${Math.round(bytes / 1024)} KB`;
+
+// --- 收據辨識 (逐項明細，AI 回傳以 JSON schema 限制並再驗證) ---
+const PAYMENT_METHODS = [
+  { id: "cash", label: "現金" },
+  { id: "card", label: "信用卡" },
+  { id: "ic", label: "交通 IC 卡" },
+  { id: "mobile", label: "行動支付" },
+  { id: "other", label: "其他" },
+];
+
+const buildReceiptSchema = () => ({
+  type: "OBJECT",
+  properties: {
+    store: { type: "STRING" },
+    date: { type: "STRING", nullable: true },
+    currency: { type: "STRING" },
+    category: {
+      type: "STRING",
+      enum: window.EXPENSE_CATEGORIES.map((c) => c.id),
+    },
+    paymentMethod: {
+      type: "STRING",
+      enum: PAYMENT_METHODS.map((m) => m.id),
+      nullable: true,
+    },
+    items: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING" },
+          qty: { type: "NUMBER" },
+          price: { type: "NUMBER" },
+        },
+        required: ["name", "price"],
+      },
+    },
+    tax: { type: "NUMBER", nullable: true },
+    serviceCharge: { type: "NUMBER", nullable: true },
+    total: { type: "NUMBER" },
+  },
+  required: ["store", "items", "total"],
+});
+
+const RECEIPT_PROMPT = () =>
+  `分析這張收據，逐項列出品項 items (name 品名、qty 數量、price 單價)，並回傳稅額 tax、服務費 serviceCharge (沒有時為 0)、實付總額 total、付款方式 paymentMethod、店家名稱 store、時間 date ("YYYY/MM/DD HH:mm"，找不到時為 null)、幣別 currency (ISO 4217，例如 JPY、TWD) 與消費分類 category (${window.EXPENSE_CATEGORIES.map(
+    (c) => `${c.id} ${c.label}`
+  ).join("、")})。`;
+
+const toReceiptNumber = (value) =>
+  typeof value === "string"
+    ? Number(value.replace(/[,\s]/g, ""))
+    : typeof value === "number"
+      ? value
+      : NaN;
+
+// 驗證並正規化 AI 回傳的收據；缺少必要欄位時丟出錯誤 (訊息會顯示在待確認清單)
+const validateReceipt = (raw) => {
+  if (!isPlainObject(raw)) throw new Error("回傳格式不是物件");
+  const total = toReceiptNumber(raw.total);
+  if (!Number.isFinite(total) || total < 0) throw new Error("缺少總金額");
+  if (!Array.isArray(raw.items)) throw new Error("缺少品項清單");
+  const items = raw.items.map((item, i) => {
+    const price = toReceiptNumber(item && item.price);
+    if (!isPlainObject(item) || !Number.isFinite(price))
+      throw new Error(`第 ${i + 1} 個品項缺少價格`);
+    const qty = toReceiptNumber(item.qty);
+    return {
+      name: String(item.name || "").trim() || `品項 ${i + 1}`,
+      qty: Number.isFinite(qty) && qty > 0 ? qty : 1,
+      price,
+    };
+  });
+  const optionalAmount = (value) => {
+    const amount = toReceiptNumber(value);
+    return Number.isFinite(amount) && amount > 0 ? amount : 0;
+  };
+  const tax = optionalAmount(raw.tax);
+  const serviceCharge = optionalAmount(raw.serviceCharge);
+  // 含稅標價的收據明細合計就等於總額，外加稅的則要加上稅與服務費
+  const subtotal = items.reduce((sum, item) => sum + item.qty * item.price, 0);
+  const tolerance = Math.max(1, total * 0.01);
+  const isMismatch =
+    items.length > 0 &&
+    Math.abs(subtotal - total) > tolerance &&
+    Math.abs(subtotal + tax + serviceCharge - total) > tolerance;
+  return {
+    store: String(raw.store || "").trim() || "未命名收據",
+    date: typeof raw.date === "string" && raw.date ? raw.date : null,
+    currency: window.CURRENCY_OPTIONS.some((c) => c.code === raw.currency)
+      ? raw.currency
+      : undefined,
+    category: normalizeCategory(raw.category),
+    paymentMethod: PAYMENT_METHODS.some((m) => m.id === raw.paymentMethod)
+      ? raw.paymentMethod
+      : null,
+    items,
+    tax,
+    serviceCharge,
+    total,
+    isMismatch,
+  };
+};
+
+// 呼叫 AI 辨識一張收據照片，回傳驗證過的結果
+const analyzeReceiptImage = async (dataUrl) => {
+  const res = await generateGeminiContent(
+    RECEIPT_PROMPT(),
+    dataUrl,
+    false,
+    buildReceiptSchema()
+  );
+  let json;
+  try {
+    json = JSON.parse(res);
+  } catch (e) {
+    throw new Error("回傳的不是 JSON");
+  }
+  return validateReceipt(json);
+};
+
+// 辨識結果轉成待確認清單的欄位；收據上沒有時間時用 fallbackTime
+const receiptToPendingFields = (receipt, fallbackTime) => ({
+  amount: receipt.total,
+  note: (receipt.date ? receipt.date + " " : "") + receipt.store,
+  store: receipt.store,
+  category: receipt.category,
+  currency: receipt.currency,
+  paymentMethod: receipt.paymentMethod,
+  items: receipt.items,
+  tax: receipt.tax,
+  serviceCharge: receipt.serviceCharge,
+  isMismatch: receipt.isMismatch,
+  timestamp: receipt.date ? new Date(receipt.date).getTime() : fallbackTime,
+});
+
+const describeReceiptError = (e) => {
+  if (e.message === "NO_API_KEY") return "尚未設定 AI 金鑰";
+  if (!navigator.onLine) return "離線";
+  if (e instanceof TypeError || e.message.startsWith("API Error"))
+    return "無法連線到 AI 服務";
+  return e.message;
+};
+
+// 依明細的分配 (assign) 拆成多筆：未分配的明細留在原收據，
+// 稅與服務費按金額比例攤進拆出去的品項，四捨五入的差額留給最後一筆
+const splitReceiptItems = (receipt) => {
+  const items = receipt.items || [];
+  const subtotal = items.reduce((sum, item) => sum + item.qty * item.price, 0);
+  const factor = subtotal > 0 ? receipt.amount / subtotal : 1;
+  const parts = [];
+  let remaining = receipt.amount;
+  items.forEach((item) => {
+    if (!item.assign) return;
+    const amount = roundAmount(
+      item.qty * item.price * factor,
+      receipt.currency
+    );
+    remaining -= amount;
+    parts.push({
+      amount,
+      note: `${receipt.store || receipt.note} · ${item.name}`,
+      items: [item],
+      assign: item.assign,
+    });
+  });
+  const rest = items.filter((item) => !item.assign);
+  remaining = roundAmount(remaining, receipt.currency);
+  if (parts.length > 0 && rest.length === 0)
+    parts[parts.length - 1].amount = roundAmount(
+      parts[parts.length - 1].amount + remaining,
+      receipt.currency
+    );
+  else
+    parts.unshift({
+      amount: remaining,
+      note: receipt.note,
+      items: rest,
+      assign: "",
+    });
+  return parts;
+};
+
+// --- 完整備份 / 還原 (JSON) ---
+// schemaVersion 1：{ schemaVersion, exportedAt, activeTripId, trips: [{ ...行程資訊, data }], settings, defaults }
+const BACKUP_SCHEMA_VERSION = 1;
+const BACKUP_EXCLUDED_KEYS = ["gemini_api_key"]; // 金鑰不寫進備份檔
+const LIBRARY_KEYS = ["trips", "active_trip"];
+
+const listStorageKeys = () => {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+  return keys;
+};
+const isTripStorageKey = (key) => key.startsWith("trip:");
+
+const collectTripData = (tripId) => {
+  const prefix = tripKey(tripId, "");
+  const data = {};
+  listStorageKeys()
+    .filter((k) => k.startsWith(prefix))
+    .forEach((k) => {
+      data[k.slice(prefix.length)] = JSON.parse(localStorage.getItem(k));
+    });
+  return data;
+};
+
+const buildBackup = () => {
+  const settings = {};
+  listStorageKeys()
+    .filter(
+      (k) =>
+        !isTripStorageKey(k) &&
+        !LIBRARY_KEYS.includes(k) &&
+        !BACKUP_EXCLUDED_KEYS.includes(k)
+    )
+    .forEach((k) => (settings[k] = localStorage.getItem(k)));
+  return {
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    activeTripId: localStorage.getItem("active_trip"),
+    trips: loadTrips().map((trip) => ({
+      ...trip,
+      data: collectTripData(trip.id),
+    })),
+    settings,
+    defaults: {
+      itinerary: window.RAW_KML_DATA,
+      flightInfo: window.FLIGHT_INFO,
+      hotelInfo: window.HOTEL_INFO,
+    },
+  };
+};
+
+const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    throw new Error("檔案不是 JSON 格式");
+  }
+  if (
+    !backup ||
+    typeof backup.schemaVersion !== "number" ||
+    !Array.isArray(backup.trips)
+  )
+    throw new Error("不是有效的備份檔");
+  if (backup.schemaVersion > BACKUP_SCHEMA_VERSION)
+    throw new Error("備份檔版本較新，請先更新 App");
+  return backup;
+};
+
+// 備份內缺少的行程設定以備份時的 index.html 預設值補上
+const withBackupDefaults = (data, defaults = {}) => ({
+  itinerary: defaults.itinerary,
+  flight_info: defaults.flightInfo,
+  hotel_info: defaults.hotelInfo,
+  ...data,
+});
+
+const indexExpenses = (expenses) => {
+  const map = {};
+  Object.entries(expenses || {}).forEach(([spotId, list]) =>
+    (list || []).forEach((r) => (map[r.id] = { spotId, record: r }))
+  );
+  return map;
+};
+
+// 找出本機與備份中 ID 相同、內容卻不同的消費紀錄
+const findExpenseConflicts = (backup) => {
+  const localTripIds = loadTrips().map((t) => t.id);
+  const conflicts = [];
+  backup.trips
+    .filter((t) => localTripIds.includes(t.id))
+    .forEach((trip) => {
+      const local = indexExpenses(loadTripData(trip.id, "expenses", {}));
+      Object.entries(trip.data?.expenses || {}).forEach(([spotId, list]) =>
+        (list || []).forEach((r) => {
+          const existing = local[r.id];
+          if (existing && JSON.stringify(existing.record) !== JSON.stringify(r))
+            conflicts.push({
+              tripId: trip.id,
+              tripName: trip.name,
+              spotId,
+              local: existing.record,
+              incoming: r,
+            });
+        })
+      );
+    });
+  return conflicts;
+};
+
+// strategy: "local" 保留本機 | "backup" 使用備份 | "both" 兩筆都保留 (備份那筆換新 ID)
+const mergeExpenses = (localExpenses, incomingExpenses, strategy) => {
+  const result = {};
+  Object.entries(localExpenses || {}).forEach(
+    ([spotId, list]) => (result[spotId] = [...list])
+  );
+  const local = indexExpenses(localExpenses);
+  let seq = 0;
+  Object.entries(incomingExpenses || {}).forEach(([spotId, list]) =>
+    (list || []).forEach((r) => {
+      const existing = local[r.id];
+      const push = (rec) => (result[spotId] = [...(result[spotId] || []), rec]);
+      if (!existing) return push(r);
+      if (JSON.stringify(existing.record) === JSON.stringify(r)) return;
+      if (strategy === "backup") {
+        result[existing.spotId] = result[existing.spotId].filter(
+          (x) => x.id !== r.id
+        );
+        push(r);
+      } else if (strategy === "both") {
+        push({ ...r, id: Date.now() + ++seq });
+      }
+    })
+  );
+  return result;
+};
+
+const isPlainObject = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+const applyBackup = (backup, { mode, conflictStrategy }) => {
+  if (mode === "replace") {
+    listStorageKeys()
+      .filter((k) => !BACKUP_EXCLUDED_KEYS.includes(k))
+      .forEach((k) => localStorage.removeItem(k));
+    Object.entries(backup.settings || {}).forEach(([k, v]) =>
+      localStorage.setItem(k, v)
+    );
+    backup.trips.forEach(({ data, ...trip }) =>
+      Object.entries(withBackupDefaults(data, backup.defaults)).forEach(
+        ([key, value]) =>
+          value !== undefined && saveTripData(trip.id, key, value)
+      )
+    );
+    saveTrips(backup.trips.map(({ data, ...trip }) => trip));
+    if (backup.activeTripId)
+      localStorage.setItem("active_trip", backup.activeTripId);
+    return;
+  }
+
+  // 合併：本機已有的行程保留本機設定並補上缺少的資料；本機沒有的行程整個加入
+  Object.entries(backup.settings || {}).forEach(([k, v]) => {
+    if (localStorage.getItem(k) === null) localStorage.setItem(k, v);
+  });
+  const trips = loadTrips();
+  backup.trips.forEach(({ data, ...trip }) => {
+    const incoming = withBackupDefaults(data, backup.defaults);
+    if (!trips.some((t) => t.id === trip.id)) {
+      Object.entries(incoming).forEach(
+        ([key, value]) =>
+          value !== undefined && saveTripData(trip.id, key, value)
+      );
+      trips.push(trip);
+      return;
+    }
+    Object.entries(incoming).forEach(([key, value]) => {
+      if (value === undefined) return;
+      const local = loadTripData(trip.id, key, undefined);
+      if (key === "expenses")
+        saveTripData(
+          trip.id,
+          key,
+          mergeExpenses(local, value, conflictStrategy)
+        );
+      else if (local === undefined) saveTripData(trip.id, key, value);
+      else if (isPlainObject(local) && isPlainObject(value))
+        saveTripData(trip.id, key, { ...value, ...local });
+    });
+  });
+  saveTrips(trips);
+};
+
+// --- 行事曆匯出 (ICS) ---
+// UID 由行程與景點 ID 組成，重新匯入時行事曆會更新同一筆事件；SEQUENCE 用匯出時間確保遞增
+const ICS_LINE_LIMIT = 75; // RFC 5545：每行最多 75 bytes，超過要折行
+
+const escapeIcsText = (text) =>
+  String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const foldIcsLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // 續行開頭的空白也算一個 byte
+    const limit = parts.length ? ICS_LINE_LIMIT - 1 : ICS_LINE_LIMIT;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+// 沒有 isoDate 的天從 "12/24 (三)" 取月日，年份沿用其他天或今年
+const getDayIsoDate = (day, fallbackYear) => {
+  if (day.isoDate) return day.isoDate;
+  const m = (day.date || "").match(/(\d{1,2})\/(\d{1,2})/);
+  if (!m) return null;
+  return `${fallbackYear}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+};
+
+// 以浮動時間 (不帶時區) 輸出，跨過午夜的分鐘數會進位到隔天
+const formatIcsDateTime = (isoDate, minutes) => {
+  const d = new Date(`${isoDate}T00:00:00`);
+  d.setMinutes(Math.round(minutes));
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(
+    d.getDate()
+  )}T${pad(d.getHours())}${pad(d.getMinutes())}00`;
+};
+
+const formatIcsUtc = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// days 為 tripData 的天 (含推算後的 time / stay / nextStop)
+const buildIcsCalendar = (days, { tripId, tripName, includeTravel }) => {
+  const now = new Date();
+  const stamp = formatIcsUtc(now);
+  const sequence = Math.floor(now.getTime() / 60000);
+  const datedYear = days.find((d) => d.isoDate);
+  const fallbackYear = datedYear
+    ? datedYear.isoDate.slice(0, 4)
+    : String(now.getFullYear());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//2025-christ//Trip Planner//ZH-TW",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(tripName)}`,
+  ];
+  const skippedDays = [];
+  const pushEvent = (uid, start, end, fields) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${uid}@${tripId}.trip`,
+      `DTSTAMP:${stamp}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTART:${start}`
+    );
+    if (end) lines.push(`DTEND:${end}`);
+    lines.push(...fields, "END:VEVENT");
+  };
+
+  days.forEach((day) => {
+    const isoDate = getDayIsoDate(day, fallbackYear);
+    if (!isoDate) {
+      skippedDays.push(day.date || day.title);
+      return;
+    }
+    day.spots.forEach((spot, idx) => {
+      const arrival = spot.arrivalMinutes;
+      const departure = spot.departureMinutes;
+      pushEvent(
+        spot.id,
+        formatIcsDateTime(isoDate, arrival),
+        departure > arrival ? formatIcsDateTime(isoDate, departure) : null,
+        [
+          `SUMMARY:${escapeIcsText(spot.name)}`,
+          `LOCATION:${escapeIcsText(spot.name)}`,
+          `GEO:${spot.lat};${spot.lon}`,
+          `DESCRIPTION:${escapeIcsText(
+            [spot.desc, spot.gmapLink].filter(Boolean).join("\n")
+          )}`,
+          `URL:${spot.gmapLink}`,
+        ]
+      );
+      if (includeTravel && spot.nextStop) {
+        pushEvent(
+          `${spot.id}-travel`,
+          formatIcsDateTime(isoDate, departure),
+          formatIcsDateTime(isoDate, day.spots[idx + 1].arrivalMinutes),
+          [
+            `SUMMARY:${escapeIcsText(
+              `交通：${spot.name} → ${spot.nextStop.name}`
+            )}`,
+            `DESCRIPTION:${escapeIcsText(
+              `${spot.nextStop.distance} · ${spot.nextStop.travelTime}\n${spot.nextStop.navLink}`
+            )}`,
+            `URL:${spot.nextStop.navLink}`,
+            "TRANSP:TRANSPARENT",
+          ]
+        );
+      }
+    });
+  });
+  lines.push("END:VCALENDAR");
+  return {
+    content: lines.map(foldIcsLine).join("\r\n") + "\r\n",
+    skippedDays,
+  };
+};
+
+// --- 花費報表 (CSV / HTML；Email 內文使用同一份 HTML) ---
+// lines 為 collectExpenseLines 的結果 (含門票與帳本)；display 為畫面上選擇的顯示幣別與匯率
+const buildExpenseReport = (
+  days,
+  lines,
+  { tripName, baseCurrency, display, participants = [], filterLabel = "" }
+) => {
+  const payerNames = Object.fromEntries(
+    participants.map((p) => [p.id, p.name])
+  );
+  const reportDays = withLedgers(days)
+    .map((day) => {
+      const dayLines = lines.filter((line) => line.dayId === day.dayId);
+      const spots = day.spots
+        .map((spot) => {
+          const spotLines = dayLines
+            .filter((line) => line.spotId === spot.id)
+            .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+          return {
+            spotId: spot.id,
+            spotName: spot.name,
+            lines: spotLines,
+            totalBase: sumBaseAmount(spotLines),
+          };
+        })
+        .filter((spot) => spot.lines.length > 0);
+      return {
+        dayId: day.dayId,
+        date: day.date,
+        title: day.title,
+        spots,
+        totalBase: sumBaseAmount(dayLines),
+      };
+    })
+    .filter((day) => day.spots.length > 0);
+  return {
+    tripName,
+    baseCurrency,
+    filterLabel,
+    // 顯示幣別與基準相同時不另列換算欄
+    display: display && display.code !== baseCurrency ? display : null,
+    generatedAt: Date.now(),
+    days: reportDays,
+    byCategory: sumByCategory(lines),
+    totalBase: sumBaseAmount(lines),
+    lineCount: lines.length,
+    missingRateCount: lines.filter((line) => line.baseAmount === null).length,
+    payerName: (id) => payerNames[id] || "",
+  };
+};
+
+// 報表的一列 (門票沒有記帳時間)
+const reportRow = (report, day, spot, line) => ({
+  date: day.date,
+  spot: spot.spotName,
+  time: line.isTicket ? "" : formatTime(line.timestamp || line.id),
+  category: getExpenseCategory(line.category).label,
+  note: line.note || "",
+  payer: report.payerName(line.paidBy),
+  amount: line.amount,
+  currency: line.currency,
+  baseAmount: line.baseAmount,
+});
+
+const REPORT_COLUMNS = (report) => [
+  "日期",
+  "景點",
+  "時間",
+  "分類",
+  "備註",
+  "付款人",
+  "金額",
+  "幣別",
+  `換算 (${report.baseCurrency})`,
+  ...(report.display ? [`換算 (${report.display.code})`] : []),
+];
+
+const roundMoney = (v) => (v === null ? "" : Math.round(v));
+
+// CSV 加上 BOM，Excel 直接開啟中文才不會亂碼。
+// 備註與店名來自使用者輸入與 AI 辨識，以 = + - @ 開頭的文字前面補 ' 以免被試算表當成公式執行
+const buildExpenseCsv = (report) => {
+  const cell = (v) => {
+    let s = String(v === null || v === undefined ? "" : v);
+    if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const toDisplay = (v) =>
+    report.display && v !== null ? [roundMoney(v * report.display.rate)] : [];
+  // 篩選匯出時在最上方註明條件，總計才不會被誤認為整趟行程的金額
+  const rows = [
+    ...(report.filterLabel
+      ? [[`篩選：${report.filterLabel} (共 ${report.lineCount} 筆)`], []]
+      : []),
+    REPORT_COLUMNS(report),
+  ];
+  report.days.forEach((day) => {
+    day.spots.forEach((spot) =>
+      spot.lines.forEach((line) => {
+        const r = reportRow(report, day, spot, line);
+        rows.push([
+          r.date,
+          r.spot,
+          r.time,
+          r.category,
+          r.note,
+          r.payer,
+          r.amount,
+          r.currency,
+          roundMoney(r.baseAmount),
+          ...(report.display ? toDisplay(r.baseAmount) : []),
+        ]);
+      })
+    );
+    rows.push([
+      day.date,
+      "小計",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      roundMoney(day.totalBase),
+      ...toDisplay(day.totalBase),
+    ]);
+  });
+  rows.push([]);
+  rows.push([
+    "分類",
+    `金額 (${report.baseCurrency})`,
+    ...(report.display ? [`金額 (${report.display.code})`] : []),
+  ]);
+  report.byCategory.forEach((c) =>
+    rows.push([c.label, roundMoney(c.total), ...toDisplay(c.total)])
+  );
+  rows.push([
+    report.filterLabel ? "篩選後總計" : "總計",
+    roundMoney(report.totalBase),
+    ...toDisplay(report.totalBase),
+  ]);
+  if (report.missingRateCount > 0)
+    rows.push([`${report.missingRateCount} 筆消費缺少匯率，未計入總額`]);
+  return "\uFEFF" + rows.map((row) => row.map(cell).join(",")).join("\r\n");
+};
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// 郵件軟體會忽略 <style>，樣式一律寫在 style 屬性
+const buildExpenseReportHtml = (report) => {
+  const th =
+    "padding:6px 8px;background:#F9F7F5;border-bottom:2px solid #E4C2C1;text-align:left;font-size:12px;color:#666;";
+  const td = "padding:6px 8px;border-bottom:1px solid #eee;font-size:12px;";
+  const num = "text-align:right;font-family:monospace;white-space:nowrap;";
+  const base = (v) => (v === null ? "—" : formatMoney(v, report.baseCurrency));
+  const shown = (v) =>
+    report.display
+      ? `<td style="${td}${num}">${
+          v === null
+            ? "—"
+            : formatMoney(v * report.display.rate, report.display.code)
+        }</td>`
+      : "";
+  const columns = REPORT_COLUMNS(report).filter((c) => c !== "日期");
+  const dayTables = report.days
+    .map((day) => {
+      const rows = day.spots
+        .map((spot) =>
+          spot.lines
+            .map((line) => {
+              const r = reportRow(report, day, spot, line);
+              return `<tr><td style="${td}">${escapeHtml(r.spot)}</td><td style="${td}white-space:nowrap;">${escapeHtml(
+                r.time
+              )}</td><td style="${td}">${escapeHtml(r.category)}</td><td style="${td}">${escapeHtml(
+                r.note
+              )}</td><td style="${td}">${escapeHtml(r.payer)}</td><td style="${td}${num}">${formatMoney(
+                r.amount,
+                r.currency
+              )}</td><td style="${td}">${escapeHtml(r.currency)}</td><td style="${td}${num}">${base(
+                r.baseAmount
+              )}</td>${shown(r.baseAmount)}</tr>`;
+            })
+            .join("")
+        )
+        .join("");
+      const subtotal = `<tr><td colspan="7" style="${td}font-weight:bold;text-align:right;">小計</td><td style="${td}${num}font-weight:bold;color:#C89897;">${base(
+        day.totalBase
+      )}</td>${shown(day.totalBase)}</tr>`;
+      return `<h3 style="margin:20px 0 6px;font-size:15px;color:#333;">${escapeHtml(
+        day.date
+      )} ${escapeHtml(
+        day.title || ""
+      )}</h3><table style="border-collapse:collapse;width:100%;"><thead><tr>${columns
+        .map((c) => `<th style="${th}">${escapeHtml(c)}</th>`)
+        .join("")}</tr></thead><tbody>${rows}${subtotal}</tbody></table>`;
+    })
+    .join("");
+  const categoryRows = report.byCategory
+    .map(
+      (c) =>
+        `<tr><td style="${td}">${escapeHtml(
+          c.label
+        )}</td><td style="${td}${num}">${base(c.total)}</td>${shown(
+          c.total
+        )}</tr>`
+    )
+    .join("");
+  const total = `${base(report.totalBase)}${
+    report.display
+      ? ` (≈ ${formatMoney(
+          report.totalBase * report.display.rate,
+          report.display.code
+        )})`
+      : ""
+  }`;
+  const missing =
+    report.missingRateCount > 0
+      ? `<p style="color:#B7791F;font-size:12px;">${report.missingRateCount} 筆消費缺少匯率，未計入總額</p>`
+      : "";
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(
+    report.tripName
+  )} 花費報表</title></head><body style="font-family:sans-serif;color:#333;max-width:860px;margin:0 auto;padding:16px;"><h2 style="margin:0 0 4px;">${escapeHtml(
+    report.tripName
+  )} 花費報表</h2><p style="margin:0 0 12px;font-size:12px;color:#999;">產生時間 ${escapeHtml(
+    formatTime(report.generatedAt)
+  )} · 共 ${report.lineCount} 筆${
+    report.filterLabel ? ` · 篩選：${escapeHtml(report.filterLabel)}` : ""
+  }</p><p style="font-size:18px;font-weight:bold;margin:0 0 4px;">總花費：${total}</p>${missing}${dayTables}<h3 style="margin:24px 0 6px;font-size:15px;">分類統計</h3><table style="border-collapse:collapse;min-width:240px;">${categoryRows}</table></body></html>`;
+};
+
 // ==========================================
 // 2. 共用 UI 組件 (Components)
 // ==========================================
 
-const MarkdownRenderer = ({ content, className = "" }) => {
-  const html = marked.parse(content || "");
+const MarkdownRenderer = ({ content, className = "" }) => {
+  const html = marked.parse(content || "");
+  return (
+    <div
+      className={`markdown-content ${className}`}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+const ApiKeyModal = ({ isOpen, onClose }) => {
+  const [tempKey, setTempKey] = useState(
+    localStorage.getItem("gemini_api_key") || ""
+  );
+  const Icons = window.Icons;
+  if (!isOpen) return null;
+  return (
+    <div className="fixed inset-0 bg-stone-900/80 backdrop-blur-sm flex items-center justify-center z-[120] p-4">
+      <div className="glass-panel rounded-2xl p-6 w-full max-w-sm shadow-2xl bg-[#1e293b] text-slate-200 border border-slate-700">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="font-bold text-lg flex items-center gap-2">
+            <Icons.Settings size={20} className="text-[#4ECDC4]" /> 設定 AI 金鑰
+          </h3>
+          <button onClick={onClose}>
+            <Icons.X size={20} className="text-slate-400 hover:text-white" />
+          </button>
+        </div>
+        <input
+          type="password"
+          value={tempKey}
+          onChange={(e) => setTempKey(e.target.value)}
+          placeholder="Paste API Key"
+          className="w-full bg-slate-800 p-3 rounded-xl mb-4 text-white outline-none border border-slate-600 focus:border-[#4ECDC4]"
+        />
+        <div className="flex gap-2">
+          <a
+            href="https://aistudio.google.com/app/apikey"
+            target="_blank"
+            rel="noreferrer"
+            className="flex-1 text-center py-2.5 rounded-xl border border-slate-600 text-xs font-bold text-slate-400"
+          >
+            取得 Key
+          </a>
+          <button
+            onClick={() => {
+              localStorage.setItem("gemini_api_key", tempKey);
+              onClose();
+              window.location.reload();
+            }}
+            className="flex-1 bg-[#4ECDC4] text-white rounded-xl font-bold"
+          >
+            儲存
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- 分帳設定 (記帳彈窗內的付款人與分攤方式) ---
+const SplitEditor = ({ participants, expenseForm, setExpenseForm }) => {
+  const split = expenseForm.split || DEFAULT_SPLIT;
+  const excluded = split.excluded || [];
+  const included = participants.filter((p) => !excluded.includes(p.id));
+  const amount = parseFloat(expenseForm.amount) || 0;
+  const exactSum = included.reduce(
+    (sum, p) => sum + (split.amounts?.[p.id] || 0),
+    0
+  );
+
+  const setSplit = (patch) =>
+    setExpenseForm({ ...expenseForm, split: { ...split, ...patch } });
+  const toggleIncluded = (id) =>
+    setSplit({
+      excluded: excluded.includes(id)
+        ? excluded.filter((x) => x !== id)
+        : [...excluded, id],
+    });
+  const setMemberValue = (field, id, value) => {
+    const next = { ...(split[field] || {}) };
+    if (value === "") delete next[id];
+    else next[id] = parseFloat(value) || 0;
+    setSplit({ [field]: next });
+  };
+  const smallInputCls =
+    "w-20 bg-white px-2 py-1 rounded-lg text-xs font-mono outline-none border border-gray-200 text-gray-700 text-right focus:border-[#A9BFA8]";
+
+  return (
+    <div className="mb-4 bg-gray-50 p-3 rounded-xl border border-gray-200 space-y-2">
+      <div className="flex items-center gap-2 text-xs">
+        <span className="font-bold text-gray-500 shrink-0">付款人</span>
+        <select
+          value={expenseForm.paidBy || ""}
+          onChange={(e) =>
+            setExpenseForm({ ...expenseForm, paidBy: e.target.value })
+          }
+          className="flex-1 bg-white border border-gray-200 rounded-lg px-2 py-1 outline-none font-bold text-gray-700"
+        >
+          <option value="">未指定</option>
+          {participants.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="flex gap-1">
+        {SPLIT_TYPES.map((t) => (
+          <button
+            key={t.id}
+            onClick={() => setSplit({ type: t.id })}
+            className={`flex-1 py-1 rounded-lg text-[10px] font-bold border transition-colors ${
+              split.type === t.id
+                ? "bg-[#A9BFA8] text-white border-[#A9BFA8]"
+                : "bg-white text-gray-400 border-gray-200"
+            }`}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+      {participants.map((p) => {
+        const isIncluded = !excluded.includes(p.id);
+        return (
+          <div key={p.id} className="flex items-center gap-2 text-xs h-7">
+            <label className="flex items-center gap-1.5 flex-1 min-w-0 text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={isIncluded}
+                onChange={() => toggleIncluded(p.id)}
+                className="accent-[#A9BFA8] w-3.5 h-3.5"
+              />
+              <span
+                className={`truncate ${isIncluded ? "" : "line-through text-gray-400"}`}
+              >
+                {p.name}
+              </span>
+            </label>
+            {isIncluded && split.type === "equal" && (
+              <span className="font-mono text-gray-400">
+                {formatMoney(amount / included.length, expenseForm.currency)}
+              </span>
+            )}
+            {isIncluded && split.type === "shares" && (
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={split.shares?.[p.id] ?? ""}
+                onChange={(e) => setMemberValue("shares", p.id, e.target.value)}
+                placeholder={String(participantHeadcount(p))}
+                className={smallInputCls}
+              />
+            )}
+            {isIncluded && split.type === "exact" && (
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={split.amounts?.[p.id] ?? ""}
+                onChange={(e) =>
+                  setMemberValue("amounts", p.id, e.target.value)
+                }
+                placeholder="0"
+                className={smallInputCls}
+              />
+            )}
+          </div>
+        );
+      })}
+      {split.type === "shares" && (
+        <div className="text-[10px] text-gray-400">
+          未填比例時以成員人數計算
+        </div>
+      )}
+      {split.type === "exact" && (
+        <div
+          className={`text-[10px] text-right font-bold ${
+            Math.abs(exactSum - amount) < 0.01
+              ? "text-[#A9BFA8]"
+              : "text-red-400"
+          }`}
+        >
+          合計 {formatMoney(exactSum, expenseForm.currency)} /{" "}
+          {formatMoney(amount, expenseForm.currency)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- 收據縮圖 / 全螢幕檢視 ---
+const ReceiptThumb = ({ receiptId, onOpen }) => {
+  const [thumb, setThumb] = useState(
+    () => receiptThumbCache.get(receiptId) || null
+  );
+  useEffect(() => {
+    let cancelled = false;
+    loadReceiptThumb(receiptId)
+      .then((t) => !cancelled && setThumb(t))
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [receiptId]);
+  if (!thumb) return null;
+  return (
+    <button
+      onClick={(e) => {
+        e.stopPropagation();
+        onOpen(receiptId);
+      }}
+      className="w-9 h-9 shrink-0 rounded-lg overflow-hidden border border-gray-200 bg-white"
+    >
+      <img src={thumb} alt="收據" className="w-full h-full object-cover" />
+    </button>
+  );
+};
+
+const ReceiptViewer = ({ receiptId, onClose }) => {
+  const Icons = window.Icons;
+  const [receipt, setReceipt] = useState(null);
+  useEffect(() => {
+    setReceipt(null);
+    if (receiptId)
+      loadReceiptImage(receiptId)
+        .then((r) => setReceipt(r || { missing: true }))
+        .catch(() => setReceipt({ missing: true }));
+  }, [receiptId]);
+  if (!receiptId) return null;
+  return (
+    <div
+      className="fixed inset-0 bg-black/90 flex items-center justify-center z-[160] p-4"
+      onClick={onClose}
+    >
+      <button onClick={onClose} className="absolute top-4 right-4 text-white">
+        <Icons.X size={28} />
+      </button>
+      {!receipt ? (
+        <Icons.Loader2 size={32} className="animate-spin text-white" />
+      ) : receipt.missing ? (
+        <div className="text-sm text-gray-300">找不到這張收據照片</div>
+      ) : (
+        <img
+          src={receipt.image}
+          alt="收據"
+          className="max-w-full max-h-full object-contain"
+          onClick={(e) => e.stopPropagation()}
+        />
+      )}
+    </div>
+  );
+};
+
+// 備份彈窗內的照片空間用量與清理
+const ReceiptStorageInfo = () => {
+  const [usage, setUsage] = useState(null);
+  const refresh = async () => {
+    try {
+      const receipts = await listReceiptImages();
+      const used = collectReceiptIds();
+      const orphans = receipts.filter((r) => !used.has(r.id));
+      const estimate = navigator.storage?.estimate
+        ? await navigator.storage.estimate()
+        : null;
+      setUsage({
+        count: receipts.length,
+        bytes: receipts.reduce((sum, r) => sum + (r.size || 0), 0),
+        orphanIds: orphans.map((r) => r.id),
+        quota: estimate && estimate.quota,
+      });
+    } catch (e) {
+      setUsage({ error: true });
+    }
+  };
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  const handleCleanup = async () => {
+    if (
+      !window.confirm(
+        `刪除 ${usage.orphanIds.length} 張沒有對應消費的收據照片？`
+      )
+    )
+      return;
+    try {
+      await deleteReceiptImages(usage.orphanIds);
+    } catch (e) {
+      setUsage({ error: true });
+      return;
+    }
+    usage.orphanIds.forEach((id) => receiptThumbCache.delete(id));
+    refresh();
+  };
+
+  if (!usage) return null;
+  return (
+    <div className="mt-4 pt-4 border-t border-dashed border-gray-200 text-[10px] text-gray-400 flex justify-between items-center gap-2">
+      {usage.error ? (
+        <span>無法讀取收據照片空間</span>
+      ) : (
+        <span>
+          收據照片 {usage.count} 張 · {formatBytes(usage.bytes)}
+          {usage.quota ? ` (可用 ${formatBytes(usage.quota)})` : ""}
+          ，不含在備份檔內
+        </span>
+      )}
+      {usage.orphanIds && usage.orphanIds.length > 0 && (
+        <button
+          onClick={handleCleanup}
+          className="font-bold shrink-0 hover:text-red-400"
+        >
+          清除未使用 ({usage.orphanIds.length})
+        </button>
+      )}
+    </div>
+  );
+};
+
+// --- 待辨識收據佇列彈窗 ---
+const ReceiptQueueModal = ({
+  isOpen,
+  onClose,
+  entries,
+  spotNames,
+  isOnline,
+  onConfirm,
+  onRetry,
+  onRemove,
+}) => {
+  const Icons = window.Icons;
+  if (!isOpen) return null;
+  return (
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-[130] p-4">
+      <div className="glass-panel rounded-3xl p-6 w-full max-w-sm bg-white border border-gray-100 shadow-xl flex flex-col max-h-[85vh]">
+        <div className="flex justify-between items-center mb-1">
+          <h3 className="font-bold text-lg flex items-center gap-2 text-gray-800">
+            <Icons.Camera size={20} className="text-[#E4C2C1]" /> 待辨識收據
+          </h3>
+          <button onClick={onClose}>
+            <Icons.X size={20} className="text-gray-400 hover:text-gray-600" />
+          </button>
+        </div>
+        <p className="text-[10px] text-gray-400 mb-4">
+          沒有網路或辨識失敗的收據會留在這裡，恢復連線後自動重新辨識；辨識完成後按「確認」記帳。
+        </p>
+
+        <div className="flex-1 overflow-y-auto no-scrollbar space-y-2">
+          {entries.length === 0 && (
+            <div className="text-xs text-gray-400 text-center py-4">
+              沒有待處理的收據
+            </div>
+          )}
+          {entries.map((entry) => (
+            <div
+              key={entry.id}
+              className="p-2 rounded-xl border bg-gray-50 border-gray-100 flex items-center gap-2"
+            >
+              <img
+                src={entry.thumb || entry.image}
+                alt="收據"
+                className="w-12 h-12 shrink-0 rounded-lg object-cover border border-gray-200"
+              />
+              <div className="flex-1 min-w-0">
+                <div className="text-xs font-bold text-gray-700 truncate">
+                  {spotNames[entry.spotId] || "已刪除的景點"}
+                </div>
+                {entry.result ? (
+                  <div className="text-[10px] text-[#A9BFA8] font-bold truncate">
+                    {entry.result.store} ·{" "}
+                    {formatMoney(
+                      entry.result.amount,
+                      entry.result.currency || entry.currency
+                    )}
+                  </div>
+                ) : (
+                  <div className="text-[10px] text-amber-600 truncate">
+                    等待辨識 · {entry.lastError}
+                  </div>
+                )}
+                <div className="text-[10px] text-gray-400">
+                  {formatTime(entry.createdAt)}
+                  {entry.attempts > 0 && ` · 已嘗試 ${entry.attempts} 次`}
+                </div>
+              </div>
+              {entry.result ? (
+                <button
+                  onClick={() => onConfirm(entry)}
+                  className="px-2 py-1 rounded-lg text-[10px] font-bold bg-[#E4C2C1] text-white hover:brightness-105"
+                >
+                  確認
+                </button>
+              ) : (
+                <button
+                  onClick={() => onRetry(entry)}
+                  disabled={!isOnline}
+                  className="px-2 py-1 rounded-lg text-[10px] font-bold border border-gray-200 text-gray-500 hover:text-[#A9BFA8] disabled:opacity-40"
+                >
+                  重試
+                </button>
+              )}
+              <button
+                onClick={() => onRemove(entry)}
+                className="text-gray-400 hover:text-red-400"
+              >
+                <Icons.Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- 收據明細 (待確認收據內，可拆成獨立消費或指定由某位成員負擔) ---
+const ReceiptItemsEditor = ({ receipt, participants, currency, onChange }) => {
+  const Icons = window.Icons;
+  const symbol = getCurrency(currency).symbol;
+  const setAssign = (index, assign) =>
+    onChange({
+      items: receipt.items.map((item, i) =>
+        i === index ? { ...item, assign } : item
+      ),
+    });
+  return (
+    <div className="mt-2 pt-2 border-t border-dashed border-gray-200 space-y-1">
+      {receipt.items.map((item, i) => (
+        <div key={i} className="flex items-center gap-2 text-[10px]">
+          <span className="flex-1 truncate text-gray-600">{item.name}</span>
+          <span className="font-mono text-gray-400 shrink-0">
+            {item.qty} × {symbol}
+            {item.price.toLocaleString()}
+          </span>
+          <select
+            value={item.assign || ""}
+            onChange={(e) => setAssign(i, e.target.value)}
+            className="bg-gray-50 border border-gray-200 rounded px-1 outline-none text-gray-500"
+          >
+            <option value="">留在收據</option>
+            <option value="separate">分開記帳</option>
+            {participants.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name} 負擔
+              </option>
+            ))}
+          </select>
+        </div>
+      ))}
+      {(receipt.tax > 0 || receipt.serviceCharge > 0) && (
+        <div className="text-[10px] text-gray-400">
+          稅 {symbol}
+          {receipt.tax.toLocaleString()} · 服務費 {symbol}
+          {receipt.serviceCharge.toLocaleString()} (拆開時依金額比例分攤)
+        </div>
+      )}
+      {receipt.isMismatch && (
+        <div className="text-[10px] font-bold text-amber-600 flex items-center gap-1">
+          <Icons.AlertTriangle size={12} /> 明細合計與總額不符，請對照照片確認
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- 單筆消費編輯 (記帳彈窗的歷史紀錄內) ---
+const ExpenseRecordEditor = ({
+  record,
+  spotId,
+  spotOptions,
+  onSave,
+  onCancel,
+}) => {
+  const [draft, setDraft] = useState({
+    amount: String(record.amount),
+    currency: record.currency,
+    note: record.note || "",
+    time: toDateTimeLocal(record.timestamp || record.id),
+    category: normalizeCategory(record.category),
+    spotId,
+  });
+  const set = (field, value) => setDraft({ ...draft, [field]: value });
+  const inputCls =
+    "w-full bg-white px-2 py-1.5 rounded-lg text-xs outline-none border border-gray-200 text-gray-700 focus:border-[#E4C2C1]";
+
+  const handleSave = () => {
+    const amount = parseAmount(draft.amount, draft.currency);
+    // 輸入框只到分鐘，沒改時間就保留原本的秒數，避免每次都記成時間有修改
+    const originalTime = record.timestamp || record.id;
+    const timestamp =
+      draft.time === toDateTimeLocal(originalTime)
+        ? originalTime
+        : new Date(draft.time).getTime();
+    if (!(amount >= 0) || isNaN(timestamp)) {
+      alert("請輸入正確的金額與時間");
+      return;
+    }
+    onSave(
+      {
+        amount,
+        currency: draft.currency,
+        note: draft.note,
+        timestamp,
+        category: draft.category,
+      },
+      draft.spotId
+    );
+  };
+
+  return (
+    <div className="bg-[#F9F3F3] p-3 rounded-xl border border-[#E4C2C1]/40 space-y-2">
+      <div className="flex gap-2">
+        <select
+          value={draft.currency}
+          onChange={(e) => set("currency", e.target.value)}
+          className={`${inputCls} w-20 font-bold`}
+        >
+          {window.CURRENCY_OPTIONS.map((c) => (
+            <option key={c.code} value={c.code}>
+              {c.code}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          step="any"
+          value={draft.amount}
+          onChange={(e) => set("amount", e.target.value)}
+          className={`${inputCls} font-mono font-bold`}
+        />
+      </div>
+      <input
+        value={draft.note}
+        onChange={(e) => set("note", e.target.value)}
+        placeholder="備註"
+        className={inputCls}
+      />
+      <div className="flex gap-2">
+        <input
+          type="datetime-local"
+          value={draft.time}
+          onChange={(e) => set("time", e.target.value)}
+          className={`${inputCls} font-mono`}
+        />
+        <select
+          value={draft.category}
+          onChange={(e) => set("category", e.target.value)}
+          className={`${inputCls} w-24`}
+        >
+          {window.EXPENSE_CATEGORIES.map((c) => (
+            <option key={c.id} value={c.id}>
+              {c.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <select
+        value={draft.spotId}
+        onChange={(e) => set("spotId", e.target.value)}
+        className={inputCls}
+      >
+        {spotOptions.map((o) => (
+          <option key={o.id} value={o.id}>
+            {o.dayLabel} · {o.name}
+          </option>
+        ))}
+      </select>
+      <div className="flex gap-2">
+        <button
+          onClick={onCancel}
+          className="flex-1 py-1.5 rounded-lg text-xs font-bold text-gray-500 hover:bg-white"
+        >
+          取消
+        </button>
+        <button
+          onClick={handleSave}
+          className="flex-1 py-1.5 rounded-lg text-xs font-bold text-white bg-[#E4C2C1] hover:brightness-105"
+        >
+          更新
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// --- 修改紀錄 (顯示每次修改的欄位前後值) ---
+const ExpenseHistory = ({ history, spotOptions }) => {
+  const formatValue = (field, value) => {
+    if (value === undefined || value === "") return "—";
+    if (field === "timestamp") return formatTime(value);
+    if (field === "category") return getExpenseCategory(value).label;
+    if (field === "spotId")
+      return spotOptions.find((o) => o.id === value)?.name || "已刪除的景點";
+    return String(value);
+  };
+  return (
+    <div className="mt-2 pt-2 border-t border-dashed border-gray-200 space-y-1">
+      {history.map((entry) => (
+        <div key={entry.at} className="text-[10px] text-gray-400">
+          <span className="font-mono">{formatTime(entry.at)}</span>
+          {Object.entries(entry.changes).map(([field, change]) => (
+            <div key={field} className="pl-2">
+              {EXPENSE_FIELD_LABELS[field] || field}：
+              {formatValue(field, change.from)} →{" "}
+              <span className="text-gray-600">
+                {formatValue(field, change.to)}
+              </span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// --- ExpenseModal ---
+const ExpenseModal = ({
+  isOpen,
+  onClose,
+  currentEditingSpot,
+  expenseForm,
+  setExpenseForm,
+  handleImageUpload,
+  pendingReceipts,
+  togglePendingReceipt,
+  updatePendingReceipt,
+  removePendingReceipt,
+  saveExpense,
+  expenses,
+  deleteExpense,
+  isAnalyzingReceipt,
+  quotaStatus,
+  participants = [],
+  updateExpense,
+  spotOptions = [],
+  onViewReceipt,
+}) => {
+  const Icons = window.Icons;
+  const [sortConfig, setSortConfig] = useState({
+    key: "date",
+    direction: "desc",
+  });
+  const [editingId, setEditingId] = useState(null);
+  const [historyOpenId, setHistoryOpenId] = useState(null);
+  const [expandedReceiptId, setExpandedReceiptId] = useState(null);
+
+  if (!isOpen || !currentEditingSpot) return null;
+  const safePendingReceipts = pendingReceipts || [];
+
+  const currentSpotExpenses = expenses[currentEditingSpot.id] || [];
+  const sortedExpenses = [...currentSpotExpenses].sort((a, b) => {
+    const valA = sortConfig.key === "date" ? a.timestamp || a.id : a.amount;
+    const valB = sortConfig.key === "date" ? b.timestamp || b.id : b.amount;
+    return sortConfig.direction === "asc" ? valA - valB : valB - valA;
+  });
+
+  const toggleSort = (key) => {
+    setSortConfig((prev) => ({
+      key,
+      direction: prev.key === key && prev.direction === "desc" ? "asc" : "desc",
+    }));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-[100] p-4 backdrop-blur-sm animate-in fade-in duration-200">
+      <div className="glass-panel rounded-3xl p-6 w-full max-w-sm bg-white border border-gray-100 flex flex-col max-h-[85vh] shadow-2xl">
+        <h3 className="font-bold text-lg mb-4 flex items-center gap-2 text-gray-800">
+          <Icons.Wallet size={20} className="text-[#E4C2C1]" />{" "}
+          {currentEditingSpot.name}
+          {currentEditingSpot.isLedger && (
+            <span className="text-xs font-bold text-gray-400">
+              {currentEditingSpot.dayLabel}
+            </span>
+          )}
+        </h3>
+
+        <div className="flex-1 overflow-y-auto pr-1 no-scrollbar">
+          <div className="grid grid-cols-4 gap-1.5 mb-4">
+            {window.EXPENSE_CATEGORIES.map((c) => {
+              const Icon = Icons[c.icon] || Icons.Wallet;
+              const isActive = expenseForm.category === c.id;
+              return (
+                <button
+                  key={c.id}
+                  onClick={() =>
+                    setExpenseForm({ ...expenseForm, category: c.id })
+                  }
+                  className={`py-2 rounded-xl text-[10px] font-bold flex flex-col items-center gap-1 border transition-colors ${
+                    isActive
+                      ? "bg-white shadow-sm"
+                      : "bg-gray-50 border-gray-100 text-gray-400"
+                  }`}
+                  style={
+                    isActive ? { borderColor: c.color, color: c.color } : {}
+                  }
+                >
+                  <Icon size={16} />
+                  {c.label}
+                </button>
+              );
+            })}
+          </div>
+          <input
+            type="text"
+            value={expenseForm.note}
+            onChange={(e) =>
+              setExpenseForm({ ...expenseForm, note: e.target.value })
+            }
+            className="w-full bg-gray-50 p-3 rounded-xl mb-4 text-sm outline-none border border-gray-200 text-gray-800 focus:border-[#E4C2C1]"
+            placeholder="備註"
+          />
+          <div className="relative mb-4 flex gap-2">
+            <select
+              value={expenseForm.currency}
+              onChange={(e) =>
+                setExpenseForm({ ...expenseForm, currency: e.target.value })
+              }
+              className="bg-gray-50 px-2 rounded-xl border border-gray-200 outline-none text-sm font-bold text-gray-600"
+            >
+              {window.CURRENCY_OPTIONS.map((c) => (
+                <option key={c.code} value={c.code}>
+                  {c.code}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              step="any"
+              value={expenseForm.amount}
+              onChange={(e) =>
+                setExpenseForm({ ...expenseForm, amount: e.target.value })
+              }
+              className="w-full bg-gray-50 p-3 rounded-xl text-2xl font-mono border border-gray-200 outline-none text-gray-800 focus:border-[#E4C2C1] pr-12 font-bold placeholder-gray-300"
+              placeholder="0"
+            />
+            <div className="absolute right-3 top-1/2 -translate-y-1/2 flex items-center gap-2">
+              <div className="relative">
+                <input
+                  type="file"
+                  accept="image/*"
+                  id="modal-gallery-upload"
+                  className="hidden"
+                  multiple
+                  onChange={handleImageUpload}
+                  disabled={isAnalyzingReceipt}
+                />
+                <label
+                  htmlFor="modal-gallery-upload"
+                  className={`p-1.5 rounded-lg cursor-pointer flex items-center justify-center transition-colors ${
+                    isAnalyzingReceipt
+                      ? "text-gray-400 cursor-not-allowed"
+                      : "text-gray-400 hover:text-[#4ECDC4] hover:bg-gray-100"
+                  }`}
+                >
+                  <Icons.Image size={20} />
+                </label>
+              </div>
+              <div className="relative">
+                <input
+                  type="file"
+                  accept="image/*"
+                  capture="environment"
+                  id="modal-camera-upload"
+                  className="hidden"
+                  onChange={handleImageUpload}
+                  disabled={isAnalyzingReceipt}
+                />
+                <label
+                  htmlFor="modal-camera-upload"
+                  className={`p-1.5 rounded-lg cursor-pointer flex items-center justify-center transition-colors ${
+                    isAnalyzingReceipt
+                      ? "text-[#E4C2C1] animate-pulse"
+                      : "text-gray-400 hover:text-[#4ECDC4] hover:bg-gray-100"
+                  }`}
+                >
+                  {isAnalyzingReceipt ? (
+                    <Icons.Loader2 size={20} className="animate-spin" />
+                  ) : (
+                    <Icons.Camera size={20} />
+                  )}
+                </label>
+              </div>
+            </div>
+          </div>
+
+          {participants.length > 0 && (
+            <SplitEditor
+              participants={participants}
+              expenseForm={expenseForm}
+              setExpenseForm={setExpenseForm}
+            />
+          )}
+
+          {safePendingReceipts.length > 0 && (
+            <div className="mb-6 space-y-2 bg-[#F9F7F5] p-3 rounded-xl border border-gray-200">
+              <div className="text-xs font-bold text-[#A9BFA8] flex justify-between px-1">
+                <span>AI 辨識結果</span>
+                <span>{quotaStatus.text}</span>
+              </div>
+              {safePendingReceipts.map((item) => (
+                <div
+                  key={item.id}
+                  className={`p-2 rounded-lg transition-colors ${
+                    item.isChecked
+                      ? "bg-white border border-[#E4C2C1]"
+                      : "bg-gray-100 opacity-60"
+                  }`}
+                >
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={item.isChecked}
+                      disabled={item.isQueued}
+                      onChange={() => togglePendingReceipt(item.id)}
+                      className="accent-[#E4C2C1] w-4 h-4 cursor-pointer rounded"
+                    />
+                    {item.thumb && (
+                      <img
+                        src={item.thumb}
+                        alt="收據"
+                        className="w-9 h-9 shrink-0 rounded-lg object-cover border border-gray-200"
+                      />
+                    )}
+                    <div className="flex-1 min-w-0">
+                      {item.isAnalyzing ? (
+                        <div className="text-xs text-gray-500 flex items-center gap-1">
+                          <Icons.Loader2 size={12} className="animate-spin" />{" "}
+                          分析中...
+                        </div>
+                      ) : (
+                        <>
+                          <div className="text-sm truncate text-gray-800">
+                            {item.note}
+                          </div>
+                          <div className="flex justify-between items-center mt-0.5">
+                            <div className="text-xs text-[#E4C2C1] font-mono font-bold flex items-center gap-1">
+                              {formatMoney(
+                                item.amount || 0,
+                                item.currency || expenseForm.currency
+                              )}
+                              <select
+                                value={item.category || "other"}
+                                onChange={(e) =>
+                                  updatePendingReceipt(item.id, {
+                                    category: e.target.value,
+                                  })
+                                }
+                                className="bg-transparent text-[10px] text-gray-500 outline-none font-sans"
+                              >
+                                {window.EXPENSE_CATEGORIES.map((c) => (
+                                  <option key={c.id} value={c.id}>
+                                    {c.label}
+                                  </option>
+                                ))}
+                              </select>
+                            </div>
+                            {item.timestamp && (
+                              <div className="text-[10px] text-gray-400">
+                                {formatTime(item.timestamp)}
+                              </div>
+                            )}
+                          </div>
+                          {(item.paymentMethod ||
+                            (item.items && item.items.length > 0)) && (
+                            <div className="flex gap-2 text-[10px] text-gray-400 mt-0.5">
+                              {item.paymentMethod &&
+                                PAYMENT_METHODS.find(
+                                  (m) => m.id === item.paymentMethod
+                                ).label}
+                              {item.items && item.items.length > 0 && (
+                                <button
+                                  onClick={() =>
+                                    setExpandedReceiptId(
+                                      expandedReceiptId === item.id
+                                        ? null
+                                        : item.id
+                                    )
+                                  }
+                                  className="font-bold hover:text-gray-600"
+                                >
+                                  明細 {item.items.length} 項{" "}
+                                  {expandedReceiptId === item.id ? "▲" : "▼"}
+                                </button>
+                              )}
+                              {item.isMismatch && (
+                                <Icons.AlertTriangle
+                                  size={12}
+                                  className="text-amber-500"
+                                />
+                              )}
+                            </div>
+                          )}
+                        </>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => removePendingReceipt(item.id)}
+                      className="text-gray-400 hover:text-red-400"
+                    >
+                      <Icons.X size={14} />
+                    </button>
+                  </div>
+                  {expandedReceiptId === item.id && item.items && (
+                    <ReceiptItemsEditor
+                      receipt={item}
+                      participants={participants}
+                      currency={item.currency || expenseForm.currency}
+                      onChange={(patch) => updatePendingReceipt(item.id, patch)}
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="pt-4 border-t border-dashed border-gray-200">
+            <div className="flex justify-between items-center mb-2">
+              <span className="text-xs font-bold text-gray-400 uppercase tracking-wider">
+                歷史紀錄
+              </span>
+              <div className="flex gap-1">
+                <button
+                  onClick={() => toggleSort("date")}
+                  className={`px-2 py-1 rounded-full text-[10px] font-bold border transition-colors ${
+                    sortConfig.key === "date"
+                      ? "bg-[#E4C2C1] text-white border-[#E4C2C1]"
+                      : "bg-gray-50 text-gray-400 border-gray-200"
+                  }`}
+                >
+                  時間{" "}
+                  {sortConfig.key === "date" &&
+                    (sortConfig.direction === "desc" ? "↓" : "↑")}
+                </button>
+                <button
+                  onClick={() => toggleSort("amount")}
+                  className={`px-2 py-1 rounded-full text-[10px] font-bold border transition-colors ${
+                    sortConfig.key === "amount"
+                      ? "bg-[#A9BFA8] text-white border-[#A9BFA8]"
+                      : "bg-gray-50 text-gray-400 border-gray-200"
+                  }`}
+                >
+                  金額{" "}
+                  {sortConfig.key === "amount" &&
+                    (sortConfig.direction === "desc" ? "↓" : "↑")}
+                </button>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              {sortedExpenses.length === 0 && (
+                <div className="text-xs text-gray-400 text-center py-2">
+                  無消費紀錄
+                </div>
+              )}
+              {sortedExpenses.map((r) =>
+                editingId === r.id ? (
+                  <ExpenseRecordEditor
+                    key={r.id}
+                    record={r}
+                    spotId={currentEditingSpot.id}
+                    spotOptions={spotOptions}
+                    onCancel={() => setEditingId(null)}
+                    onSave={(patch, targetSpotId) => {
+                      updateExpense(
+                        currentEditingSpot.id,
+                        r.id,
+                        patch,
+                        targetSpotId
+                      );
+                      setEditingId(null);
+                    }}
+                  />
+                ) : (
+                  <div
+                    key={r.id}
+                    className="text-sm bg-gray-50 p-3 rounded-xl border border-gray-100"
+                  >
+                    <div className="flex justify-between gap-2">
+                      {r.receiptId && (
+                        <ReceiptThumb
+                          receiptId={r.receiptId}
+                          onOpen={onViewReceipt}
+                        />
+                      )}
+                      <div className="flex flex-col flex-1 min-w-0">
+                        <span className="text-gray-700 font-medium flex items-center gap-1.5">
+                          <CategoryIcon category={r.category} size={12} />
+                          {r.note || "消費"}
+                        </span>
+                        <span className="text-[10px] text-gray-400">
+                          {formatTime(r.timestamp || r.id)}
+                          {r.paymentMethod &&
+                            ` · ${
+                              PAYMENT_METHODS.find(
+                                (m) => m.id === r.paymentMethod
+                              )?.label || ""
+                            }`}
+                          {r.items &&
+                            r.items.length > 0 &&
+                            ` · ${r.items.length} 項明細`}
+                          {participants.some((p) => p.id === r.paidBy) &&
+                            ` · ${participants.find((p) => p.id === r.paidBy).name} 付`}
+                        </span>
+                      </div>
+                      <div className="flex gap-3 items-center">
+                        <span className="font-mono font-bold text-gray-800">
+                          {formatMoney(r.amount, r.currency)}
+                        </span>
+                        <button
+                          onClick={() => setEditingId(r.id)}
+                          className="text-gray-400 hover:text-[#A9BFA8]"
+                        >
+                          <Icons.Pencil size={14} />
+                        </button>
+                        <button
+                          onClick={() =>
+                            deleteExpense(currentEditingSpot.id, r.id)
+                          }
+                          className="text-gray-400 hover:text-red-400"
+                        >
+                          <Icons.X size={14} />
+                        </button>
+                      </div>
+                    </div>
+                    {r.history && r.history.length > 0 && (
+                      <>
+                        <button
+                          onClick={() =>
+                            setHistoryOpenId(
+                              historyOpenId === r.id ? null : r.id
+                            )
+                          }
+                          className="text-[10px] font-bold text-gray-400 hover:text-gray-600"
+                        >
+                          已修改 {r.history.length} 次{" "}
+                          {historyOpenId === r.id ? "▲" : "▼"}
+                        </button>
+                        {historyOpenId === r.id && (
+                          <ExpenseHistory
+                            history={r.history}
+                            spotOptions={spotOptions}
+                          />
+                        )}
+                      </>
+                    )}
+                  </div>
+                )
+              )}
+            </div>
+          </div>
+        </div>
+        <div className="flex gap-2 mt-4 shrink-0 pt-4 border-t border-gray-100">
+          <button
+            onClick={onClose}
+            className="flex-1 py-3 text-gray-500 hover:bg-gray-50 rounded-xl transition-colors font-medium"
+          >
+            取消
+          </button>
+          <button
+            onClick={saveExpense}
+            className="flex-1 bg-[#E4C2C1] text-white rounded-xl font-bold py-3 shadow-md hover:brightness-105 active:scale-95 transition-all"
+          >
+            儲存
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- KML 匯入彈窗 ---
+const KmlImportModal = ({ isOpen, onClose, onImport, onReset }) => {
+  const Icons = window.Icons;
+  const [preview, setPreview] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [error, setError] = useState("");
+  const [isParsing, setIsParsing] = useState(false);
+
+  if (!isOpen) return null;
+
+  const handleClose = () => {
+    setPreview(null);
+    setFileName("");
+    setError("");
+    onClose();
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setFileName(file.name);
+    setError("");
+    setPreview(null);
+    setIsParsing(true);
+    try {
+      setPreview(await readKmlFile(file));
+    } catch (err) {
+      setError(err.message || "讀取失敗");
+    }
+    setIsParsing(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-[130] p-4">
+      <div className="glass-panel rounded-3xl p-6 w-full max-w-sm bg-white border border-gray-100 shadow-xl flex flex-col max-h-[85vh]">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="font-bold text-lg flex items-center gap-2 text-gray-800">
+            <Icons.Upload size={20} className="text-[#A9BFA8]" /> 匯入行程
+          </h3>
+          <button onClick={handleClose}>
+            <Icons.X size={20} className="text-gray-400 hover:text-gray-600" />
+          </button>
+        </div>
+        <p className="text-xs text-gray-400 mb-4">
+          選擇 Google My Maps 匯出的 KML / KMZ
+          檔。每個圖層會成為一天，地標會成為景點。匯入後將取代目前的行程；名稱與位置相同的景點會保留原本的消費與設定。
+        </p>
+
+        <input
+          type="file"
+          accept=".kml,.kmz"
+          id="kml-file-upload"
+          className="hidden"
+          onChange={handleFile}
+        />
+        <label
+          htmlFor="kml-file-upload"
+          className="w-full py-3 mb-4 bg-[#F9F7F5] border border-dashed border-gray-300 text-gray-500 rounded-xl text-sm font-bold flex items-center justify-center gap-2 cursor-pointer hover:border-[#A9BFA8] hover:text-[#A9BFA8] transition-colors"
+        >
+          {isParsing ? (
+            <Icons.Loader2 size={16} className="animate-spin" />
+          ) : (
+            <Icons.Upload size={16} />
+          )}
+          {fileName || "選擇檔案"}
+        </label>
+
+        {error && (
+          <div className="text-xs text-red-400 font-bold mb-4 flex items-center gap-1">
+            <Icons.AlertTriangle size={14} /> {error}
+          </div>
+        )}
+
+        {preview && (
+          <div className="flex-1 overflow-y-auto no-scrollbar space-y-2 mb-4">
+            {preview.map((day) => (
+              <div
+                key={day.dayId}
+                className="bg-gray-50 p-3 rounded-xl border border-gray-100"
+              >
+                <div className="flex items-center gap-2 mb-1">
+                  <div
+                    className={`${day.themeColor} w-1.5 h-4 rounded-full`}
+                  ></div>
+                  <span className="text-xs font-bold text-gray-400">
+                    {day.date}
+                  </span>
+                  <span className="text-sm font-bold text-gray-800 truncate">
+                    {day.title}
+                  </span>
+                </div>
+                <div className="text-[10px] text-gray-500 truncate">
+                  {day.spots.map((s) => s.name).join(" → ")}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <button
+          onClick={() => {
+            if (onImport(preview) === false) return;
+            handleClose();
+          }}
+          disabled={!preview}
+          className="w-full bg-[#A9BFA8] text-white rounded-xl font-bold py-3 shadow-md hover:brightness-105 disabled:opacity-40"
+        >
+          匯入 {preview ? `${preview.length} 天行程` : ""}
+        </button>
+        <button
+          onClick={() => {
+            if (!window.confirm("還原為 index.html 的預設行程？")) return;
+            if (onReset() === false) return;
+            handleClose();
+          }}
+          className="w-full mt-2 text-xs text-gray-400 py-2 hover:text-red-400"
+        >
+          還原為預設行程
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// --- 行程庫彈窗 (新增 / 切換 / 複製 / 封存) ---
+const TripLibraryModal = ({
+  isOpen,
+  onClose,
+  trips,
+  activeTripId,
+  onSwitch,
+  onCreate,
+  onDuplicate,
+  onRename,
+  onToggleArchive,
+  onOpenBackup,
+}) => {
+  const Icons = window.Icons;
+  const [newName, setNewName] = useState("");
+  const [showArchived, setShowArchived] = useState(false);
+  if (!isOpen) return null;
+
+  const activeTrips = trips.filter((t) => !t.archived);
+  const archivedTrips = trips.filter((t) => t.archived);
+
+  const renderTrip = (trip) => {
+    const isActive = trip.id === activeTripId;
+    return (
+      <div
+        key={trip.id}
+        className={`p-3 rounded-xl border flex items-center gap-2 ${
+          isActive
+            ? "bg-white border-[#E4C2C1] shadow-sm"
+            : "bg-gray-50 border-gray-100"
+        }`}
+      >
+        <div className="flex-1 min-w-0">
+          <input
+            value={trip.name}
+            onChange={(e) => onRename(trip.id, e.target.value)}
+            className="w-full bg-transparent text-sm font-bold text-gray-800 outline-none truncate"
+          />
+          <div className="text-[10px] text-gray-400">
+            {isActive ? "目前行程 · " : ""}
+            建立於 {formatTime(trip.createdAt)}
+          </div>
+        </div>
+        {!isActive && !trip.archived && (
+          <button
+            onClick={() => onSwitch(trip.id)}
+            className="px-2 py-1 rounded-lg text-[10px] font-bold bg-[#E4C2C1] text-white hover:brightness-105"
+          >
+            切換
+          </button>
+        )}
+        <button
+          onClick={() => onDuplicate(trip.id)}
+          className="px-2 py-1 rounded-lg text-[10px] font-bold border border-gray-200 text-gray-500 hover:text-[#A9BFA8]"
+        >
+          複製
+        </button>
+        {!isActive && (
+          <button
+            onClick={() => onToggleArchive(trip.id)}
+            className="px-2 py-1 rounded-lg text-[10px] font-bold border border-gray-200 text-gray-500 hover:text-red-400"
+          >
+            {trip.archived ? "還原" : "封存"}
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-[130] p-4">
+      <div className="glass-panel rounded-3xl p-6 w-full max-w-sm bg-white border border-gray-100 shadow-xl flex flex-col max-h-[85vh]">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="font-bold text-lg flex items-center gap-2 text-gray-800">
+            <Icons.Map size={20} className="text-[#E4C2C1]" /> 我的行程
+          </h3>
+          <button onClick={onClose}>
+            <Icons.X size={20} className="text-gray-400 hover:text-gray-600" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto no-scrollbar space-y-2 mb-4">
+          {activeTrips.map(renderTrip)}
+          {archivedTrips.length > 0 && (
+            <button
+              onClick={() => setShowArchived(!showArchived)}
+              className="w-full text-xs font-bold text-gray-400 py-2 hover:text-gray-600"
+            >
+              已封存 ({archivedTrips.length}) {showArchived ? "▲" : "▼"}
+            </button>
+          )}
+          {showArchived && archivedTrips.map(renderTrip)}
+        </div>
+
+        <div className="flex gap-2 pt-4 border-t border-gray-100">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="新行程名稱"
+            className="flex-1 bg-gray-50 p-3 rounded-xl text-sm outline-none border border-gray-200 text-gray-800 focus:border-[#E4C2C1]"
+          />
+          <button
+            onClick={() => {
+              if (!newName.trim()) return;
+              onCreate(newName.trim());
+              setNewName("");
+            }}
+            className="px-4 bg-[#A9BFA8] text-white rounded-xl font-bold flex items-center gap-1 hover:brightness-105"
+          >
+            <Icons.Plus size={16} /> 新增
+          </button>
+        </div>
+        <button
+          onClick={onOpenBackup}
+          className="w-full mt-3 text-xs font-bold text-gray-400 py-2 hover:text-[#A2C4C9] flex items-center justify-center gap-1"
+        >
+          <Icons.Shield size={14} /> 備份 / 還原所有資料
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// --- 分帳成員彈窗 ---
+const ParticipantsModal = ({
+  isOpen,
+  onClose,
+  participants,
+  setParticipants,
+  party,
+  setParty,
+}) => {
+  const Icons = window.Icons;
+  const [newName, setNewName] = useState("");
+  if (!isOpen) return null;
+
+  const updateParticipant = (id, patch) =>
+    setParticipants(
+      participants.map((p) => (p.id === id ? { ...p, ...patch } : p))
+    );
+  const addParticipant = () => {
+    if (!newName.trim()) return;
+    setParticipants([
+      ...participants,
+      { id: createId("member"), name: newName.trim(), adults: 1, children: 0 },
+    ]);
+    setNewName("");
+  };
+  const removeParticipant = (p) => {
+    if (window.confirm(`刪除「${p.name}」？由他付款的消費會變成未指定付款人。`))
+      setParticipants(participants.filter((x) => x.id !== p.id));
+  };
+  const countCls =
+    "w-12 bg-white px-1 py-1 rounded-lg text-xs font-mono text-center outline-none border border-gray-200 text-gray-700";
+  const updateTraveller = (id, patch) =>
+    setParty(party.map((t) => (t.id === id ? { ...t, ...patch } : t)));
+  const addTraveller = () =>
+    setParty([
+      ...party,
+      {
+        id: createId("traveller"),
+        name: `旅客 ${party.length + 1}`,
+        age: "",
+        student: false,
+        memberId: participants[0]?.id || "",
+      },
+    ]);
+
+  return (
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-[130] p-4">
+      <div className="glass-panel rounded-3xl p-6 w-full max-w-sm bg-white border border-gray-100 shadow-xl flex flex-col max-h-[85vh]">
+        <div className="flex justify-between items-center mb-1">
+          <h3 className="font-bold text-lg flex items-center gap-2 text-gray-800">
+            <Icons.Users size={20} className="text-[#A9BFA8]" /> 成員與旅客
+          </h3>
+          <button onClick={onClose}>
+            <Icons.X size={20} className="text-gray-400 hover:text-gray-600" />
+          </button>
+        </div>
+        <p className="text-[10px] text-gray-400 mb-4">
+          成員可以是一個人或一整個家庭；大人 / 小孩人數用於門票分攤與預設比例。
+        </p>
+
+        <div className="flex-1 overflow-y-auto no-scrollbar space-y-2 mb-4">
+          {participants.length === 0 && (
+            <div className="text-xs text-gray-400 text-center py-4">
+              尚未新增成員
+            </div>
+          )}
+          {participants.map((p) => (
+            <div
+              key={p.id}
+              className="p-3 rounded-xl border bg-gray-50 border-gray-100 flex items-center gap-2"
+            >
+              <input
+                value={p.name}
+                onChange={(e) =>
+                  updateParticipant(p.id, { name: e.target.value })
+                }
+                className="flex-1 min-w-0 bg-transparent text-sm font-bold text-gray-800 outline-none"
+              />
+              <span className="text-[10px] text-gray-400">大</span>
+              <input
+                type="number"
+                min="0"
+                value={p.adults}
+                onChange={(e) =>
+                  updateParticipant(p.id, {
+                    adults: Math.max(0, parseInt(e.target.value) || 0),
+                  })
+                }
+                className={countCls}
+              />
+              <span className="text-[10px] text-gray-400">小</span>
+              <input
+                type="number"
+                min="0"
+                value={p.children}
+                onChange={(e) =>
+                  updateParticipant(p.id, {
+                    children: Math.max(0, parseInt(e.target.value) || 0),
+                  })
+                }
+                className={countCls}
+              />
+              <button
+                onClick={() => removeParticipant(p)}
+                className="text-gray-400 hover:text-red-400"
+              >
+                <Icons.Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+
+          <div className="pt-3">
+            <div className="text-xs font-bold text-gray-500">同行旅客</div>
+            <p className="text-[10px] text-gray-400 mb-2">
+              門票張數依旅客年齡自動套用票種
+              (幼兒、小孩、敬老、學生)，未填年齡視為大人；沒有旅客時依成員的大人
+              / 小孩人數。
+            </p>
+            {party.map((t) => (
+              <div
+                key={t.id}
+                className="p-2 mb-2 rounded-xl border bg-gray-50 border-gray-100 flex items-center gap-2"
+              >
+                <input
+                  value={t.name}
+                  onChange={(e) =>
+                    updateTraveller(t.id, { name: e.target.value })
+                  }
+                  className="flex-1 min-w-0 bg-transparent text-xs font-bold text-gray-800 outline-none"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  value={t.age}
+                  onChange={(e) =>
+                    updateTraveller(t.id, {
+                      age:
+                        e.target.value === ""
+                          ? ""
+                          : Math.max(0, parseInt(e.target.value) || 0),
+                    })
+                  }
+                  placeholder="歲"
+                  className={countCls}
+                />
+                <label className="flex items-center gap-0.5 text-[10px] text-gray-500">
+                  <input
+                    type="checkbox"
+                    checked={!!t.student}
+                    onChange={(e) =>
+                      updateTraveller(t.id, { student: e.target.checked })
+                    }
+                    className="accent-[#A9BFA8]"
+                  />
+                  學生
+                </label>
+                {participants.length > 0 && (
+                  <select
+                    value={t.memberId || ""}
+                    onChange={(e) =>
+                      updateTraveller(t.id, { memberId: e.target.value })
+                    }
+                    className="w-16 bg-white border border-gray-200 rounded-lg px-1 py-1 text-[10px] outline-none text-gray-600"
+                  >
+                    <option value="">不分攤</option>
+                    {participants.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.name}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <button
+                  onClick={() => setParty(party.filter((x) => x.id !== t.id))}
+                  className="text-gray-400 hover:text-red-400"
+                >
+                  <Icons.Trash2 size={14} />
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={addTraveller}
+              className="w-full py-2 border border-dashed border-gray-300 rounded-xl text-xs font-bold text-gray-400 hover:text-[#A9BFA8] hover:border-[#A9BFA8] flex items-center justify-center gap-1 transition-colors"
+            >
+              <Icons.Plus size={14} /> 新增旅客
+            </button>
+          </div>
+        </div>
+
+        <div className="flex gap-2 pt-4 border-t border-gray-100">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="成員或家庭名稱"
+            className="flex-1 bg-gray-50 p-3 rounded-xl text-sm outline-none border border-gray-200 text-gray-800 focus:border-[#E4C2C1]"
+          />
+          <button
+            onClick={addParticipant}
+            className="px-4 bg-[#A9BFA8] text-white rounded-xl font-bold flex items-center gap-1 hover:brightness-105"
+          >
+            <Icons.Plus size={16} /> 新增
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- 備份 / 還原彈窗 ---
+const BackupModal = ({ isOpen, onClose }) => {
+  const Icons = window.Icons;
+  const [backup, setBackup] = useState(null);
+  const [conflicts, setConflicts] = useState([]);
+  const [fileName, setFileName] = useState("");
+  const [error, setError] = useState("");
+  const [mode, setMode] = useState("merge");
+  const [conflictStrategy, setConflictStrategy] = useState("local");
+
+  if (!isOpen) return null;
+
+  const handleClose = () => {
+    setBackup(null);
+    setConflicts([]);
+    setFileName("");
+    setError("");
+    onClose();
+  };
+
+  const handleExport = () => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `trip-backup-${stamp}.json`,
+      JSON.stringify(buildBackup(), null, 2),
+      "application/json"
+    );
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setFileName(file.name);
+    setError("");
+    setBackup(null);
+    try {
+      const parsed = parseBackup(await file.text());
+      setBackup(parsed);
+      setConflicts(findExpenseConflicts(parsed));
+    } catch (err) {
+      setError(err.message || "讀取失敗");
+    }
+  };
+
+  const handleRestore = () => {
+    if (
+      mode === "replace" &&
+      !window.confirm("將以備份檔取代目前所有行程與紀錄，確定嗎？")
+    )
+      return;
+    applyBackup(backup, { mode, conflictStrategy });
+    window.location.reload();
+  };
+
+  const optionCls = (active) =>
+    `flex-1 py-2 rounded-xl text-xs font-bold border transition-colors ${
+      active
+        ? "bg-[#E4C2C1] text-white border-[#E4C2C1]"
+        : "bg-gray-50 text-gray-400 border-gray-200"
+    }`;
+
+  return (
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-[140] p-4">
+      <div className="glass-panel rounded-3xl p-6 w-full max-w-sm bg-white border border-gray-100 shadow-xl flex flex-col max-h-[85vh]">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="font-bold text-lg flex items-center gap-2 text-gray-800">
+            <Icons.Shield size={20} className="text-[#A2C4C9]" /> 備份 / 還原
+          </h3>
+          <button onClick={handleClose}>
+            <Icons.X size={20} className="text-gray-400 hover:text-gray-600" />
+          </button>
+        </div>
+        <p className="text-xs text-gray-400 mb-4">
+          匯出所有行程、消費、停留與出發紀錄、航班與住宿設定為一個 JSON 檔 (不含
+          AI 金鑰)。
+        </p>
+
+        <button
+          onClick={handleExport}
+          className="w-full bg-[#A2C4C9] text-white rounded-xl font-bold py-3 shadow-md hover:brightness-105 mb-4"
+        >
+          下載備份檔
+        </button>
+
+        <div className="pt-4 border-t border-dashed border-gray-200 flex-1 overflow-y-auto no-scrollbar">
+          <input
+            type="file"
+            accept=".json,application/json"
+            id="backup-file-upload"
+            className="hidden"
+            onChange={handleFile}
+          />
+          <label
+            htmlFor="backup-file-upload"
+            className="w-full py-3 mb-4 bg-[#F9F7F5] border border-dashed border-gray-300 text-gray-500 rounded-xl text-sm font-bold flex items-center justify-center gap-2 cursor-pointer hover:border-[#A2C4C9] hover:text-[#A2C4C9] transition-colors"
+          >
+            <Icons.Upload size={16} /> {fileName || "選擇備份檔還原"}
+          </label>
+
+          {error && (
+            <div className="text-xs text-red-400 font-bold mb-4 flex items-center gap-1">
+              <Icons.AlertTriangle size={14} /> {error}
+            </div>
+          )}
+
+          {backup && (
+            <div className="space-y-3">
+              <div className="bg-gray-50 p-3 rounded-xl border border-gray-100 text-xs text-gray-500">
+                <div className="font-bold text-gray-700 mb-1">
+                  {backup.trips.length} 個行程 · v{backup.schemaVersion}
+                </div>
+                <div>備份時間 {formatTime(backup.exportedAt)}</div>
+                <div className="truncate">
+                  {backup.trips.map((t) => t.name).join("、")}
+                </div>
+              </div>
+
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setMode("merge")}
+                  className={optionCls(mode === "merge")}
+                >
+                  合併
+                </button>
+                <button
+                  onClick={() => setMode("replace")}
+                  className={optionCls(mode === "replace")}
+                >
+                  全部取代
+                </button>
+              </div>
+              <p className="text-[10px] text-gray-400">
+                {mode === "merge"
+                  ? "保留本機資料，加入備份中新的行程與紀錄。"
+                  : "清除本機所有行程與紀錄，改用備份檔內容。"}
+              </p>
+
+              {mode === "merge" && conflicts.length > 0 && (
+                <div className="bg-amber-50 border border-amber-100 p-3 rounded-xl">
+                  <div className="text-xs font-bold text-amber-600 mb-2 flex items-center gap-1">
+                    <Icons.AlertTriangle size={14} /> {conflicts.length} 筆消費
+                    ID 相同但內容不同
+                  </div>
+                  <div className="space-y-1 mb-2 max-h-24 overflow-y-auto no-scrollbar">
+                    {conflicts.map((c) => (
+                      <div
+                        key={`${c.tripId}-${c.incoming.id}`}
+                        className="text-[10px] text-gray-500 flex justify-between"
+                      >
+                        <span className="truncate">
+                          {c.local.note} → {c.incoming.note}
+                        </span>
+                        <span className="font-mono">
+                          {c.local.amount} → {c.incoming.amount}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                  <select
+                    value={conflictStrategy}
+                    onChange={(e) => setConflictStrategy(e.target.value)}
+                    className="w-full p-2 rounded-lg text-xs font-bold outline-none"
+                  >
+                    <option value="local">保留本機版本</option>
+                    <option value="backup">使用備份版本</option>
+                    <option value="both">兩筆都保留</option>
+                  </select>
+                </div>
+              )}
+
+              <button
+                onClick={handleRestore}
+                className="w-full bg-[#E4C2C1] text-white rounded-xl font-bold py-3 shadow-md hover:brightness-105"
+              >
+                {mode === "merge" ? "合併還原" : "取代還原"}
+              </button>
+            </div>
+          )}
+          <ReceiptStorageInfo />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- 交通設定彈窗 ---
+const TravelSettingsModal = ({
+  isOpen,
+  onClose,
+  travelSettings,
+  setTravelSettings,
+  routeCacheSize,
+  clearRouteCache,
+  weatherCacheSize,
+  clearWeatherCache,
+}) => {
+  const Icons = window.Icons;
+  // 輸入中的文字 (清空或還不合法的數值、還沒離開欄位的網址) 先留在這裡，合法時才寫回設定
+  const [drafts, setDrafts] = useState({});
+  if (!isOpen) return null;
+  const profiles = getTravelProfiles(travelSettings.profiles);
+
+  const clearDraft = (draftKey) =>
+    setDrafts(({ [draftKey]: _, ...rest }) => rest);
+  const updateProfile = (mode, key, value) => {
+    setDrafts({ ...drafts, [`${mode}.${key}`]: value });
+    const parsed = parseFloat(value);
+    if (!isValidProfileValue(key, parsed)) return;
+    setTravelSettings({
+      ...travelSettings,
+      profiles: {
+        ...travelSettings.profiles,
+        [mode]: {
+          ...(travelSettings.profiles?.[mode] || {}),
+          [key]: parsed,
+        },
+      },
+    });
+  };
+  const profileInputProps = (mode, key) => ({
+    value: drafts[`${mode}.${key}`] ?? profiles[mode][key],
+    onChange: (e) => updateProfile(mode, key, e.target.value),
+    onBlur: () => clearDraft(`${mode}.${key}`),
+  });
+  const commitUrl = (key) => {
+    if (drafts[key] === undefined) return;
+    if (drafts[key].trim() !== (travelSettings[key] || ""))
+      setTravelSettings({ ...travelSettings, [key]: drafts[key].trim() });
+    clearDraft(key);
+  };
+  const urlInputProps = (key) => ({
+    value: drafts[key] ?? (travelSettings[key] || ""),
+    onChange: (e) => setDrafts({ ...drafts, [key]: e.target.value }),
+    onBlur: () => commitUrl(key),
+    onKeyDown: (e) => e.key === "Enter" && e.target.blur(),
+  });
+
+  const inputCls =
+    "w-full bg-gray-50 px-2 py-1.5 rounded-lg text-xs font-mono outline-none border border-gray-200 text-gray-700 focus:border-[#A9BFA8]";
+
+  return (
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-[130] p-4">
+      <div className="glass-panel rounded-3xl p-6 w-full max-w-sm bg-white border border-gray-100 shadow-xl flex flex-col max-h-[85vh]">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="font-bold text-lg flex items-center gap-2 text-gray-800">
+            <Icons.Car size={20} className="text-[#A9BFA8]" /> 交通與天氣設定
+          </h3>
+          <button onClick={onClose}>
+            <Icons.X size={20} className="text-gray-400 hover:text-gray-600" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto no-scrollbar space-y-4">
+          <div>
+            <div className="grid grid-cols-4 gap-1.5 text-[10px] font-bold text-gray-400 mb-1 px-1">
+              <span></span>
+              <span>時速 km/h</span>
+              <span>繞路係數</span>
+              <span>緩衝 min</span>
+            </div>
+            <div className="space-y-1.5">
+              {Object.entries(profiles).map(([mode, profile]) => {
+                const ModeIcon = Icons[profile.icon] || Icons.Car;
+                return (
+                  <div
+                    key={mode}
+                    className="grid grid-cols-4 gap-1.5 items-center"
+                  >
+                    <span className="text-xs font-bold text-gray-600 flex items-center gap-1">
+                      <ModeIcon size={14} className="text-[#A9BFA8]" />
+                      {profile.label}
+                    </span>
+                    <input
+                      type="number"
+                      min="1"
+                      {...profileInputProps(mode, "speedKmh")}
+                      className={inputCls}
+                    />
+                    <input
+                      type="number"
+                      min="1"
+                      step="0.05"
+                      {...profileInputProps(mode, "detourFactor")}
+                      className={inputCls}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      {...profileInputProps(mode, "bufferMin")}
+                      className={inputCls}
+                    />
+                  </div>
+                );
+              })}
+            </div>
+            <button
+              onClick={() =>
+                setTravelSettings({ ...travelSettings, profiles: {} })
+              }
+              className="text-[10px] font-bold text-gray-400 hover:text-[#E4C2C1] mt-2"
+            >
+              恢復預設值
+            </button>
+          </div>
+
+          <div className="pt-4 border-t border-dashed border-gray-200">
+            <div className="text-xs font-bold text-gray-600 mb-1">
+              路線服務 (OSRM 相容 API)
+            </div>
+            <p className="text-[10px] text-gray-400 mb-2">
+              填入後會查詢實際道路距離與時間並快取；查不到時改用上方的估算值。大眾運輸一律使用估算。
+            </p>
+            <input
+              type="url"
+              {...urlInputProps("routingUrl")}
+              placeholder="https://router.project-osrm.org"
+              className={inputCls}
+            />
+            <div className="flex justify-between items-center mt-2 text-[10px] text-gray-400">
+              <span>已快取 {routeCacheSize} 段路線</span>
+              <button
+                onClick={clearRouteCache}
+                className="font-bold hover:text-red-400"
+              >
+                清除快取
+              </button>
+            </div>
+          </div>
+
+          <div className="pt-4 border-t border-dashed border-gray-200">
+            <div className="text-xs font-bold text-gray-600 mb-1">天氣預報</div>
+            <p className="text-[10px] text-gray-400 mb-2">
+              依景點座標與推算的抵達時間顯示逐時預報，需在編輯模式設定每天的日期。預報只涵蓋未來約兩週。
+            </p>
+            <select
+              value={travelSettings.weatherProvider || "open-meteo"}
+              onChange={(e) =>
+                setTravelSettings({
+                  ...travelSettings,
+                  weatherProvider: e.target.value,
+                })
+              }
+              className={`${inputCls} mb-2`}
+            >
+              {Object.entries(WEATHER_PROVIDERS).map(([key, provider]) => (
+                <option key={key} value={key}>
+                  {provider.label}
+                </option>
+              ))}
+              <option value="off">關閉</option>
+            </select>
+            {(travelSettings.weatherProvider || "open-meteo") ===
+              "open-meteo" && (
+              <input
+                type="url"
+                {...urlInputProps("weatherUrl")}
+                placeholder={DEFAULT_WEATHER_URL}
+                className={inputCls}
+              />
+            )}
+            <div className="flex justify-between items-center mt-2 text-[10px] text-gray-400">
+              <span>已快取 {weatherCacheSize} 筆預報</span>
+              <button
+                onClick={clearWeatherCache}
+                className="font-bold hover:text-red-400"
+              >
+                清除快取
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- 列印手冊 ---
+// qrcode-generator (CDN) 產生 SVG；離線又沒快取到套件時回傳 null，改印網址
+const buildQrSvg = (text) => {
+  if (!window.qrcode) return null;
+  const qr = window.qrcode(0, "M");
+  qr.addData(text);
+  qr.make();
+  return qr.createSvgTag({ cellSize: 2, margin: 0, scalable: true });
+};
+
+const BookletQr = ({ url, label }) => {
+  const svg = useMemo(() => buildQrSvg(url), [url]);
+  return (
+    <div className="w-20 shrink-0 text-center">
+      {svg ? (
+        <div
+          className="w-16 h-16 mx-auto"
+          dangerouslySetInnerHTML={{ __html: svg }}
+        ></div>
+      ) : (
+        <div className="text-[8px] text-gray-400 break-all">{url}</div>
+      )}
+      <div className="text-[9px] text-gray-500 mt-0.5">{label}</div>
+    </div>
+  );
+};
+
+const hasFlightLeg = (leg) => !!leg && FLIGHT_FIELDS.some((f) => leg[f.key]);
+
+const BookletFlightLeg = ({ label, leg }) => {
+  if (!hasFlightLeg(leg)) return null;
+  return (
+    <div className="flex items-baseline gap-3 text-sm py-1">
+      <span className="font-bold w-10">{label}</span>
+      <span className="text-gray-500 w-16">{leg.date}</span>
+      <span className="font-bold">
+        {leg.from} {leg.dep} → {leg.to} {leg.arr}
+      </span>
+      <span className="text-gray-500">
+        {[leg.airline, leg.flight, leg.duration].filter(Boolean).join(" · ")}
+      </span>
+    </div>
+  );
+};
+
+// 以 portal 掛在 body 底下，列印時隱藏整個 #root 只留手冊
+const PrintBooklet = ({
+  isOpen,
+  onClose,
+  tripName,
+  tripData,
+  flightInfo,
+  hotelInfo,
+  dailyStats,
+  stats,
+  baseCurrency,
+}) => {
+  const Icons = window.Icons;
+  const [showQr, setShowQr] = useState(true);
+  const [showExpenses, setShowExpenses] = useState(false);
+  useEffect(() => {
+    if (!isOpen) return;
+    // 有花費紀錄 (旅程結束後) 才預設附上花費摘要
+    setShowExpenses(stats.totalBase > 0);
+    document.body.classList.add("printing-booklet");
+    return () => document.body.classList.remove("printing-booklet");
+  }, [isOpen]);
+  if (!isOpen) return null;
+
+  const firstDay = tripData[0];
+  const lastDay = tripData[tripData.length - 1];
+  return ReactDOM.createPortal(
+    <div className="print-booklet fixed inset-0 z-[170] bg-white overflow-y-auto p-6 text-gray-800">
+      <div className="no-print sticky top-0 -mx-6 -mt-6 mb-6 px-6 py-3 bg-white/95 border-b border-gray-100 flex flex-wrap items-center gap-3">
+        <span className="font-bold flex items-center gap-2">
+          <Icons.Printer size={18} className="text-[#A9BFA8]" /> 列印手冊
+        </span>
+        <label className="flex items-center gap-1 text-xs text-gray-500">
+          <input
+            type="checkbox"
+            checked={showQr}
+            onChange={(e) => setShowQr(e.target.checked)}
+            className="accent-[#A9BFA8]"
+          />
+          QR Code
+        </label>
+        <label className="flex items-center gap-1 text-xs text-gray-500">
+          <input
+            type="checkbox"
+            checked={showExpenses}
+            onChange={(e) => setShowExpenses(e.target.checked)}
+            className="accent-[#A9BFA8]"
+          />
+          花費摘要
+        </label>
+        <div className="ml-auto flex gap-2">
+          <button
+            onClick={() => window.print()}
+            className="px-4 py-2 rounded-xl bg-[#A9BFA8] text-white text-sm font-bold hover:brightness-105"
+          >
+            列印 / 存成 PDF
+          </button>
+          <button
+            onClick={onClose}
+            className="px-3 py-2 rounded-xl border border-gray-200 text-sm font-bold text-gray-500"
+          >
+            關閉
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-black mb-1">{tripName}</h1>
+          {firstDay && (
+            <div className="text-sm text-gray-500">
+              {firstDay.date}
+              {lastDay !== firstDay && ` – ${lastDay.date}`} · 共{" "}
+              {tripData.length} 天
+            </div>
+          )}
+        </div>
+
+        {(hasFlightLeg(flightInfo.outbound) ||
+          hasFlightLeg(flightInfo.inbound)) && (
+          <section className="print-avoid-break mb-6">
+            <h2 className="text-lg font-bold border-b-2 border-[#E4C2C1] mb-2">
+              航班資訊
+            </h2>
+            <BookletFlightLeg label="去程" leg={flightInfo.outbound} />
+            <BookletFlightLeg label="回程" leg={flightInfo.inbound} />
+          </section>
+        )}
+
+        {hotelInfo.length > 0 && (
+          <section className="print-avoid-break mb-6">
+            <h2 className="text-lg font-bold border-b-2 border-[#E8D595] mb-2">
+              住宿安排
+            </h2>
+            {hotelInfo.map((h, i) => (
+              <div key={i} className="flex gap-3 text-sm py-1">
+                <span className="text-gray-500 w-16">{h.day}</span>
+                <span className="font-bold">{h.name}</span>
+                <span className="text-gray-500">{h.location}</span>
+              </div>
+            ))}
+          </section>
+        )}
+
+        {tripData.map((day) => (
+          <section key={day.dayId} className="print-page-break pt-4">
+            <h2 className="text-xl font-black border-b-2 border-[#A9BFA8] pb-1 mb-3">
+              Day {day.dayNumber} · {day.date} {day.title}
+            </h2>
+            {day.spots.map((spot) => (
+              <div
+                key={spot.id}
+                className="print-avoid-break flex gap-3 py-3 border-b border-gray-100"
+              >
+                <div className="w-20 shrink-0 font-mono text-sm">
+                  <div className="font-bold">{spot.time}</div>
+                  {spot.departureMinutes > spot.arrivalMinutes && (
+                    <div className="text-gray-400">
+                      – {minutesToTimeStr(spot.departureMinutes)}
+                    </div>
+                  )}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <div className="font-bold">{spot.name}</div>
+                  <div className="text-xs text-gray-500">
+                    停留 {spot.stay}
+                    {spot.hoursText && ` · 營業 ${spot.hoursText}`}
+                    {spot.ticketTime && ` · 預約入場 ${spot.ticketTime}`}
+                  </div>
+                  {spot.hoursWarning && (
+                    <div className="text-xs font-bold text-amber-700">
+                      ⚠ {spot.hoursWarning.label}
+                    </div>
+                  )}
+                  {spot.desc && (
+                    <div className="text-xs text-gray-600 mt-1 whitespace-pre-line">
+                      {spot.desc}
+                    </div>
+                  )}
+                  {spot.nextStop && (
+                    <div className="text-xs text-gray-400 mt-1">
+                      → {spot.nextStop.name} · {spot.nextStop.distance} ·{" "}
+                      {spot.nextStop.travelTime}
+                    </div>
+                  )}
+                </div>
+                {showQr && <BookletQr url={spot.gmapLink} label="地圖" />}
+                {showQr && spot.nextStop && (
+                  <BookletQr url={spot.nextStop.navLink} label="導航下一站" />
+                )}
+              </div>
+            ))}
+          </section>
+        ))}
+
+        {showExpenses && (
+          <section className="print-page-break pt-4">
+            <h2 className="text-xl font-black border-b-2 border-[#E4C2C1] pb-1 mb-3">
+              花費摘要
+            </h2>
+            <div className="text-lg font-bold mb-3">
+              總花費 {formatMoney(stats.totalBase, baseCurrency)}
+            </div>
+            {stats.missingRateCount > 0 && (
+              <div className="text-xs text-amber-700 mb-3">
+                {stats.missingRateCount} 筆消費缺少匯率，未計入總額
+              </div>
+            )}
+            <div className="grid grid-cols-2 gap-6 text-sm">
+              <table className="w-full">
+                <tbody>
+                  {stats.tripLedgerBase > 0 && (
+                    <tr className="border-b border-gray-100">
+                      <td className="py-1">{TRIP_LEDGER_DAY.date}</td>
+                      <td className="py-1 text-right font-mono">
+                        {formatMoney(stats.tripLedgerBase, baseCurrency)}
+                      </td>
+                    </tr>
+                  )}
+                  {dailyStats.map((day) => (
+                    <tr key={day.dayId} className="border-b border-gray-100">
+                      <td className="py-1">{day.date}</td>
+                      <td className="py-1 text-right font-mono">
+                        {formatMoney(day.totalBase, baseCurrency)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <table className="w-full">
+                <tbody>
+                  {stats.byCategory.map((c) => (
+                    <tr key={c.id} className="border-b border-gray-100">
+                      <td className="py-1">{c.label}</td>
+                      <td className="py-1 text-right font-mono">
+                        {formatMoney(c.total, baseCurrency)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+// --- 行事曆匯出彈窗 ---
+const CalendarExportModal = ({
+  isOpen,
+  onClose,
+  tripData,
+  tripId,
+  tripName,
+}) => {
+  const Icons = window.Icons;
+  const [scope, setScope] = useState("all");
+  const [includeTravel, setIncludeTravel] = useState(false);
+
+  if (!isOpen) return null;
+
+  const handleExport = () => {
+    const days =
+      scope === "all" ? tripData : tripData.filter((d) => d.dayId === scope);
+    const { content, skippedDays } = buildIcsCalendar(days, {
+      tripId,
+      tripName,
+      includeTravel,
+    });
+    const suffix =
+      scope === "all" ? "" : `-day${days[0] ? days[0].dayNumber : ""}`;
+    downloadFile(`${tripName}${suffix}.ics`, content, "text/calendar");
+    if (skippedDays.length)
+      alert(`以下天數沒有日期，未匯出：${skippedDays.join("、")}`);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-[130] p-4">
+      <div className="glass-panel rounded-3xl p-6 w-full max-w-sm bg-white border border-gray-100 shadow-xl">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="font-bold text-lg flex items-center gap-2 text-gray-800">
+            <Icons.CalendarDays size={20} className="text-[#A9BFA8]" />{" "}
+            匯出行事曆
+          </h3>
+          <button onClick={onClose}>
+            <Icons.X size={20} className="text-gray-400 hover:text-gray-600" />
+          </button>
+        </div>
+        <p className="text-xs text-gray-400 mb-4">
+          匯出 .ics
+          檔加入手機行事曆。每個景點依推算的抵達與停留時間成為一個事件；再次匯出會更新同一批事件，不會重複。
+        </p>
+        <select
+          value={scope}
+          onChange={(e) => setScope(e.target.value)}
+          className="w-full bg-gray-50 p-3 rounded-xl mb-3 outline-none border border-gray-200 text-sm font-bold text-gray-700"
+        >
+          <option value="all">整趟行程</option>
+          {tripData.map((day) => (
+            <option key={day.dayId} value={day.dayId}>
+              Day {day.dayNumber} · {day.date} {day.title}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-sm font-bold text-gray-600 mb-6 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={includeTravel}
+            onChange={(e) => setIncludeTravel(e.target.checked)}
+            className="accent-[#A9BFA8]"
+          />
+          交通路段另外建立事件
+        </label>
+        <button
+          onClick={handleExport}
+          className="w-full bg-[#A9BFA8] text-white rounded-xl font-bold py-3 shadow-md hover:brightness-105"
+        >
+          下載 .ics
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// --- 報表匯出 / Email 發送彈窗 ---
+const EmailModal = ({
+  isOpen,
+  onClose,
+  emailInput,
+  setEmailInput,
+  handleSendEmail,
+  isSendingEmail,
+  onDownloadReport,
+}) => {
+  const Icons = window.Icons;
+  if (!isOpen) return null;
   return (
-    <div
-      className={`markdown-content ${className}`}
-      dangerouslySetInnerHTML={{ __html: html }}
-    />
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-[130] p-4">
+      <div className="glass-panel rounded-3xl p-6 w-full max-w-sm bg-white border border-gray-100 shadow-xl">
+        <h3 className="font-bold text-lg mb-2 flex items-center gap-2 text-gray-800">
+          <Icons.Mail size={20} className="text-[#A9BFA8]" /> 花費報表
+        </h3>
+        <p className="text-xs text-gray-400 mb-4">
+          每天、每個景點的花費明細
+          (含門票、分類與換算金額)，可下載或發送至您的信箱。
+        </p>
+        <div className="grid grid-cols-2 gap-2 mb-4">
+          {[
+            { format: "csv", label: "CSV (Excel)" },
+            { format: "html", label: "HTML" },
+          ].map(({ format, label }) => (
+            <button
+              key={format}
+              onClick={() => onDownloadReport(format)}
+              className="py-2 rounded-xl border border-gray-200 bg-[#F9F7F5] text-xs font-bold text-gray-600 flex items-center justify-center gap-1 hover:bg-white hover:shadow-sm"
+            >
+              <Icons.Download size={14} /> {label}
+            </button>
+          ))}
+        </div>
+        <input
+          type="email"
+          value={emailInput}
+          onChange={(e) => setEmailInput(e.target.value)}
+          placeholder="Email"
+          className="w-full bg-gray-50 p-3 rounded-xl mb-4 border border-gray-200 outline-none focus:border-[#E4C2C1] text-gray-800"
+        />
+        <button
+          onClick={handleSendEmail}
+          className="w-full bg-[#E4C2C1] text-white rounded-xl font-bold py-3 shadow-md flex items-center justify-center gap-2 hover:brightness-105"
+          disabled={isSendingEmail}
+        >
+          {isSendingEmail ? (
+            <Icons.Loader2 size={16} className="animate-spin" />
+          ) : (
+            "確認發送"
+          )}
+        </button>
+        <button
+          onClick={onClose}
+          className="w-full mt-2 text-gray-400 py-2 hover:text-gray-600"
+        >
+          取消
+        </button>
+      </div>
+    </div>
   );
 };
 
-const ApiKeyModal = ({ isOpen, onClose }) => {
-  const [tempKey, setTempKey] = useState(
-    localStorage.getItem("gemini_api_key") || ""
+// --- 消費分類圖示與分類統計 ---
+const CategoryIcon = ({ category, size = 14 }) => {
+  const Icons = window.Icons;
+  const meta = getExpenseCategory(category);
+  const Icon = Icons[meta.icon] || Icons.Wallet;
+  return <Icon size={size} style={{ color: meta.color }} />;
+};
+
+const CategoryBreakdown = ({ categories, formatAmount }) => {
+  const total = categories.reduce((sum, c) => sum + c.total, 0);
+  if (total === 0) return null;
+  return (
+    <div className="space-y-2 mb-4">
+      {categories.map((c) => (
+        <div key={c.id} className="text-xs">
+          <div className="flex justify-between items-center mb-0.5">
+            <span className="flex items-center gap-1.5 font-bold text-gray-600">
+              <CategoryIcon category={c.id} size={12} />
+              {c.label}
+            </span>
+            <span className="font-mono font-bold text-gray-500">
+              {formatAmount(c.total)}
+              <span className="text-gray-300 ml-1">
+                {Math.round((c.total / total) * 100)}%
+              </span>
+            </span>
+          </div>
+          <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+            <div
+              className="h-full rounded-full"
+              style={{
+                width: `${(c.total / total) * 100}%`,
+                backgroundColor: c.color,
+              }}
+            ></div>
+          </div>
+        </div>
+      ))}
+    </div>
   );
+};
+
+// --- 每日明細彈窗 ---
+const DailyDetailModal = ({
+  isOpen,
+  onClose,
+  dayData,
+  allExpenses,
+  ticketContext,
+  selectedCurrency,
+  exchangeRate,
+  currencyContext,
+  tripData,
+  onViewReceipt,
+  filterPresets,
+  setFilterPresets,
+  onExport,
+}) => {
   const Icons = window.Icons;
-  if (!isOpen) return null;
+  const [sortConfig, setSortConfig] = useState({
+    key: "date",
+    direction: "desc",
+  });
+  const [filter, setFilter] = useState(EMPTY_EXPENSE_FILTER);
+  const [showFilters, setShowFilters] = useState(false);
+  // 每次開啟依點進來的那一天 (或圖表區塊) 重設篩選條件
+  useEffect(() => {
+    if (!isOpen || !dayData) return;
+    setFilter({
+      ...EMPTY_EXPENSE_FILTER,
+      dayId: dayData.isTotalSummary ? "" : dayData.dayId,
+      ...(dayData.filter || {}),
+    });
+    setShowFilters(false);
+  }, [isOpen, dayData]);
+
+  if (!isOpen || !dayData) return null;
+  const dayExpensesList = filterExpenseLines(
+    collectExpenseLines(tripData, allExpenses, ticketContext, currencyContext),
+    filter
+  );
+  const { baseCurrency } = currencyContext;
+  const ledgerDays = withLedgers(tripData);
+  const selectedDay = ledgerDays.find((d) => d.dayId === filter.dayId);
+  const spotChoices = (selectedDay ? [selectedDay] : ledgerDays).flatMap((d) =>
+    d.spots.map((spot) => ({ ...spot, dayDate: d.date }))
+  );
+  const activeFilterCount = countActiveFilters(filter);
+  const updateFilter = (patch) => setFilter((prev) => ({ ...prev, ...patch }));
+  const savePreset = () => {
+    const name = prompt("篩選條件名稱");
+    if (!name) return;
+    setFilterPresets([
+      ...filterPresets,
+      { id: createId("filter"), name, filter },
+    ]);
+  };
+  const filterInputCls =
+    "w-full bg-white px-2 py-1 rounded-lg text-[10px] outline-none border border-gray-200 text-gray-700";
+
+  const totalBase = sumBaseAmount(dayExpensesList);
+
+  const sortedList = [...dayExpensesList].sort((a, b) => {
+    const valA =
+      sortConfig.key === "date" ? a.timestamp || 0 : a.baseAmount || 0;
+    const valB =
+      sortConfig.key === "date" ? b.timestamp || 0 : b.baseAmount || 0;
+    return sortConfig.direction === "asc" ? valA - valB : valB - valA;
+  });
+
+  const toggleSort = (key) => {
+    setSortConfig((prev) => ({
+      key,
+      direction: prev.key === key && prev.direction === "desc" ? "asc" : "desc",
+    }));
+  };
+
   return (
-    <div className="fixed inset-0 bg-stone-900/80 backdrop-blur-sm flex items-center justify-center z-[120] p-4">
-      <div className="glass-panel rounded-2xl p-6 w-full max-w-sm shadow-2xl bg-[#1e293b] text-slate-200 border border-slate-700">
-        <div className="flex justify-between items-center mb-4">
-          <h3 className="font-bold text-lg flex items-center gap-2">
-            <Icons.Settings size={20} className="text-[#4ECDC4]" /> 設定 AI 金鑰
-          </h3>
+    <div
+      className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-[130] p-4 animate-in fade-in duration-200"
+      onClick={onClose}
+    >
+      <div
+        className="glass-panel rounded-3xl p-6 w-full max-w-sm shadow-2xl max-h-[85vh] flex flex-col bg-white border border-gray-100"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4 border-b border-gray-100 pb-3">
+          <div>
+            <div className="text-xs font-bold text-gray-400">
+              {selectedDay ? selectedDay.date : "整個行程"}
+            </div>
+            <h3 className="font-black text-xl text-gray-800">
+              {selectedDay ? selectedDay.title : "總花費明細"}
+            </h3>
+            {filter.spotIds && (
+              <button
+                onClick={() => updateFilter({ spotIds: null, label: "" })}
+                className="inline-flex items-center gap-1 mt-1 px-2 py-0.5 rounded-full bg-[#A9BFA8]/20 text-[#A9BFA8] text-[10px] font-bold"
+              >
+                {filter.label} <Icons.X size={10} />
+              </button>
+            )}
+          </div>
           <button onClick={onClose}>
-            <Icons.X size={20} className="text-slate-400 hover:text-white" />
+            <Icons.X size={20} className="text-gray-400 hover:text-gray-600" />
           </button>
         </div>
-        <input
-          type="password"
-          value={tempKey}
-          onChange={(e) => setTempKey(e.target.value)}
-          placeholder="Paste API Key"
-          className="w-full bg-slate-800 p-3 rounded-xl mb-4 text-white outline-none border border-slate-600 focus:border-[#4ECDC4]"
+
+        <div className="mb-3 space-y-2">
+          <div className="flex gap-2">
+            <div className="flex-1 flex items-center gap-1 bg-gray-50 border border-gray-200 rounded-xl px-2">
+              <Icons.Search size={14} className="text-gray-400 shrink-0" />
+              <input
+                value={filter.text}
+                onChange={(e) => updateFilter({ text: e.target.value })}
+                placeholder="搜尋備註、景點、店名"
+                className="flex-1 min-w-0 bg-transparent py-1.5 text-xs outline-none"
+              />
+            </div>
+            <button
+              onClick={() => setShowFilters(!showFilters)}
+              className={`px-3 rounded-xl text-xs font-bold border transition-colors ${
+                showFilters || activeFilterCount > 0
+                  ? "bg-[#A9BFA8] text-white border-[#A9BFA8]"
+                  : "bg-gray-50 text-gray-400 border-gray-200"
+              }`}
+            >
+              篩選{activeFilterCount > 0 && ` ${activeFilterCount}`}
+            </button>
+          </div>
+          {showFilters && (
+            <div className="p-2 rounded-xl bg-gray-50 border border-gray-100 grid grid-cols-2 gap-1.5">
+              <select
+                value={filter.dayId}
+                onChange={(e) =>
+                  updateFilter({
+                    dayId: e.target.value,
+                    spotId: e.target.value ? "" : filter.spotId,
+                  })
+                }
+                className={filterInputCls}
+              >
+                <option value="">全部天數</option>
+                {ledgerDays.map((d) => (
+                  <option key={d.dayId} value={d.dayId}>
+                    {d.date} {d.title}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={filter.spotId}
+                onChange={(e) => updateFilter({ spotId: e.target.value })}
+                className={filterInputCls}
+              >
+                <option value="">全部景點</option>
+                {spotChoices.map((spot) => (
+                  <option key={spot.id} value={spot.id}>
+                    {spot.isLedger && !selectedDay
+                      ? `${spot.dayDate} ${spot.name}`
+                      : spot.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={filter.category}
+                onChange={(e) => updateFilter({ category: e.target.value })}
+                className={`${filterInputCls} col-span-2`}
+              >
+                <option value="">全部分類</option>
+                {window.EXPENSE_CATEGORIES.map((c) => (
+                  <option key={c.id} value={c.id}>
+                    {c.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                value={filter.minAmount}
+                onChange={(e) => updateFilter({ minAmount: e.target.value })}
+                placeholder={`最低金額 (${baseCurrency})`}
+                className={filterInputCls}
+              />
+              <input
+                type="number"
+                min="0"
+                value={filter.maxAmount}
+                onChange={(e) => updateFilter({ maxAmount: e.target.value })}
+                placeholder={`最高金額 (${baseCurrency})`}
+                className={filterInputCls}
+              />
+              <input
+                type="time"
+                value={filter.fromTime}
+                onChange={(e) => updateFilter({ fromTime: e.target.value })}
+                className={filterInputCls}
+                title="時段起"
+              />
+              <input
+                type="time"
+                value={filter.toTime}
+                onChange={(e) => updateFilter({ toTime: e.target.value })}
+                className={filterInputCls}
+                title="時段迄"
+              />
+              <button
+                onClick={() => setFilter(EMPTY_EXPENSE_FILTER)}
+                className="py-1 text-[10px] font-bold text-gray-400 hover:text-gray-600"
+              >
+                清除條件
+              </button>
+              <button
+                onClick={savePreset}
+                disabled={activeFilterCount === 0}
+                className="py-1 text-[10px] font-bold text-[#A9BFA8] hover:brightness-90 disabled:opacity-40"
+              >
+                儲存為常用條件
+              </button>
+            </div>
+          )}
+          {filterPresets.length > 0 && (
+            <div className="flex gap-1 overflow-x-auto no-scrollbar">
+              {filterPresets.map((preset) => (
+                <span
+                  key={preset.id}
+                  className="shrink-0 flex items-center gap-1 pl-2 pr-1 py-0.5 rounded-full border border-gray-200 bg-white text-[10px] font-bold text-gray-500"
+                >
+                  <button
+                    onClick={() =>
+                      setFilter({ ...EMPTY_EXPENSE_FILTER, ...preset.filter })
+                    }
+                    className="hover:text-[#A9BFA8]"
+                  >
+                    {preset.name}
+                  </button>
+                  <button
+                    onClick={() =>
+                      setFilterPresets(
+                        filterPresets.filter((p) => p.id !== preset.id)
+                      )
+                    }
+                    className="text-gray-300 hover:text-red-400"
+                  >
+                    <Icons.X size={10} />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <CategoryBreakdown
+          categories={sumByCategory(dayExpensesList)}
+          formatAmount={(v) => formatMoney(v, baseCurrency)}
         />
-        <div className="flex gap-2">
-          <a
-            href="https://aistudio.google.com/app/apikey"
-            target="_blank"
-            rel="noreferrer"
-            className="flex-1 text-center py-2.5 rounded-xl border border-slate-600 text-xs font-bold text-slate-400"
-          >
-            取得 Key
-          </a>
-          <button
-            onClick={() => {
-              localStorage.setItem("gemini_api_key", tempKey);
-              onClose();
-              window.location.reload();
-            }}
-            className="flex-1 bg-[#4ECDC4] text-white rounded-xl font-bold"
-          >
-            儲存
-          </button>
+
+        <div className="flex justify-between items-center mb-2 px-1">
+          <span className="text-xs font-bold text-gray-400 uppercase">
+            消費列表
+          </span>
+          <div className="flex gap-1">
+            <button
+              onClick={() => toggleSort("date")}
+              className={`px-2 py-1 rounded-full text-[10px] font-bold border transition-colors ${
+                sortConfig.key === "date"
+                  ? "bg-[#E4C2C1] text-white border-[#E4C2C1]"
+                  : "bg-gray-50 text-gray-400 border-gray-200"
+              }`}
+            >
+              時間{" "}
+              {sortConfig.key === "date" &&
+                (sortConfig.direction === "desc" ? "↓" : "↑")}
+            </button>
+            <button
+              onClick={() => toggleSort("amount")}
+              className={`px-2 py-1 rounded-full text-[10px] font-bold border transition-colors ${
+                sortConfig.key === "amount"
+                  ? "bg-[#A9BFA8] text-white border-[#A9BFA8]"
+                  : "bg-gray-50 text-gray-400 border-gray-200"
+              }`}
+            >
+              金額{" "}
+              {sortConfig.key === "amount" &&
+                (sortConfig.direction === "desc" ? "↓" : "↑")}
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto space-y-3 no-scrollbar pr-1">
+          {sortedList.length === 0 && (
+            <div className="text-center text-gray-400 py-10">尚無紀錄</div>
+          )}
+          {sortedList.map((item, idx) => (
+            <div
+              key={item.id || idx}
+              className="bg-gray-50 p-3 rounded-xl border border-gray-100 flex justify-between items-center gap-2"
+            >
+              {item.receiptId && (
+                <ReceiptThumb
+                  receiptId={item.receiptId}
+                  onOpen={onViewReceipt}
+                />
+              )}
+              <div className="flex flex-col flex-1 min-w-0">
+                <div className="text-xs text-[#A9BFA8] font-bold mb-0.5 flex items-center gap-1">
+                  <CategoryIcon category={item.category} size={12} />
+                  {item.spotName}
+                </div>
+                <div className="text-sm font-bold text-gray-600">
+                  {item.note}
+                </div>
+                {item.timestamp > 0 && (
+                  <div className="text-[10px] text-gray-400 mt-0.5">
+                    {formatTime(item.timestamp)}
+                  </div>
+                )}
+              </div>
+              <div className="text-right">
+                <div className="font-mono font-bold text-[#E4C2C1] text-lg">
+                  {formatMoney(item.amount, item.currency)}
+                </div>
+                {item.currency !== baseCurrency && (
+                  <div className="text-[10px] font-mono text-gray-400">
+                    {item.baseAmount === null
+                      ? "缺少匯率"
+                      : `≈ ${formatMoney(item.baseAmount, baseCurrency)}`}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-4 pt-4 border-t border-gray-100 space-y-1">
+          <div className="flex justify-between">
+            <span className="text-sm font-bold text-gray-500">
+              總計 ({baseCurrency})
+              <span className="text-[10px] text-gray-400 ml-1">
+                {dayExpensesList.length} 筆
+              </span>
+            </span>
+            <span className="text-xl font-mono font-black text-[#E4C2C1]">
+              {formatMoney(totalBase, baseCurrency)}
+            </span>
+          </div>
+          {selectedCurrency.code !== baseCurrency && (
+            <div className="flex justify-between">
+              <span className="text-xs font-bold text-gray-400">
+                約合 ({selectedCurrency.code})
+              </span>
+              <span className="text-sm font-mono font-bold text-gray-500">
+                {formatMoney(totalBase * exchangeRate, selectedCurrency.code)}
+              </span>
+            </div>
+          )}
+          <div className="flex justify-end gap-1 pt-1">
+            {["csv", "html"].map((format) => (
+              <button
+                key={format}
+                onClick={() =>
+                  onExport(
+                    format,
+                    dayExpensesList,
+                    describeExpenseFilter(filter, tripData, baseCurrency)
+                  )
+                }
+                disabled={dayExpensesList.length === 0}
+                className="px-2 py-1 rounded-lg border border-gray-200 text-[10px] font-bold text-gray-400 hover:text-[#A9BFA8] flex items-center gap-1 disabled:opacity-40"
+              >
+                <Icons.Download size={12} /> {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
         </div>
       </div>
     </div>
   );
 };
 
-// --- ExpenseModal ---
-const ExpenseModal = ({
+// --- ExchangeRateModal (匯率來源、手動匯率、歷史查詢) ---
+const ExchangeRateModal = ({
   isOpen,
   onClose,
-  currentEditingSpot,
-  expenseForm,
-  setExpenseForm,
-  handleImageUpload,
-  pendingReceipts,
-  togglePendingReceipt,
-  removePendingReceipt,
-  saveExpense,
-  expenses,
-  deleteExpense,
-  isAnalyzingReceipt,
-  quotaStatus,
+  rateSettings,
+  setRateSettings,
+  rateTable,
+  baseCurrency,
+  fetchRatesForDates,
+  isRateLoading,
+  onClearRates,
 }) => {
   const Icons = window.Icons;
-  const [sortConfig, setSortConfig] = useState({
-    key: "date",
-    direction: "desc",
-  });
-
-  if (!isOpen || !currentEditingSpot) return null;
-  const safePendingReceipts = pendingReceipts || [];
-
-  const currentSpotExpenses = expenses[currentEditingSpot.id] || [];
-  const sortedExpenses = [...currentSpotExpenses].sort((a, b) => {
-    const valA = sortConfig.key === "date" ? a.timestamp || a.id : a.amount;
-    const valB = sortConfig.key === "date" ? b.timestamp || b.id : b.amount;
-    return sortConfig.direction === "asc" ? valA - valB : valB - valA;
-  });
+  const [lookupDate, setLookupDate] = useState(() =>
+    toLocalIsoDate(new Date())
+  );
+  // 輸入中的網址先留在這裡，離開欄位才套用 (換網址會清掉已快取的匯率)
+  const [urlDraft, setUrlDraft] = useState(undefined);
+  if (!isOpen) return null;
 
-  const toggleSort = (key) => {
-    setSortConfig((prev) => ({
-      key,
-      direction: prev.key === key && prev.direction === "desc" ? "asc" : "desc",
-    }));
+  const overrides = rateSettings.overrides || {};
+  const currencies = window.CURRENCY_OPTIONS.filter(
+    (c) => c.code !== baseCurrency
+  );
+  const setOverride = (code, value) => {
+    const next = { ...overrides };
+    const rate = parseFloat(value);
+    if (rate > 0) next[rateOverrideKey(baseCurrency, code)] = rate;
+    else delete next[rateOverrideKey(baseCurrency, code)];
+    setRateSettings({ ...rateSettings, overrides: next });
   };
+  const commitUrl = () => {
+    if (urlDraft === undefined) return;
+    if (urlDraft.trim() !== (rateSettings.url || ""))
+      setRateSettings({ ...rateSettings, url: urlDraft.trim() });
+    setUrlDraft(undefined);
+  };
+  const inputCls =
+    "w-full bg-gray-50 px-2 py-1.5 rounded-lg text-xs font-mono outline-none border border-gray-200 text-gray-700 focus:border-[#A9BFA8]";
 
   return (
-    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-[100] p-4 backdrop-blur-sm animate-in fade-in duration-200">
-      <div className="glass-panel rounded-3xl p-6 w-full max-w-sm bg-white border border-gray-100 flex flex-col max-h-[85vh] shadow-2xl">
-        <h3 className="font-bold text-lg mb-4 flex items-center gap-2 text-gray-800">
-          <Icons.Wallet size={20} className="text-[#E4C2C1]" />{" "}
-          {currentEditingSpot.name}
-        </h3>
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-[130] p-4">
+      <div className="glass-panel rounded-3xl p-6 w-full max-w-sm bg-white border border-gray-100 shadow-xl flex flex-col max-h-[85vh]">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="font-bold text-lg flex items-center gap-2 text-gray-800">
+            <Icons.Wallet size={20} className="text-[#A9BFA8]" /> 匯率設定
+          </h3>
+          <button onClick={onClose}>
+            <Icons.X size={20} className="text-gray-400 hover:text-gray-600" />
+          </button>
+        </div>
 
-        <div className="flex-1 overflow-y-auto pr-1 no-scrollbar">
-          <input
-            type="text"
-            value={expenseForm.note}
-            onChange={(e) =>
-              setExpenseForm({ ...expenseForm, note: e.target.value })
-            }
-            className="w-full bg-gray-50 p-3 rounded-xl mb-4 text-sm outline-none border border-gray-200 text-gray-800 focus:border-[#E4C2C1]"
-            placeholder="備註"
-          />
-          <div className="relative mb-4">
-            <input
-              type="number"
-              value={expenseForm.amount}
+        <div className="flex-1 overflow-y-auto no-scrollbar space-y-4">
+          <div>
+            <div className="text-xs font-bold text-gray-600 mb-1">匯率來源</div>
+            <select
+              value={rateSettings.provider}
               onChange={(e) =>
-                setExpenseForm({ ...expenseForm, amount: e.target.value })
+                setRateSettings({ ...rateSettings, provider: e.target.value })
               }
-              className="w-full bg-gray-50 p-3 rounded-xl text-2xl font-mono border border-gray-200 outline-none text-gray-800 focus:border-[#E4C2C1] pr-12 font-bold placeholder-gray-300"
-              placeholder="0"
-            />
-            <div className="absolute right-3 top-1/2 -translate-y-1/2 flex items-center gap-2">
-              <div className="relative">
-                <input
-                  type="file"
-                  accept="image/*"
-                  id="modal-gallery-upload"
-                  className="hidden"
-                  multiple
-                  onChange={handleImageUpload}
-                  disabled={isAnalyzingReceipt}
-                />
-                <label
-                  htmlFor="modal-gallery-upload"
-                  className={`p-1.5 rounded-lg cursor-pointer flex items-center justify-center transition-colors ${
-                    isAnalyzingReceipt
-                      ? "text-gray-400 cursor-not-allowed"
-                      : "text-gray-400 hover:text-[#4ECDC4] hover:bg-gray-100"
-                  }`}
-                >
-                  <Icons.Image size={20} />
-                </label>
-              </div>
-              <div className="relative">
+              className={`${inputCls} mb-2`}
+            >
+              {Object.entries(RATE_PROVIDERS).map(([key, provider]) => (
+                <option key={key} value={key}>
+                  {provider.label}
+                </option>
+              ))}
+            </select>
+            {rateSettings.provider === "ecb" && (
+              <>
                 <input
-                  type="file"
-                  accept="image/*"
-                  capture="environment"
-                  id="modal-camera-upload"
-                  className="hidden"
-                  onChange={handleImageUpload}
-                  disabled={isAnalyzingReceipt}
+                  type="url"
+                  value={urlDraft ?? (rateSettings.url || "")}
+                  onChange={(e) => setUrlDraft(e.target.value)}
+                  onBlur={commitUrl}
+                  onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                  placeholder={DEFAULT_RATE_URL}
+                  className={inputCls}
                 />
-                <label
-                  htmlFor="modal-camera-upload"
-                  className={`p-1.5 rounded-lg cursor-pointer flex items-center justify-center transition-colors ${
-                    isAnalyzingReceipt
-                      ? "text-[#E4C2C1] animate-pulse"
-                      : "text-gray-400 hover:text-[#4ECDC4] hover:bg-gray-100"
-                  }`}
-                >
-                  {isAnalyzingReceipt ? (
-                    <Icons.Loader2 size={20} className="animate-spin" />
-                  ) : (
-                    <Icons.Camera size={20} />
-                  )}
-                </label>
-              </div>
-            </div>
+                <p className="text-[10px] text-gray-400 mt-1">
+                  需支援 /latest 與 /YYYY-MM-DD，回傳 {"{ base, date, rates }"}
+                  。ECB
+                  參考匯率不含台幣，缺少的幣別會以本機固定匯率交叉換算並標示為「估計」，需要精確匯率請在下方填手動匯率。
+                </p>
+              </>
+            )}
           </div>
 
-          {safePendingReceipts.length > 0 && (
-            <div className="mb-6 space-y-2 bg-[#F9F7F5] p-3 rounded-xl border border-gray-200">
-              <div className="text-xs font-bold text-[#A9BFA8] flex justify-between px-1">
-                <span>AI 辨識結果</span>
-                <span>{quotaStatus.text}</span>
-              </div>
-              {safePendingReceipts.map((item) => (
-                <div
-                  key={item.id}
-                  className={`flex items-center gap-2 p-2 rounded-lg transition-colors ${
-                    item.isChecked
-                      ? "bg-white border border-[#E4C2C1]"
-                      : "bg-gray-100 opacity-60"
-                  }`}
-                >
-                  <input
-                    type="checkbox"
-                    checked={item.isChecked}
-                    onChange={() => togglePendingReceipt(item.id)}
-                    className="accent-[#E4C2C1] w-4 h-4 cursor-pointer rounded"
-                  />
-                  <div className="flex-1 min-w-0">
-                    {item.isAnalyzing ? (
-                      <div className="text-xs text-gray-500 flex items-center gap-1">
-                        <Icons.Loader2 size={12} className="animate-spin" />{" "}
-                        分析中...
-                      </div>
-                    ) : (
-                      <>
-                        <div className="text-sm truncate text-gray-800">
-                          {item.note}
-                        </div>
-                        <div className="flex justify-between items-center mt-0.5">
-                          <div className="text-xs text-[#E4C2C1] font-mono font-bold">
-                            ¥{item.amount}
-                          </div>
-                          {item.timestamp && (
-                            <div className="text-[10px] text-gray-400">
-                              {formatTime(item.timestamp)}
-                            </div>
-                          )}
-                        </div>
-                      </>
-                    )}
-                  </div>
-                  <button
-                    onClick={() => removePendingReceipt(item.id)}
-                    className="text-gray-400 hover:text-red-400"
-                  >
-                    <Icons.X size={14} />
-                  </button>
-                </div>
-              ))}
-            </div>
-          )}
-
           <div className="pt-4 border-t border-dashed border-gray-200">
             <div className="flex justify-between items-center mb-2">
-              <span className="text-xs font-bold text-gray-400 uppercase tracking-wider">
-                歷史紀錄
-              </span>
-              <div className="flex gap-1">
-                <button
-                  onClick={() => toggleSort("date")}
-                  className={`px-2 py-1 rounded-full text-[10px] font-bold border transition-colors ${
-                    sortConfig.key === "date"
-                      ? "bg-[#E4C2C1] text-white border-[#E4C2C1]"
-                      : "bg-gray-50 text-gray-400 border-gray-200"
-                  }`}
-                >
-                  時間{" "}
-                  {sortConfig.key === "date" &&
-                    (sortConfig.direction === "desc" ? "↓" : "↑")}
-                </button>
-                <button
-                  onClick={() => toggleSort("amount")}
-                  className={`px-2 py-1 rounded-full text-[10px] font-bold border transition-colors ${
-                    sortConfig.key === "amount"
-                      ? "bg-[#A9BFA8] text-white border-[#A9BFA8]"
-                      : "bg-gray-50 text-gray-400 border-gray-200"
-                  }`}
-                >
-                  金額{" "}
-                  {sortConfig.key === "amount" &&
-                    (sortConfig.direction === "desc" ? "↓" : "↑")}
-                </button>
-              </div>
+              <span className="text-xs font-bold text-gray-600">匯率查詢</span>
+              <input
+                type="date"
+                value={lookupDate}
+                onChange={(e) =>
+                  e.target.value && setLookupDate(e.target.value)
+                }
+                className="bg-gray-50 px-2 py-1 rounded-lg text-xs font-mono outline-none border border-gray-200 text-gray-700"
+              />
             </div>
-
-            <div className="space-y-2">
-              {sortedExpenses.length === 0 && (
-                <div className="text-xs text-gray-400 text-center py-2">
-                  無消費紀錄
-                </div>
-              )}
-              {sortedExpenses.map((r) => (
-                <div
-                  key={r.id}
-                  className="flex justify-between text-sm bg-gray-50 p-3 rounded-xl border border-gray-100"
-                >
-                  <div className="flex flex-col">
-                    <span className="text-gray-700 font-medium">
-                      {r.note || "消費"}
-                    </span>
-                    <span className="text-[10px] text-gray-400">
-                      {formatTime(r.timestamp || r.id)}
+            <div className="space-y-1.5">
+              {currencies.map((c) => {
+                const auto = findRate(
+                  rateTable,
+                  baseCurrency,
+                  c.code,
+                  lookupDate
+                );
+                return (
+                  <div
+                    key={c.code}
+                    className="grid grid-cols-3 gap-1.5 items-center text-xs"
+                  >
+                    <span className="font-bold text-gray-600">
+                      1 {baseCurrency} → {c.code}
                     </span>
-                  </div>
-                  <div className="flex gap-3 items-center">
-                    <span className="font-mono font-bold text-gray-800">
-                      ¥{r.amount}
+                    <span className="font-mono text-gray-500">
+                      {auto ? auto.rate.toFixed(4) : "—"}
+                      {auto && (
+                        <span className="block text-[9px] text-gray-300">
+                          {auto.date}
+                        </span>
+                      )}
                     </span>
-                    <button
-                      onClick={() => deleteExpense(currentEditingSpot.id, r.id)}
-                      className="text-gray-400 hover:text-red-400"
-                    >
-                      <Icons.X size={14} />
-                    </button>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={
+                        overrides[rateOverrideKey(baseCurrency, c.code)] || ""
+                      }
+                      onChange={(e) => setOverride(c.code, e.target.value)}
+                      placeholder="手動"
+                      className={inputCls}
+                    />
                   </div>
-                </div>
-              ))}
+                );
+              })}
             </div>
+            <p className="text-[10px] text-gray-400 mt-2">
+              填了手動匯率的幣別，所有日期都用手動值；清空即恢復自動匯率。
+            </p>
+            <button
+              onClick={() => fetchRatesForDates([lookupDate], { force: true })}
+              disabled={isRateLoading}
+              className="w-full mt-3 py-2 bg-[#F9F7F5] border border-gray-200 text-[#A9BFA8] rounded-xl text-xs font-bold hover:bg-white disabled:opacity-50"
+            >
+              {isRateLoading ? "查詢中..." : `查詢 ${lookupDate} 的匯率`}
+            </button>
+          </div>
+
+          <div className="flex justify-between items-center pt-4 border-t border-dashed border-gray-200 text-[10px] text-gray-400">
+            <span>已快取 {Object.keys(rateTable).length} 天的匯率</span>
+            <button
+              onClick={onClearRates}
+              className="font-bold hover:text-red-400"
+            >
+              清除快取
+            </button>
           </div>
-        </div>
-        <div className="flex gap-2 mt-4 shrink-0 pt-4 border-t border-gray-100">
-          <button
-            onClick={onClose}
-            className="flex-1 py-3 text-gray-500 hover:bg-gray-50 rounded-xl transition-colors font-medium"
-          >
-            取消
-          </button>
-          <button
-            onClick={saveExpense}
-            className="flex-1 bg-[#E4C2C1] text-white rounded-xl font-bold py-3 shadow-md hover:brightness-105 active:scale-95 transition-all"
-          >
-            儲存
-          </button>
         </div>
       </div>
     </div>
-  );
-};
-
-// --- Email 發送彈窗 ---
-const EmailModal = ({
-  isOpen,
-  onClose,
-  emailInput,
-  setEmailInput,
-  handleSendEmail,
-  isSendingEmail,
+  );
+};
+
+// --- CurrencySwitcher ---
+const CurrencySwitcher = ({
+  selectedCurrency,
+  baseCurrency,
+  exchangeRate,
+  rateInfo,
+  isStale,
+  isOnline,
+  isRateLoading,
+  setSelectedCurrency,
+  onOpenRateSettings,
 }) => {
   const Icons = window.Icons;
-  if (!isOpen) return null;
   return (
-    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-[130] p-4">
-      <div className="glass-panel rounded-3xl p-6 w-full max-w-sm bg-white border border-gray-100 shadow-xl">
-        <h3 className="font-bold text-lg mb-2 flex items-center gap-2 text-gray-800">
-          <Icons.Mail size={20} className="text-[#A9BFA8]" /> 寄送報表
-        </h3>
-        <p className="text-xs text-gray-400 mb-4">
-          將本次旅程的詳細花費清單 (HTML 表格) 發送至您的信箱。
-        </p>
-        <input
-          type="email"
-          value={emailInput}
-          onChange={(e) => setEmailInput(e.target.value)}
-          placeholder="Email"
-          className="w-full bg-gray-50 p-3 rounded-xl mb-4 border border-gray-200 outline-none focus:border-[#E4C2C1] text-gray-800"
-        />
+    <div className="flex items-center gap-2">
+      <button
+        onClick={onOpenRateSettings}
+        title={rateInfo ? `報價日 ${rateInfo.date}` : "匯率設定"}
+        className="text-[10px] sm:text-xs font-bold text-gray-400 italic whitespace-nowrap hidden sm:block hover:text-[#A9BFA8]"
+      >
+        {isRateLoading
+          ? "..."
+          : exchangeRate === null
+            ? `${baseCurrency} → ${selectedCurrency.code} 匯率未取得`
+            : `1 ${baseCurrency} ≈ ${exchangeRate.toFixed(4)} ${
+                selectedCurrency.code
+              }`}
+        {rateInfo && rateInfo.isManual && " (手動)"}
+        {rateInfo && rateInfo.isEstimated && " (估計)"}
+      </button>
+      {(isStale || !isOnline) && (
         <button
-          onClick={handleSendEmail}
-          className="w-full bg-[#E4C2C1] text-white rounded-xl font-bold py-3 shadow-md flex items-center justify-center gap-2 hover:brightness-105"
-          disabled={isSendingEmail}
+          onClick={onOpenRateSettings}
+          title={rateInfo ? `使用 ${rateInfo.date} 的匯率` : "沒有可用的匯率"}
+          className="px-1.5 py-0.5 rounded-md bg-amber-50 border border-amber-100 text-[10px] font-bold text-amber-600 whitespace-nowrap"
         >
-          {isSendingEmail ? (
-            <Icons.Loader2 size={16} className="animate-spin" />
-          ) : (
-            "確認發送"
-          )}
+          {!isOnline ? "離線" : "匯率過期"}
+          {rateInfo && ` · ${rateInfo.date.slice(5)}`}
         </button>
-        <button
-          onClick={onClose}
-          className="w-full mt-2 text-gray-400 py-2 hover:text-gray-600"
+      )}
+      <div className="bg-white p-1.5 sm:p-2 rounded-xl shadow-sm border border-gray-200 relative group hover:border-[#A9BFA8] transition-colors">
+        <select
+          value={selectedCurrency.code}
+          onChange={(e) => {
+            const f = window.CURRENCY_OPTIONS.find(
+              (c) => c.code === e.target.value
+            );
+            if (f) setSelectedCurrency(f);
+          }}
+          className="bg-transparent outline-none cursor-pointer text-sm font-bold appearance-none pr-5 text-gray-600"
+          disabled={isRateLoading}
         >
-          取消
-        </button>
+          {(window.CURRENCY_OPTIONS || []).map((c) => (
+            <option key={c.code} value={c.code}>
+              {c.code}
+            </option>
+          ))}
+        </select>
+        <Icons.ArrowDown
+          size={12}
+          className="absolute right-1.5 top-1/2 -translate-y-1/2 pointer-events-none text-gray-400 group-hover:text-[#A9BFA8]"
+        />
       </div>
     </div>
   );
 };
 
-// --- 每日明細彈窗 ---
-const DailyDetailModal = ({
-  isOpen,
-  onClose,
-  dayData,
-  allExpenses,
-  spotTicketCounts = {},
-  selectedCurrency,
-  exchangeRate,
-  tripData,
-}) => {
+// ==========================================
+// 3. 分頁組件 (Tabs)
+// ==========================================
+
+// --- 進階票價編輯 (敬老 / 學生 / 幼兒票、年齡門檻、套票、手續費) ---
+const TicketPricingEditor = ({ ticket, onChange, inputCls }) => {
   const Icons = window.Icons;
-  const [sortConfig, setSortConfig] = useState({
-    key: "date",
-    direction: "desc",
-  });
+  const [isOpen, setIsOpen] = useState(false);
+  const ages = { ...DEFAULT_TICKET_AGES, ...(ticket.ages || {}) };
+  const packages = ticket.packages || [];
+  const fee = ticket.bookingFee || { amount: 0, per: "order" };
+  const toPrice = (v) => (v === "" ? undefined : Math.max(0, Number(v)));
+  const setField = (key, value) => onChange({ ...ticket, [key]: value });
+  const updatePackage = (id, patch) =>
+    setField(
+      "packages",
+      packages.map((pkg) => (pkg.id === id ? { ...pkg, ...patch } : pkg))
+    );
 
-  if (!isOpen || !dayData) return null;
-  const isTotalSummary = dayData.isTotalSummary;
-  const filteredDays = isTotalSummary ? tripData : [dayData];
-  const dayExpensesList = [];
+  return (
+    <div className="col-span-2">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="text-[10px] font-bold text-gray-400 hover:text-[#A9BFA8] flex items-center gap-1"
+      >
+        {isOpen ? (
+          <Icons.ChevronUp size={12} />
+        ) : (
+          <Icons.ChevronDown size={12} />
+        )}
+        更多票種、套票與手續費
+      </button>
+      {isOpen && (
+        <div className="mt-2 space-y-2 p-2 rounded-xl bg-white border border-gray-100">
+          <div className="grid grid-cols-3 gap-1.5">
+            {[
+              ["senior", "敬老票價", "同全票"],
+              ["student", "學生票價", "同全票"],
+              ["infant", "幼兒票價", "免費"],
+            ].map(([tier, label, placeholder]) => (
+              <label key={tier} className="text-[10px] text-gray-400">
+                {label}
+                <input
+                  type="number"
+                  min="0"
+                  value={ticket[tier] ?? ""}
+                  onChange={(e) => setField(tier, toPrice(e.target.value))}
+                  placeholder={placeholder}
+                  className={inputCls}
+                />
+              </label>
+            ))}
+            {[
+              ["infantMax", "幼兒 ≤ 歲"],
+              ["childMax", "小孩 ≤ 歲"],
+              ["seniorMin", "敬老 ≥ 歲"],
+            ].map(([key, label]) => (
+              <label key={key} className="text-[10px] text-gray-400">
+                {label}
+                <input
+                  type="number"
+                  min="0"
+                  value={ages[key]}
+                  onChange={(e) =>
+                    setField("ages", {
+                      ...ticket.ages,
+                      [key]:
+                        e.target.value === ""
+                          ? DEFAULT_TICKET_AGES[key]
+                          : Math.max(0, parseInt(e.target.value) || 0),
+                    })
+                  }
+                  className={inputCls}
+                />
+              </label>
+            ))}
+          </div>
 
-  filteredDays.forEach((day) => {
-    day.spots.forEach((spot) => {
-      const expenses = allExpenses[spot.id] || [];
-      expenses.forEach((r) =>
-        dayExpensesList.push({ ...r, spotName: spot.name })
-      );
-      if (spot.ticket) {
-        const counts = spotTicketCounts[spot.id] || { adult: 2, child: 2 };
-        const cost =
-          spot.ticket.adult * counts.adult + spot.ticket.child * counts.child;
-        if (cost > 0)
-          dayExpensesList.push({
-            id: `t-${spot.id}`,
-            amount: cost,
-            note: `門票 (大${counts.adult} 小${counts.child})`,
-            spotName: spot.name,
-            timestamp: 0,
-          });
-      }
+          <div className="text-[10px] text-gray-400">
+            套票 (比單買便宜時自動使用)
+          </div>
+          {packages.map((pkg) => (
+            <div key={pkg.id} className="flex items-center gap-1">
+              <input
+                value={pkg.label}
+                onChange={(e) =>
+                  updatePackage(pkg.id, { label: e.target.value })
+                }
+                placeholder="名稱"
+                className={inputCls}
+              />
+              <input
+                type="number"
+                min="0"
+                value={pkg.price || ""}
+                onChange={(e) =>
+                  updatePackage(pkg.id, { price: toPrice(e.target.value) || 0 })
+                }
+                placeholder="價格"
+                className={`${inputCls} w-16`}
+              />
+              <span className="text-[10px] text-gray-400">大</span>
+              <input
+                type="number"
+                min="0"
+                value={pkg.adults}
+                onChange={(e) =>
+                  updatePackage(pkg.id, {
+                    adults: Math.max(0, parseInt(e.target.value) || 0),
+                  })
+                }
+                className={`${inputCls} w-10`}
+              />
+              <span className="text-[10px] text-gray-400">小</span>
+              <input
+                type="number"
+                min="0"
+                value={pkg.children}
+                onChange={(e) =>
+                  updatePackage(pkg.id, {
+                    children: Math.max(0, parseInt(e.target.value) || 0),
+                  })
+                }
+                className={`${inputCls} w-10`}
+              />
+              <button
+                onClick={() =>
+                  setField(
+                    "packages",
+                    packages.filter((x) => x.id !== pkg.id)
+                  )
+                }
+                className="text-gray-400 hover:text-red-400"
+              >
+                <Icons.Trash2 size={12} />
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={() =>
+              setField("packages", [
+                ...packages,
+                {
+                  id: createId("package"),
+                  label: "家庭套票",
+                  price: 0,
+                  adults: 2,
+                  children: 2,
+                },
+              ])
+            }
+            className="text-[10px] font-bold text-gray-400 hover:text-[#A9BFA8] flex items-center gap-1"
+          >
+            <Icons.Plus size={12} /> 新增套票
+          </button>
+
+          <div className="flex items-center gap-1">
+            <span className="text-[10px] text-gray-400 shrink-0">
+              訂票手續費
+            </span>
+            <input
+              type="number"
+              min="0"
+              value={fee.amount || ""}
+              onChange={(e) => {
+                const amount = toPrice(e.target.value) || 0;
+                setField(
+                  "bookingFee",
+                  amount > 0 ? { ...fee, amount } : undefined
+                );
+              }}
+              placeholder="0"
+              className={inputCls}
+            />
+            <select
+              value={fee.per}
+              onChange={(e) =>
+                setField("bookingFee", { ...fee, per: e.target.value })
+              }
+              className={inputCls}
+            >
+              <option value="order">每筆訂單</option>
+              <option value="person">每人</option>
+            </select>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- ItineraryEditor (新增 / 刪除 / 拖曳排序 天數與景點) ---
+const ItineraryEditor = ({
+  itinerary,
+  setItinerary,
+  expenses,
+  onSpotsRemoved,
+}) => {
+  const Icons = window.Icons;
+  // dragItem: { type: "day", dayIdx } 或 { type: "spot", dayIdx, spotIdx }
+  const [dragItem, setDragItem] = useState(null);
+
+  const updateDay = (dayIdx, patch) =>
+    setItinerary(
+      itinerary.map((d, i) => (i === dayIdx ? { ...d, ...patch } : d))
+    );
+  const updateSpot = (dayIdx, spotIdx, patch) =>
+    updateDay(dayIdx, {
+      spots: itinerary[dayIdx].spots.map((s, i) =>
+        i === spotIdx ? { ...s, ...patch } : s
+      ),
     });
-  });
+  const toggleClosedDay = (dayIdx, spotIdx, weekday) => {
+    const current = itinerary[dayIdx].spots[spotIdx].closedDays || [];
+    const closedDays = current.includes(weekday)
+      ? current.filter((d) => d !== weekday)
+      : [...current, weekday].sort();
+    updateSpot(dayIdx, spotIdx, { closedDays });
+  };
+  // 特定星期的營業時間 (覆蓋每日的 hours)；value 為 null 時移除該星期
+  const updateHoursByDay = (dayIdx, spotIdx, weekday, value) => {
+    const { [weekday]: _, ...rest } =
+      itinerary[dayIdx].spots[spotIdx].hoursByDay || {};
+    updateSpot(dayIdx, spotIdx, {
+      hoursByDay: value === null ? rest : { ...rest, [weekday]: value },
+    });
+  };
 
-  const totalTWD = dayExpensesList.reduce((sum, item) => sum + item.amount, 0);
+  const moveDay = (from, to) => {
+    if (to < 0 || to >= itinerary.length || from === to) return;
+    setItinerary(moveItem(itinerary, from, to));
+  };
+  const moveSpot = (fromDay, fromIdx, toDay, toIdx) => {
+    if (fromDay === toDay) {
+      const spots = itinerary[fromDay].spots;
+      if (toIdx < 0 || toIdx >= spots.length || fromIdx === toIdx) return;
+      updateDay(fromDay, { spots: moveItem(spots, fromIdx, toIdx) });
+      return;
+    }
+    const spot = itinerary[fromDay].spots[fromIdx];
+    setItinerary(
+      itinerary.map((d, i) => {
+        if (i === fromDay)
+          return { ...d, spots: d.spots.filter((_, j) => j !== fromIdx) };
+        if (i === toDay) {
+          const spots = [...d.spots];
+          spots.splice(toIdx, 0, spot);
+          return { ...d, spots };
+        }
+        return d;
+      })
+    );
+  };
 
-  const sortedList = [...dayExpensesList].sort((a, b) => {
-    const valA = sortConfig.key === "date" ? a.timestamp || 0 : a.amount;
-    const valB = sortConfig.key === "date" ? b.timestamp || 0 : b.amount;
-    return sortConfig.direction === "asc" ? valA - valB : valB - valA;
-  });
+  const countRecords = (spots) =>
+    spots.reduce((sum, s) => sum + (expenses[s.id] || []).length, 0);
 
-  const toggleSort = (key) => {
-    setSortConfig((prev) => ({
-      key,
-      direction: prev.key === key && prev.direction === "desc" ? "asc" : "desc",
-    }));
+  const addDay = () => {
+    const last = itinerary[itinerary.length - 1];
+    setItinerary([
+      ...itinerary,
+      {
+        dayId: createId("day"),
+        date: `Day ${itinerary.length + 1}`,
+        title: "新的一天",
+        themeColor: KML_DAY_COLORS[itinerary.length % KML_DAY_COLORS.length],
+        // 新的一天預設從前一天的最後一站 (通常是住宿) 出發
+        spots:
+          last && last.spots.length > 0
+            ? [{ ...last.spots[last.spots.length - 1], id: createId("spot") }]
+            : [],
+      },
+    ]);
+  };
+  const removeDay = (dayIdx) => {
+    const day = itinerary[dayIdx];
+    const records = countRecords([...day.spots, dayLedgerSpot(day)]);
+    const msg = records
+      ? `刪除「${day.title}」及其 ${records} 筆消費紀錄？`
+      : `刪除「${day.title}」？`;
+    if (!window.confirm(msg)) return;
+    setItinerary(itinerary.filter((_, i) => i !== dayIdx));
+    onSpotsRemoved([...day.spots.map((s) => s.id), dayLedgerId(day.dayId)]);
+  };
+  const addSpot = (dayIdx) => {
+    const spots = itinerary[dayIdx].spots;
+    const ref = spots[spots.length - 1] || itinerary[0]?.spots[0];
+    updateDay(dayIdx, {
+      spots: [
+        ...spots,
+        {
+          id: createId("spot"),
+          name: "新景點",
+          lat: ref ? ref.lat : 25.0478,
+          lon: ref ? ref.lon : 121.517,
+          desc: "",
+          mapCode: "GPS",
+        },
+      ],
+    });
+  };
+  const removeSpot = (dayIdx, spotIdx) => {
+    const spot = itinerary[dayIdx].spots[spotIdx];
+    const records = countRecords([spot]);
+    if (
+      records &&
+      !window.confirm(
+        `「${spot.name}」有 ${records} 筆消費紀錄，確定一併刪除？`
+      )
+    )
+      return;
+    updateDay(dayIdx, {
+      spots: itinerary[dayIdx].spots.filter((_, i) => i !== spotIdx),
+    });
+    onSpotsRemoved([spot.id]);
+  };
+
+  const handleDrop = (e, dayIdx, spotIdx) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!dragItem) return;
+    if (dragItem.type === "day") moveDay(dragItem.dayIdx, dayIdx);
+    else
+      moveSpot(
+        dragItem.dayIdx,
+        dragItem.spotIdx,
+        dayIdx,
+        spotIdx === undefined ? itinerary[dayIdx].spots.length : spotIdx
+      );
+    setDragItem(null);
+  };
+
+  const updateTicket = (dayIdx, spotIdx, type, value) => {
+    const spot = itinerary[dayIdx].spots[spotIdx];
+    const ticket = { adult: 0, child: 0, ...(spot.ticket || {}) };
+    ticket[type] = value === "" ? 0 : Math.max(0, Number(value));
+    updateSpot(dayIdx, spotIdx, { ticket: normalizeTicket(ticket) });
   };
 
+  const inputCls =
+    "w-full bg-gray-50 px-2 py-1.5 rounded-lg text-xs outline-none border border-gray-200 text-gray-700 focus:border-[#E4C2C1]";
+  const iconBtnCls =
+    "p-1 rounded-lg text-gray-400 hover:text-[#E4C2C1] hover:bg-gray-100 disabled:opacity-30";
+
   return (
-    <div
-      className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-[130] p-4 animate-in fade-in duration-200"
-      onClick={onClose}
-    >
-      <div
-        className="glass-panel rounded-3xl p-6 w-full max-w-sm shadow-2xl max-h-[85vh] flex flex-col bg-white border border-gray-100"
-        onClick={(e) => e.stopPropagation()}
-      >
-        <div className="flex justify-between items-center mb-4 border-b border-gray-100 pb-3">
-          <div>
-            <div className="text-xs font-bold text-gray-400">
-              {isTotalSummary ? "整個行程" : dayData.date}
+    <div className="space-y-6">
+      {itinerary.map((day, dayIdx) => (
+        <div
+          key={day.dayId}
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={(e) => handleDrop(e, dayIdx)}
+          className={`glass-panel rounded-3xl p-4 bg-white ${
+            dragItem?.type === "day" && dragItem.dayIdx === dayIdx
+              ? "opacity-40"
+              : ""
+          }`}
+        >
+          <div className="flex items-center gap-2 mb-3">
+            <div
+              draggable
+              onDragStart={() => setDragItem({ type: "day", dayIdx })}
+              onDragEnd={() => setDragItem(null)}
+              className="cursor-grab text-gray-300 hover:text-gray-500"
+              title="拖曳排序"
+            >
+              <Icons.GripVertical size={18} />
+            </div>
+            <div className={`${day.themeColor} w-1.5 h-8 rounded-full`}></div>
+            <div className="flex-1 grid grid-cols-3 gap-2">
+              <input
+                value={day.date}
+                onChange={(e) => updateDay(dayIdx, { date: e.target.value })}
+                className={`${inputCls} font-bold`}
+                placeholder="12/24 (三)"
+              />
+              <input
+                value={day.title}
+                onChange={(e) => updateDay(dayIdx, { title: e.target.value })}
+                className={`${inputCls} col-span-2 font-bold`}
+                placeholder="當日標題"
+              />
+              <input
+                type="date"
+                value={day.isoDate || ""}
+                onChange={(e) =>
+                  updateDay(
+                    dayIdx,
+                    e.target.value
+                      ? {
+                          isoDate: e.target.value,
+                          date: formatDayLabel(e.target.value),
+                        }
+                      : { isoDate: null }
+                  )
+                }
+                className={`${inputCls} col-span-3 font-mono`}
+                title="實際日期 (用於判斷公休日)"
+              />
             </div>
-            <h3 className="font-black text-xl text-gray-800">
-              {isTotalSummary ? "總花費明細" : dayData.title}
-            </h3>
-          </div>
-          <button onClick={onClose}>
-            <Icons.X size={20} className="text-gray-400 hover:text-gray-600" />
-          </button>
-        </div>
-
-        <div className="flex justify-between items-center mb-2 px-1">
-          <span className="text-xs font-bold text-gray-400 uppercase">
-            消費列表
-          </span>
-          <div className="flex gap-1">
             <button
-              onClick={() => toggleSort("date")}
-              className={`px-2 py-1 rounded-full text-[10px] font-bold border transition-colors ${
-                sortConfig.key === "date"
-                  ? "bg-[#E4C2C1] text-white border-[#E4C2C1]"
-                  : "bg-gray-50 text-gray-400 border-gray-200"
-              }`}
+              onClick={() => moveDay(dayIdx, dayIdx - 1)}
+              disabled={dayIdx === 0}
+              className={iconBtnCls}
             >
-              時間{" "}
-              {sortConfig.key === "date" &&
-                (sortConfig.direction === "desc" ? "↓" : "↑")}
+              <Icons.ChevronUp size={16} />
+            </button>
+            <button
+              onClick={() => moveDay(dayIdx, dayIdx + 1)}
+              disabled={dayIdx === itinerary.length - 1}
+              className={iconBtnCls}
+            >
+              <Icons.ChevronDown size={16} />
+            </button>
+            <button
+              onClick={() => removeDay(dayIdx)}
+              className="p-1 rounded-lg text-gray-300 hover:text-red-400 hover:bg-red-50"
+            >
+              <Icons.Trash2 size={16} />
             </button>
+          </div>
+
+          <div className="space-y-2 pl-6">
+            {day.spots.map((spot, spotIdx) => (
+              <div
+                key={spot.id}
+                draggable
+                onDragStart={(e) => {
+                  e.stopPropagation();
+                  setDragItem({ type: "spot", dayIdx, spotIdx });
+                }}
+                onDragEnd={() => setDragItem(null)}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={(e) => handleDrop(e, dayIdx, spotIdx)}
+                className={`bg-gray-50 border border-gray-100 rounded-xl p-2 space-y-1.5 ${
+                  dragItem?.type === "spot" &&
+                  dragItem.dayIdx === dayIdx &&
+                  dragItem.spotIdx === spotIdx
+                    ? "opacity-40"
+                    : ""
+                }`}
+              >
+                <div className="flex items-center gap-1">
+                  <div className="cursor-grab text-gray-300 hover:text-gray-500">
+                    <Icons.GripVertical size={14} />
+                  </div>
+                  <input
+                    value={spot.name}
+                    onChange={(e) =>
+                      updateSpot(dayIdx, spotIdx, { name: e.target.value })
+                    }
+                    className={`${inputCls} font-bold`}
+                    placeholder="景點名稱"
+                  />
+                  <button
+                    onClick={() =>
+                      moveSpot(dayIdx, spotIdx, dayIdx, spotIdx - 1)
+                    }
+                    disabled={spotIdx === 0}
+                    className={iconBtnCls}
+                  >
+                    <Icons.ChevronUp size={14} />
+                  </button>
+                  <button
+                    onClick={() =>
+                      moveSpot(dayIdx, spotIdx, dayIdx, spotIdx + 1)
+                    }
+                    disabled={spotIdx === day.spots.length - 1}
+                    className={iconBtnCls}
+                  >
+                    <Icons.ChevronDown size={14} />
+                  </button>
+                  <button
+                    onClick={() => removeSpot(dayIdx, spotIdx)}
+                    className="p-1 rounded-lg text-gray-300 hover:text-red-400 hover:bg-red-50"
+                  >
+                    <Icons.X size={14} />
+                  </button>
+                </div>
+                <div className="grid grid-cols-2 gap-1.5 pl-5">
+                  <input
+                    type="number"
+                    step="any"
+                    value={spot.lat}
+                    onChange={(e) =>
+                      updateSpot(dayIdx, spotIdx, {
+                        lat: parseFloat(e.target.value) || 0,
+                      })
+                    }
+                    className={`${inputCls} font-mono`}
+                    placeholder="緯度"
+                  />
+                  <input
+                    type="number"
+                    step="any"
+                    value={spot.lon}
+                    onChange={(e) =>
+                      updateSpot(dayIdx, spotIdx, {
+                        lon: parseFloat(e.target.value) || 0,
+                      })
+                    }
+                    className={`${inputCls} font-mono`}
+                    placeholder="經度"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={spot.ticket?.adult || ""}
+                    onChange={(e) =>
+                      updateTicket(dayIdx, spotIdx, "adult", e.target.value)
+                    }
+                    className={inputCls}
+                    placeholder="大人票價"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={spot.ticket?.child || ""}
+                    onChange={(e) =>
+                      updateTicket(dayIdx, spotIdx, "child", e.target.value)
+                    }
+                    className={inputCls}
+                    placeholder="小孩票價"
+                  />
+                  <select
+                    value={spot.ticket?.currency || ""}
+                    onChange={(e) =>
+                      updateSpot(dayIdx, spotIdx, {
+                        ticket: normalizeTicket({
+                          ...(spot.ticket || {}),
+                          currency: e.target.value || undefined,
+                        }),
+                      })
+                    }
+                    className={`${inputCls} col-span-2`}
+                  >
+                    <option value="">票價幣別：同行程基準幣別</option>
+                    {window.CURRENCY_OPTIONS.map((c) => (
+                      <option key={c.code} value={c.code}>
+                        票價幣別：{c.code} {c.label}
+                      </option>
+                    ))}
+                  </select>
+                  <TicketPricingEditor
+                    ticket={spot.ticket || {}}
+                    onChange={(ticket) =>
+                      updateSpot(dayIdx, spotIdx, {
+                        ticket: normalizeTicket(ticket),
+                      })
+                    }
+                    inputCls={inputCls}
+                  />
+                  <input
+                    value={spot.desc || ""}
+                    onChange={(e) =>
+                      updateSpot(dayIdx, spotIdx, { desc: e.target.value })
+                    }
+                    className={`${inputCls} col-span-2`}
+                    placeholder="描述"
+                  />
+                  <input
+                    value={spot.hours || ""}
+                    onChange={(e) =>
+                      updateSpot(dayIdx, spotIdx, { hours: e.target.value })
+                    }
+                    className={`${inputCls} font-mono`}
+                    placeholder="營業 09:00-17:00"
+                  />
+                  <input
+                    type="time"
+                    value={spot.ticketTime || ""}
+                    onChange={(e) =>
+                      updateSpot(dayIdx, spotIdx, {
+                        ticketTime: e.target.value,
+                      })
+                    }
+                    className={`${inputCls} font-mono`}
+                    title="預約入場時間"
+                  />
+                  <div className="col-span-2 flex items-center gap-1 text-[10px] font-bold text-gray-400">
+                    公休
+                    {WEEKDAY_LABELS.map((label, weekday) => {
+                      const closed = (spot.closedDays || []).includes(weekday);
+                      return (
+                        <button
+                          key={weekday}
+                          onClick={() =>
+                            toggleClosedDay(dayIdx, spotIdx, weekday)
+                          }
+                          className={`w-6 h-6 rounded-full border ${
+                            closed
+                              ? "bg-red-50 border-red-200 text-red-400"
+                              : "bg-white border-gray-200 text-gray-400"
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      );
+                    })}
+                  </div>
+                  {Object.entries(spot.hoursByDay || {}).map(
+                    ([weekday, text]) => (
+                      <div
+                        key={weekday}
+                        className="col-span-2 flex items-center gap-1"
+                      >
+                        <span className="w-6 text-center text-[10px] font-bold text-gray-400">
+                          {WEEKDAY_LABELS[weekday]}
+                        </span>
+                        <input
+                          value={text}
+                          onChange={(e) =>
+                            updateHoursByDay(
+                              dayIdx,
+                              spotIdx,
+                              weekday,
+                              e.target.value
+                            )
+                          }
+                          className={`${inputCls} font-mono`}
+                          placeholder={`週${WEEKDAY_LABELS[weekday]}營業 09:00-18:00`}
+                        />
+                        <button
+                          onClick={() =>
+                            updateHoursByDay(dayIdx, spotIdx, weekday, null)
+                          }
+                          className="text-gray-300 hover:text-red-400"
+                        >
+                          <Icons.X size={14} />
+                        </button>
+                      </div>
+                    )
+                  )}
+                  <select
+                    value=""
+                    onChange={(e) =>
+                      updateHoursByDay(
+                        dayIdx,
+                        spotIdx,
+                        e.target.value,
+                        spot.hours || ""
+                      )
+                    }
+                    className={`${inputCls} col-span-2 text-gray-400`}
+                  >
+                    <option value="">＋ 特定星期的營業時間</option>
+                    {WEEKDAY_LABELS.map((label, weekday) =>
+                      weekday in (spot.hoursByDay || {}) ? null : (
+                        <option key={weekday} value={weekday}>
+                          週{label}
+                        </option>
+                      )
+                    )}
+                  </select>
+                </div>
+              </div>
+            ))}
             <button
-              onClick={() => toggleSort("amount")}
-              className={`px-2 py-1 rounded-full text-[10px] font-bold border transition-colors ${
-                sortConfig.key === "amount"
-                  ? "bg-[#A9BFA8] text-white border-[#A9BFA8]"
-                  : "bg-gray-50 text-gray-400 border-gray-200"
-              }`}
+              onClick={() => addSpot(dayIdx)}
+              className="w-full py-2 border border-dashed border-gray-300 rounded-xl text-xs font-bold text-gray-400 hover:text-[#E4C2C1] hover:border-[#E4C2C1] flex items-center justify-center gap-1 transition-colors"
             >
-              金額{" "}
-              {sortConfig.key === "amount" &&
-                (sortConfig.direction === "desc" ? "↓" : "↑")}
+              <Icons.Plus size={14} /> 新增景點
             </button>
           </div>
         </div>
-
-        <div className="flex-1 overflow-y-auto space-y-3 no-scrollbar pr-1">
-          {sortedList.length === 0 && (
-            <div className="text-center text-gray-400 py-10">尚無紀錄</div>
-          )}
-          {sortedList.map((item, idx) => (
-            <div
-              key={item.id || idx}
-              className="bg-gray-50 p-3 rounded-xl border border-gray-100 flex justify-between items-center"
-            >
-              <div className="flex flex-col">
-                <div className="text-xs text-[#A9BFA8] font-bold mb-0.5">
-                  {item.spotName}
-                </div>
-                <div className="text-sm font-bold text-gray-600">
-                  {item.note}
-                </div>
-                {item.timestamp > 0 && (
-                  <div className="text-[10px] text-gray-400 mt-0.5">
-                    {formatTime(item.timestamp)}
-                  </div>
-                )}
-              </div>
-              <div className="font-mono font-bold text-[#E4C2C1] text-lg">
-                ¥{item.amount.toLocaleString()}
-              </div>
-            </div>
-          ))}
-        </div>
-
-        <div className="mt-4 pt-4 border-t border-gray-100 space-y-1">
-          <div className="flex justify-between">
-            <span className="text-sm font-bold text-gray-500">總計 (JPY)</span>
-            <span className="text-xl font-mono font-black text-[#E4C2C1]">
-              ¥{totalTWD.toLocaleString()}
-            </span>
-          </div>
-          <div className="flex justify-between">
-            <span className="text-xs font-bold text-gray-400">
-              約合 ({selectedCurrency.code})
-            </span>
-            <span className="text-sm font-mono font-bold text-gray-500">
-              {selectedCurrency.symbol}{" "}
-              {(totalTWD * exchangeRate).toFixed(0).toLocaleString()}
-            </span>
-          </div>
-        </div>
-      </div>
+      ))}
+      <button
+        onClick={addDay}
+        className="w-full py-3 bg-white border border-dashed border-gray-300 rounded-2xl text-sm font-bold text-gray-400 hover:text-[#A9BFA8] hover:border-[#A9BFA8] flex items-center justify-center gap-2 transition-colors"
+      >
+        <Icons.Plus size={16} /> 新增一天
+      </button>
     </div>
   );
 };
 
-// --- CurrencySwitcher ---
-const CurrencySwitcher = ({
-  selectedCurrency,
-  exchangeRate,
-  isRateLoading,
-  setSelectedCurrency,
-}) => {
+// --- 即時模式面板 (目前 / 下一站、延誤與預計返抵時間) ---
+const LiveStatusPanel = ({ day, now, liveSettings, setLiveSettings }) => {
   const Icons = window.Icons;
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const current = day.spots.find((s) => s.isCurrent);
+  const next = day.spots.find((s) => s.isNext);
+  const last = day.spots[day.spots.length - 1];
+  const endDelay = last.arrivalMinutes - last.plannedArrivalMinutes;
+  const isOverThreshold =
+    current && endDelay >= (Number(liveSettings.delayThreshold) || 0);
+  // 上一站已出發但還沒到抵達時間，視為在路上
+  const isEnRoute =
+    current &&
+    day.spots.indexOf(current) > 0 &&
+    nowMinutes < current.arrivalMinutes;
+  const formatDelay = (m) =>
+    m > 0 ? `+${m} 分` : m < 0 ? `提早 ${-m} 分` : "準時";
+
   return (
-    <div className="flex items-center gap-2">
-      <div className="text-[10px] sm:text-xs font-bold text-gray-400 italic whitespace-nowrap hidden sm:block">
-        {isRateLoading
-          ? "..."
-          : `1 TWD ≈ ${exchangeRate.toFixed(4)} ${selectedCurrency.code}`}
+    <div className="glass-panel bg-white rounded-3xl p-5 mb-8 border border-[#E4C2C1]/40 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2 font-black text-gray-800">
+          <span className="w-2 h-2 rounded-full bg-red-400 animate-pulse"></span>
+          即時模式 · {day.date}
+        </div>
+        <span className="font-mono font-bold text-gray-500">
+          {minutesToTimeStr(nowMinutes)}
+        </span>
       </div>
-      <div className="bg-white p-1.5 sm:p-2 rounded-xl shadow-sm border border-gray-200 relative group hover:border-[#A9BFA8] transition-colors">
-        <select
-          value={selectedCurrency.code}
-          onChange={(e) => {
-            const f = window.CURRENCY_OPTIONS.find(
-              (c) => c.code === e.target.value
-            );
-            if (f) setSelectedCurrency(f);
-          }}
-          className="bg-transparent outline-none cursor-pointer text-sm font-bold appearance-none pr-5 text-gray-600"
-          disabled={isRateLoading}
-        >
-          {(window.CURRENCY_OPTIONS || []).map((c) => (
-            <option key={c.code} value={c.code}>
-              {c.code}
-            </option>
-          ))}
-        </select>
-        <Icons.ArrowDown
-          size={12}
-          className="absolute right-1.5 top-1/2 -translate-y-1/2 pointer-events-none text-gray-400 group-hover:text-[#A9BFA8]"
+      {day.isoDate && day.isoDate !== toLocalIsoDate(now) && (
+        <div className="text-[10px] font-bold text-gray-400">
+          此日不是今天，以目前時間推算
+        </div>
+      )}
+      {current ? (
+        <div className="grid grid-cols-2 gap-2 text-xs">
+          <div className="bg-[#E4C2C1]/10 rounded-2xl p-3">
+            <div className="text-[10px] font-bold text-gray-400 mb-1">
+              {isEnRoute ? "前往中" : "目前"}
+            </div>
+            <div className="font-black text-gray-800 truncate">
+              {current.name}
+            </div>
+            <div className="font-mono text-gray-500 mt-1">
+              {isEnRoute
+                ? `預計 ${current.time} 抵達`
+                : `建議 ${minutesToTimeStr(current.departureMinutes)} 出發`}
+            </div>
+          </div>
+          <div className="bg-gray-50 rounded-2xl p-3">
+            <div className="text-[10px] font-bold text-gray-400 mb-1">
+              下一站
+            </div>
+            <div className="font-black text-gray-800 truncate">
+              {next ? next.name : "—"}
+            </div>
+            {next && (
+              <div className="font-mono text-gray-500 mt-1">
+                {next.time}{" "}
+                <span
+                  className={
+                    next.arrivalMinutes > next.plannedArrivalMinutes
+                      ? "text-red-400"
+                      : "text-[#A9BFA8]"
+                  }
+                >
+                  (
+                  {formatDelay(
+                    next.arrivalMinutes - next.plannedArrivalMinutes
+                  )}
+                  )
+                </span>
+              </div>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="text-sm font-bold text-gray-400">今日行程已完成</div>
+      )}
+      <div className="flex items-center justify-between text-xs font-bold text-gray-500">
+        <span>
+          預計 {last.time} 抵達 {last.name}
+          <span className="text-gray-300 font-normal">
+            {" "}
+            (原訂 {last.plannedTime})
+          </span>
+        </span>
+        <span className={endDelay > 0 ? "text-red-400" : "text-[#A9BFA8]"}>
+          {formatDelay(endDelay)}
+        </span>
+      </div>
+      {isOverThreshold && (
+        <div className="p-2 rounded-xl text-xs font-bold flex items-center gap-2 bg-red-50 border border-red-100 text-red-500">
+          <Icons.AlertTriangle size={14} />
+          行程結束將延誤 {endDelay} 分鐘，超過提醒門檻
+        </div>
+      )}
+      <div className="flex items-center gap-2 text-[10px] font-bold text-gray-400">
+        延誤超過
+        <input
+          type="number"
+          min="0"
+          value={liveSettings.delayThreshold}
+          onChange={(e) =>
+            setLiveSettings({
+              ...liveSettings,
+              delayThreshold: Math.max(0, Number(e.target.value) || 0),
+            })
+          }
+          className="w-14 bg-gray-50 px-2 py-1 rounded-lg outline-none border border-gray-200 text-gray-700 font-mono"
         />
+        分鐘時提醒
       </div>
     </div>
   );
 };
 
-// ==========================================
-// 3. 分頁組件 (Tabs)
-// ==========================================
-
 const ItineraryTab = ({
   tripData,
   selectedDay,
@@ -779,26 +6373,75 @@ const ItineraryTab = ({
   dayStartTimes,
   handleDayStartTimeChange,
   handleDepartureToggle,
-  handleTransportToggle,
+  handleTransportChange,
+  travelProfiles,
+  openTravelSettings,
+  openCalendarExport,
+  openPrintBooklet,
   handleStayChangeNew,
   openExpenseModal,
   transportModes,
   expenses,
   getTicketCounts,
   updateSpotTicketCount,
+  resetSpotTicketCounts,
+  participants = [],
+  party = [],
+  openParticipants,
+  setSpotTicketPayer,
+  spotTotals,
+  budgetRemaining = {},
+  baseCurrency,
   STAY_OPTIONS,
+  openImportModal,
+  itinerary,
+  setItinerary,
+  onSpotsRemoved,
+  onOptimizeDay,
+  onApplyDayOrder,
+  liveSettings,
+  setLiveSettings,
+  liveDayId,
+  now,
 }) => {
   const Icons = window.Icons;
+  const [isEditing, setIsEditing] = useState(false);
+  // { dayId, before, after, spots, changed, snapshot }
+  // snapshot 為按下最佳化時當天的景點陣列；之後景點被新增、刪除或修改就作廢這份建議
+  const [routeProposal, setRouteProposal] = useState(null);
+  const handleOptimize = (dayId) => {
+    const proposal = onOptimizeDay(dayId);
+    if (!proposal) return alert("可調整的景點不足兩個，無需最佳化");
+    const day = itinerary.find((d) => d.dayId === dayId);
+    setRouteProposal({ dayId, ...proposal, snapshot: day.spots });
+  };
+  useEffect(() => {
+    if (!routeProposal) return;
+    const day = itinerary.find((d) => d.dayId === routeProposal.dayId);
+    if (!day || day.spots !== routeProposal.snapshot) setRouteProposal(null);
+  }, [itinerary]);
+  const acceptProposal = () => {
+    onApplyDayOrder(
+      routeProposal.dayId,
+      routeProposal.spots.map((s) => s.id)
+    );
+    setRouteProposal(null);
+  };
   const filteredTripData =
     selectedDay === "all"
       ? tripData
       : tripData.filter((day) => day.dayId === selectedDay);
+  const liveDay = liveSettings.enabled
+    ? tripData.find((day) => day.dayId === liveDayId)
+    : null;
   const WeatherIcon = ({ type }) => {
     switch (type) {
       case "sunny":
         return <Icons.Sun className="w-5 h-5 text-amber-400" />;
       case "cloudy":
         return <Icons.Cloud className="w-5 h-5 text-stone-400" />;
+      case "rain":
+        return <Icons.CloudRain className="w-5 h-5 text-sky-400" />;
       default:
         return <Icons.CloudSnow className="w-5 h-5 text-stone-300" />;
     }
@@ -830,281 +6473,618 @@ const ItineraryTab = ({
             {day.date.split(" ")[0]}
           </button>
         ))}
+        <button
+          onClick={() => setIsEditing(!isEditing)}
+          className={`ml-auto px-3 py-2 rounded-xl font-bold text-xs whitespace-nowrap flex items-center gap-1 transition-all ${
+            isEditing
+              ? "bg-[#E4C2C1] text-white shadow-sm"
+              : "text-gray-400 hover:bg-white/50 hover:text-[#E4C2C1]"
+          }`}
+        >
+          {isEditing ? <Icons.Check size={14} /> : <Icons.Pencil size={14} />}
+          {isEditing ? "完成" : "編輯"}
+        </button>
+        <button
+          onClick={() =>
+            setLiveSettings({ ...liveSettings, enabled: !liveSettings.enabled })
+          }
+          className={`px-3 py-2 rounded-xl font-bold text-xs whitespace-nowrap flex items-center gap-1 transition-all ${
+            liveSettings.enabled
+              ? "bg-[#E4C2C1] text-white shadow-sm"
+              : "text-gray-400 hover:bg-white/50 hover:text-[#E4C2C1]"
+          }`}
+          title="即時模式"
+        >
+          <Icons.Clock size={14} /> 即時
+        </button>
+        <button
+          onClick={openImportModal}
+          className="px-3 py-2 rounded-xl font-bold text-xs whitespace-nowrap text-gray-400 hover:bg-white/50 hover:text-[#A9BFA8] flex items-center gap-1 transition-all"
+          title="匯入 KML / KMZ"
+        >
+          <Icons.Upload size={14} /> 匯入
+        </button>
+        <button
+          onClick={openTravelSettings}
+          className="px-3 py-2 rounded-xl font-bold text-xs whitespace-nowrap text-gray-400 hover:bg-white/50 hover:text-[#A9BFA8] flex items-center gap-1 transition-all"
+          title="交通設定"
+        >
+          <Icons.Car size={14} /> 交通
+        </button>
+        <button
+          onClick={openCalendarExport}
+          className="px-3 py-2 rounded-xl font-bold text-xs whitespace-nowrap text-gray-400 hover:bg-white/50 hover:text-[#A9BFA8] flex items-center gap-1 transition-all"
+          title="匯出行事曆"
+        >
+          <Icons.CalendarDays size={14} /> 日曆
+        </button>
+        <button
+          onClick={openPrintBooklet}
+          className="px-3 py-2 rounded-xl font-bold text-xs whitespace-nowrap text-gray-400 hover:bg-white/50 hover:text-[#A9BFA8] flex items-center gap-1 transition-all"
+          title="列印手冊"
+        >
+          <Icons.Printer size={14} /> 列印
+        </button>
       </div>
 
-      <div className="space-y-12">
-        {filteredTripData.map((day) => (
-          <div key={day.dayId} className="relative">
-            <div className="flex items-center gap-4 mb-6 px-2">
-              <div
-                className={`${day.themeColor} w-14 h-14 rounded-2xl flex flex-col items-center justify-center text-white shadow-md border-2 border-white -rotate-3`}
-              >
-                <span className="text-[10px] font-bold uppercase tracking-wider opacity-80">
-                  Day
-                </span>
-                <span className="text-xl font-black leading-none">
-                  {day.dayId.replace("day", "")}
-                </span>
-              </div>
-              <div>
-                <div className="text-2xl font-black text-gray-800">
-                  {day.date}
+      {isEditing ? (
+        <ItineraryEditor
+          itinerary={itinerary}
+          setItinerary={setItinerary}
+          expenses={expenses}
+          onSpotsRemoved={onSpotsRemoved}
+        />
+      ) : (
+        <div className="space-y-12">
+          {liveDay && liveDay.spots.length > 0 && (
+            <LiveStatusPanel
+              day={liveDay}
+              now={now}
+              liveSettings={liveSettings}
+              setLiveSettings={setLiveSettings}
+            />
+          )}
+          {filteredTripData.map((day) => (
+            <div key={day.dayId} className="relative">
+              <div className="flex items-center gap-4 mb-6 px-2">
+                <div
+                  className={`${day.themeColor} w-14 h-14 rounded-2xl flex flex-col items-center justify-center text-white shadow-md border-2 border-white -rotate-3`}
+                >
+                  <span className="text-[10px] font-bold uppercase tracking-wider opacity-80">
+                    Day
+                  </span>
+                  <span className="text-xl font-black leading-none">
+                    {day.dayNumber}
+                  </span>
                 </div>
-                <div className="text-sm font-bold text-gray-400">
-                  {day.title}
+                <div>
+                  <div className="text-2xl font-black text-gray-800">
+                    {day.date}
+                  </div>
+                  <div className="text-sm font-bold text-gray-400">
+                    {day.title}
+                  </div>
                 </div>
+                {day.spots.length > 3 && (
+                  <button
+                    onClick={() => handleOptimize(day.dayId)}
+                    className="ml-auto px-3 py-2 rounded-xl text-xs font-bold text-gray-400 bg-white border border-gray-200 hover:text-[#A9BFA8] hover:border-[#A9BFA8] flex items-center gap-1 transition-colors"
+                  >
+                    <Icons.Route size={14} /> 最佳化路線
+                  </button>
+                )}
               </div>
-            </div>
 
-            <div className="space-y-0 pl-6 border-l-2 border-dashed border-gray-300 ml-9 relative pb-4">
-              {day.spots.map((spot, index) => {
-                const spotExpenses = expenses[spot.id] || [];
-                const spotTotal = spotExpenses.reduce(
-                  (sum, r) => sum + (r.amount || 0),
-                  0
-                );
-                const counts = getTicketCounts(spot.id);
-                const ticketTotal = spot.ticket
-                  ? spot.ticket.adult * counts.adult +
-                    spot.ticket.child * counts.child
-                  : 0;
+              {routeProposal && routeProposal.dayId === day.dayId && (
+                <div className="glass-panel bg-white rounded-3xl p-4 mb-6 mx-2 border border-[#A9BFA8]/40 space-y-3">
+                  <div className="flex items-center justify-between text-sm font-bold text-gray-700">
+                    <span>交通時間</span>
+                    <span className="font-mono">
+                      {routeProposal.before.travelMinutes}m →{" "}
+                      <span className="text-[#A9BFA8]">
+                        {routeProposal.after.travelMinutes}m
+                      </span>
+                    </span>
+                  </div>
+                  {(routeProposal.before.violations > 0 ||
+                    routeProposal.after.violations > 0) && (
+                    <div className="flex items-center justify-between text-xs font-bold text-gray-500">
+                      <span className="flex items-center gap-1">
+                        <Icons.AlertTriangle size={12} /> 時間衝突
+                      </span>
+                      <span className="font-mono">
+                        {routeProposal.before.violations} →{" "}
+                        {routeProposal.after.violations}
+                      </span>
+                    </div>
+                  )}
+                  {routeProposal.changed ? (
+                    <ol className="text-xs text-gray-600 space-y-1 list-decimal pl-5">
+                      {routeProposal.spots.map((s) => (
+                        <li key={s.id}>{s.name}</li>
+                      ))}
+                    </ol>
+                  ) : (
+                    <div className="text-xs text-gray-400">
+                      目前順序已是最佳，無需調整。
+                    </div>
+                  )}
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => setRouteProposal(null)}
+                      className="flex-1 py-2 rounded-xl text-xs font-bold text-gray-500 bg-gray-50 border border-gray-100 hover:bg-gray-100"
+                    >
+                      {routeProposal.changed ? "維持原順序" : "關閉"}
+                    </button>
+                    {routeProposal.changed && (
+                      <button
+                        onClick={acceptProposal}
+                        className="flex-1 py-2 rounded-xl text-xs font-bold text-white bg-[#A9BFA8] hover:brightness-105"
+                      >
+                        套用新順序
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
 
-                const isWalk = transportModes[spot.id] === "walk";
+              <div className="space-y-0 pl-6 border-l-2 border-dashed border-gray-300 ml-9 relative pb-4">
+                {day.spots.map((spot, index) => {
+                  const spotTotal = spotTotals[spot.id] || 0;
+                  const counts = getTicketCounts(spot);
+                  const hasTicket = hasTicketPricing(spot.ticket);
+                  const ticketPrice = hasTicket
+                    ? priceTicket(spot.ticket, counts)
+                    : { parts: [], total: 0 };
 
-                return (
-                  <div key={spot.id} className="relative group mb-10 last:mb-0">
-                    <div
-                      className={`absolute -left-[31px] top-8 w-4 h-4 rounded-full border-4 z-10 transition-all ${
-                        spot.isDeparted
-                          ? "bg-gray-300 border-gray-200"
-                          : "bg-white border-[#E4C2C1] shadow-[0_0_0_3px_rgba(228,194,193,0.3)]"
-                      }`}
-                    ></div>
+                  const isLiveDay = liveDay && liveDay.dayId === day.dayId;
+                  const mode = transportModes[spot.id] || "car";
+                  const ModeIcon =
+                    Icons[getModeProfile(mode, travelProfiles).icon] ||
+                    Icons.Car;
+
+                  return (
                     <div
-                      className={`glass-panel rounded-[2rem] p-6 mb-0 border transition-all ${
-                        spot.isDeparted
-                          ? "opacity-60 bg-gray-50 grayscale"
-                          : "bg-white hover:border-[#E4C2C1] hover:shadow-lg"
-                      }`}
+                      key={spot.id}
+                      className="relative group mb-10 last:mb-0"
                     >
-                      <div className="flex justify-between items-center mb-4">
-                        <div className="bg-gray-100 px-3 py-1.5 rounded-xl border border-gray-200 flex items-center gap-2">
-                          <span className="text-[10px] font-bold text-gray-400 uppercase tracking-wide">
-                            {index === 0 ? "出發" : "抵達"}
-                          </span>
-                          {index === 0 ? (
-                            <input
-                              type="time"
-                              value={dayStartTimes[day.dayId] || "09:00"}
-                              onChange={(e) =>
-                                handleDayStartTimeChange(
-                                  day.dayId,
-                                  e.target.value
-                                )
-                              }
-                              className="bg-transparent font-mono font-bold text-lg text-gray-700 w-20 outline-none"
-                            />
-                          ) : (
-                            <span className="font-mono font-bold text-lg text-gray-700">
-                              {spot.time}
+                      <div
+                        className={`absolute -left-[31px] top-8 w-4 h-4 rounded-full border-4 z-10 transition-all ${
+                          spot.isDeparted
+                            ? "bg-gray-300 border-gray-200"
+                            : "bg-white border-[#E4C2C1] shadow-[0_0_0_3px_rgba(228,194,193,0.3)]"
+                        }`}
+                      ></div>
+                      <div
+                        className={`glass-panel rounded-[2rem] p-6 mb-0 border transition-all ${
+                          spot.isDeparted
+                            ? "opacity-60 bg-gray-50 grayscale"
+                            : "bg-white hover:border-[#E4C2C1] hover:shadow-lg"
+                        } ${
+                          isLiveDay && spot.isCurrent
+                            ? "ring-4 ring-[#E4C2C1]/50"
+                            : isLiveDay && spot.isNext
+                              ? "ring-2 ring-[#A9BFA8]/40"
+                              : ""
+                        }`}
+                      >
+                        <div className="flex justify-between items-center mb-4">
+                          <div className="bg-gray-100 px-3 py-1.5 rounded-xl border border-gray-200 flex items-center gap-2">
+                            <span className="text-[10px] font-bold text-gray-400 uppercase tracking-wide">
+                              {index === 0 ? "出發" : "抵達"}
                             </span>
-                          )}
+                            {index === 0 ? (
+                              <input
+                                type="time"
+                                value={dayStartTimes[day.dayId] || "09:00"}
+                                onChange={(e) =>
+                                  handleDayStartTimeChange(
+                                    day.dayId,
+                                    e.target.value
+                                  )
+                                }
+                                className="bg-transparent font-mono font-bold text-lg text-gray-700 w-20 outline-none"
+                              />
+                            ) : (
+                              <>
+                                <span className="font-mono font-bold text-lg text-gray-700">
+                                  {spot.time}
+                                </span>
+                                {spot.plannedTime !== spot.time && (
+                                  <span className="font-mono text-xs text-gray-300 line-through">
+                                    {spot.plannedTime}
+                                  </span>
+                                )}
+                              </>
+                            )}
+                          </div>
+                          <button
+                            onClick={() => handleDepartureToggle(spot.id)}
+                            className={`px-4 py-2 rounded-full text-xs font-bold transition-all shadow-sm active:scale-95 ${
+                              spot.isDeparted
+                                ? "bg-white border border-gray-200 text-gray-400"
+                                : "bg-[#E4C2C1] text-white hover:brightness-105"
+                            }`}
+                          >
+                            {spot.isDeparted
+                              ? `已出發 ${spot.actualDepTime}`
+                              : "確認動身"}
+                          </button>
                         </div>
-                        <button
-                          onClick={() => handleDepartureToggle(spot.id)}
-                          className={`px-4 py-2 rounded-full text-xs font-bold transition-all shadow-sm active:scale-95 ${
-                            spot.isDeparted
-                              ? "bg-white border border-gray-200 text-gray-400"
-                              : "bg-[#E4C2C1] text-white hover:brightness-105"
-                          }`}
-                        >
-                          {spot.isDeparted
-                            ? `已出發 ${spot.actualDepTime}`
-                            : "確認動身"}
-                        </button>
-                      </div>
 
-                      <div>
-                        <h3 className="text-xl font-black text-gray-800 mb-2">
-                          {spot.name}
-                        </h3>
-                        <div className="flex items-center gap-4 text-xs font-bold text-gray-500 mb-4">
-                          <div className="flex items-center gap-1 bg-gray-100 px-2 py-1 rounded-lg border border-gray-200">
-                            <Icons.Clock size={12} />
-                            <span>停留</span>
-                            <select
-                              value={spot.stay}
-                              onChange={(e) =>
-                                handleStayChangeNew(spot.id, e.target.value)
-                              }
-                              className="bg-transparent text-[#E4C2C1] outline-none font-bold cursor-pointer"
-                              disabled={spot.isDeparted}
-                            >
-                              {STAY_OPTIONS.map((opt) => (
-                                <option key={opt} value={opt}>
-                                  {opt}
-                                </option>
-                              ))}
-                            </select>
+                        <div>
+                          <div className="flex justify-between items-start gap-2 mb-2">
+                            <h3 className="text-xl font-black text-gray-800">
+                              {spot.name}
+                            </h3>
+                            {spot.weather && (
+                              <div
+                                className="flex items-center gap-1 text-xs font-bold text-gray-500 shrink-0"
+                                title={`預報更新於 ${new Date(
+                                  spot.weather.fetchedAt
+                                ).toLocaleString()}`}
+                              >
+                                <WeatherIcon type={spot.weather.type} />
+                                <span>{spot.weather.temp}°C</span>
+                                {spot.weather.precipProb !== null && (
+                                  <span className="text-sky-500">
+                                    ☔ {spot.weather.precipProb}%
+                                  </span>
+                                )}
+                              </div>
+                            )}
+                          </div>
+                          <div className="flex items-center gap-4 text-xs font-bold text-gray-500 mb-4">
+                            <div className="flex items-center gap-1 bg-gray-100 px-2 py-1 rounded-lg border border-gray-200">
+                              <Icons.Clock size={12} />
+                              <span>停留</span>
+                              <select
+                                value={spot.stay}
+                                onChange={(e) =>
+                                  handleStayChangeNew(spot.id, e.target.value)
+                                }
+                                className="bg-transparent text-[#E4C2C1] outline-none font-bold cursor-pointer"
+                                disabled={spot.isDeparted}
+                              >
+                                {STAY_OPTIONS.map((opt) => (
+                                  <option key={opt} value={opt}>
+                                    {opt}
+                                  </option>
+                                ))}
+                              </select>
+                            </div>
+                            {hasTicket && (
+                              <div className="text-[#E4C2C1] flex items-center gap-1">
+                                <Icons.Ticket size={12} />{" "}
+                                {formatMoney(
+                                  ticketPrice.total,
+                                  spot.ticket.currency || baseCurrency
+                                )}
+                              </div>
+                            )}
+                            {spot.hoursText && (
+                              <div className="text-gray-400 font-mono">
+                                {spot.hoursText}
+                              </div>
+                            )}
                           </div>
-                          {spot.ticket && (
-                            <div className="text-[#E4C2C1] flex items-center gap-1">
-                              <Icons.Ticket size={12} /> ¥
-                              {ticketTotal.toLocaleString()}
+
+                          {spot.hoursWarning && !spot.isDeparted && (
+                            <div
+                              className={`p-2 rounded-xl text-xs font-bold flex items-center gap-2 mb-4 border ${
+                                spot.hoursWarning.type === "early"
+                                  ? "bg-amber-50 border-amber-100 text-amber-600"
+                                  : "bg-red-50 border-red-100 text-red-500"
+                              }`}
+                            >
+                              <Icons.AlertTriangle size={14} />
+                              {spot.hoursWarning.label}
                             </div>
                           )}
-                        </div>
 
-                        {spot.ticket && (
-                          <div className="bg-gray-50 border border-gray-100 p-3 rounded-xl flex gap-4 text-[10px] mb-4">
-                            <div className="flex items-center gap-2 text-gray-500">
-                              大
-                              <div className="flex items-center bg-white border rounded px-1">
-                                <button
-                                  onClick={() =>
-                                    updateSpotTicketCount(spot.id, "adult", -1)
-                                  }
-                                  className="text-gray-400 hover:text-[#E4C2C1] px-1"
-                                >
-                                  -
-                                </button>
-                                <span className="text-gray-800 font-bold px-1">
-                                  {counts.adult}
-                                </span>
-                                <button
-                                  onClick={() =>
-                                    updateSpotTicketCount(spot.id, "adult", 1)
-                                  }
-                                  className="text-gray-400 hover:text-[#E4C2C1] px-1"
-                                >
-                                  +
-                                </button>
+                          {hasTicket && (
+                            <div className="bg-gray-50 border border-gray-100 p-3 rounded-xl text-[10px] mb-4 space-y-2">
+                              <div className="flex flex-wrap gap-x-4 gap-y-2">
+                                {TICKET_TIERS.filter(
+                                  (tier) =>
+                                    tier.id === "adult" ||
+                                    tier.id === "child" ||
+                                    counts[tier.id] > 0 ||
+                                    hasTicketPrice(spot.ticket, tier.id)
+                                ).map((tier) => (
+                                  <div
+                                    key={tier.id}
+                                    className="flex items-center gap-2 text-gray-500"
+                                  >
+                                    {tier.label}
+                                    <div className="flex items-center bg-white border rounded px-1">
+                                      <button
+                                        onClick={() =>
+                                          updateSpotTicketCount(
+                                            spot,
+                                            tier.id,
+                                            -1
+                                          )
+                                        }
+                                        className="text-gray-400 hover:text-[#E4C2C1] px-1"
+                                      >
+                                        -
+                                      </button>
+                                      <span className="text-gray-800 font-bold px-1">
+                                        {counts[tier.id] || 0}
+                                      </span>
+                                      <button
+                                        onClick={() =>
+                                          updateSpotTicketCount(
+                                            spot,
+                                            tier.id,
+                                            1
+                                          )
+                                        }
+                                        className="text-gray-400 hover:text-[#E4C2C1] px-1"
+                                      >
+                                        +
+                                      </button>
+                                    </div>
+                                  </div>
+                                ))}
                               </div>
-                            </div>
-                            <div className="flex items-center gap-2 text-gray-500">
-                              小
-                              <div className="flex items-center bg-white border rounded px-1">
-                                <button
-                                  onClick={() =>
-                                    updateSpotTicketCount(spot.id, "child", -1)
-                                  }
-                                  className="text-gray-400 hover:text-[#E4C2C1] px-1"
-                                >
-                                  -
-                                </button>
-                                <span className="text-gray-800 font-bold px-1">
-                                  {counts.child}
+                              {party.length === 0 &&
+                                participants.length === 0 &&
+                                !counts.isCustom && (
+                                  <button
+                                    onClick={openParticipants}
+                                    className="w-full text-left font-bold text-amber-600 hover:text-[#A9BFA8]"
+                                  >
+                                    尚未設定同行旅客，新增旅客後自動帶入張數 →
+                                  </button>
+                                )}
+                              <div className="flex items-center gap-2 text-gray-400">
+                                <span className="flex-1 min-w-0 truncate">
+                                  {formatTicketParts(ticketPrice.parts)}
                                 </span>
-                                <button
-                                  onClick={() =>
-                                    updateSpotTicketCount(spot.id, "child", 1)
-                                  }
-                                  className="text-gray-400 hover:text-[#E4C2C1] px-1"
-                                >
-                                  +
-                                </button>
+                                {counts.isCustom && (
+                                  <button
+                                    onClick={() =>
+                                      resetSpotTicketCounts(spot.id)
+                                    }
+                                    className="font-bold hover:text-[#A9BFA8]"
+                                    title="改回依同行旅客計算"
+                                  >
+                                    依旅客
+                                  </button>
+                                )}
+                                {participants.length > 0 && (
+                                  <select
+                                    value={counts.paidBy || ""}
+                                    onChange={(e) =>
+                                      setSpotTicketPayer(
+                                        spot.id,
+                                        e.target.value
+                                      )
+                                    }
+                                    className="bg-white border rounded px-1 outline-none text-gray-500"
+                                  >
+                                    <option value="">付款人</option>
+                                    {participants.map((p) => (
+                                      <option key={p.id} value={p.id}>
+                                        {p.name} 付
+                                      </option>
+                                    ))}
+                                  </select>
+                                )}
                               </div>
                             </div>
-                          </div>
-                        )}
-
-                        <p className="text-sm text-gray-500 mb-4 leading-relaxed">
-                          {spot.desc}
-                        </p>
-
-                        <div className="flex gap-2">
-                          <a
-                            href={spot.gmapLink}
-                            target="_blank"
-                            className="flex-1 bg-gray-50 text-gray-500 py-2.5 rounded-xl text-xs font-bold flex items-center justify-center gap-2 hover:bg-gray-100 transition-colors border border-gray-100"
-                          >
-                            <Icons.MapPin
-                              size={14}
-                              className="text-[#A9BFA8]"
-                            />{" "}
-                            地圖
-                          </a>
-                          <button
-                            onClick={() => openExpenseModal(spot)}
-                            className="flex-1 bg-[#F9F3F3] text-[#E4C2C1] py-2.5 rounded-xl text-xs font-bold flex items-center justify-center gap-2 hover:bg-[#E4C2C1] hover:text-white transition-colors border border-[#E4C2C1]/20"
-                          >
-                            <Icons.Wallet size={14} /> 記帳
-                          </button>
-                        </div>
+                          )}
 
-                        {(spotTotal > 0 || ticketTotal > 0) && (
-                          <div className="mt-3 pt-2 border-t border-dashed border-slate-700/50 text-right">
-                            <span className="text-[10px] text-slate-500 mr-2 uppercase">
-                              Total Est.
-                            </span>
-                            <span className="text-sm font-mono font-bold text-[#FF6B6B]">
-                              ¥{(spotTotal + ticketTotal).toLocaleString()}
-                            </span>
-                          </div>
-                        )}
-                      </div>
-                    </div>
+                          <p className="text-sm text-gray-500 mb-4 leading-relaxed">
+                            {spot.desc}
+                          </p>
 
-                    {spot.nextStop && (
-                      <div className="py-4 flex flex-col items-center">
-                        <div className="bg-white border border-gray-200 rounded-xl p-3 w-full max-w-[260px] text-center shadow-md relative z-10">
-                          <div className="text-[10px] text-gray-400 font-bold uppercase mb-1 flex justify-between px-2">
-                            <span>NEXT</span>
-                            <span>{spot.nextStop.distance}</span>
-                          </div>
-                          <div className="text-xs font-bold text-gray-700 truncate mb-2">
-                            {spot.nextStop.name}
-                          </div>
-                          <div className="h-px bg-gray-100 w-full mb-2"></div>
-                          <div className="flex justify-between items-center px-1">
-                            <button
-                              onClick={() => handleTransportToggle(spot.id)}
-                              className={`flex items-center gap-1 text-xs font-bold px-2 py-1 rounded-lg transition-colors ${
-                                isWalk
-                                  ? "text-orange-400 bg-orange-50"
-                                  : "text-[#A9BFA8] bg-[#A9BFA8]/10"
-                              }`}
-                            >
-                              {isWalk ? (
-                                <Icons.Footprints size={14} />
-                              ) : (
-                                <Icons.Car size={14} />
-                              )}
-                              {isWalk
-                                ? spot.nextStop.walkTime
-                                : spot.nextStop.driveTime}
-                            </button>
+                          <div className="flex gap-2">
                             <a
-                              href={spot.nextStop.navLink}
+                              href={spot.gmapLink}
                               target="_blank"
-                              className="text-[10px] bg-gray-800 text-white px-3 py-1 rounded-full hover:bg-gray-700 transition-colors"
+                              className="flex-1 bg-gray-50 text-gray-500 py-2.5 rounded-xl text-xs font-bold flex items-center justify-center gap-2 hover:bg-gray-100 transition-colors border border-gray-100"
                             >
-                              導航
+                              <Icons.MapPin
+                                size={14}
+                                className="text-[#A9BFA8]"
+                              />{" "}
+                              地圖
                             </a>
+                            <button
+                              onClick={() => openExpenseModal(spot)}
+                              className="flex-1 bg-[#F9F3F3] text-[#E4C2C1] py-2.5 rounded-xl text-xs font-bold flex items-center justify-center gap-2 hover:bg-[#E4C2C1] hover:text-white transition-colors border border-[#E4C2C1]/20"
+                            >
+                              <Icons.Wallet size={14} /> 記帳
+                            </button>
+                          </div>
+
+                          {spotTotal > 0 && (
+                            <div className="mt-3 pt-2 border-t border-dashed border-slate-700/50 text-right">
+                              <span className="text-[10px] text-slate-500 mr-2 uppercase">
+                                Total Est.
+                              </span>
+                              <span className="text-sm font-mono font-bold text-[#FF6B6B]">
+                                {formatMoney(spotTotal, baseCurrency)}
+                              </span>
+                            </div>
+                          )}
+                          {budgetRemaining[spot.id] !== undefined && (
+                            <div
+                              className={`mt-1 text-right text-[10px] font-bold ${
+                                budgetRemaining[spot.id] < 0
+                                  ? "text-red-400"
+                                  : "text-gray-400"
+                              }`}
+                            >
+                              {budgetRemaining[spot.id] < 0
+                                ? `今日預算已超支 ${formatMoney(
+                                    -budgetRemaining[spot.id],
+                                    baseCurrency
+                                  )}`
+                                : `今日預算剩餘 ${formatMoney(
+                                    budgetRemaining[spot.id],
+                                    baseCurrency
+                                  )}`}
+                            </div>
+                          )}
+                        </div>
+                      </div>
+
+                      {spot.nextStop && (
+                        <div className="py-4 flex flex-col items-center">
+                          <div className="bg-white border border-gray-200 rounded-xl p-3 w-full max-w-[260px] text-center shadow-md relative z-10">
+                            <div className="text-[10px] text-gray-400 font-bold uppercase mb-1 flex justify-between px-2">
+                              <span>NEXT</span>
+                              <span>{spot.nextStop.distance}</span>
+                            </div>
+                            <div className="text-xs font-bold text-gray-700 truncate mb-2">
+                              {spot.nextStop.name}
+                            </div>
+                            <div className="h-px bg-gray-100 w-full mb-2"></div>
+                            <div className="flex justify-between items-center px-1">
+                              <div
+                                className={`flex items-center gap-1 text-xs font-bold px-2 py-1 rounded-lg transition-colors ${
+                                  mode === "car"
+                                    ? "text-[#A9BFA8] bg-[#A9BFA8]/10"
+                                    : "text-orange-400 bg-orange-50"
+                                }`}
+                              >
+                                <ModeIcon size={14} />
+                                <select
+                                  value={mode}
+                                  onChange={(e) =>
+                                    handleTransportChange(
+                                      spot.id,
+                                      e.target.value
+                                    )
+                                  }
+                                  className="bg-transparent outline-none font-bold cursor-pointer"
+                                >
+                                  {Object.entries(travelProfiles).map(
+                                    ([key, profile]) => (
+                                      <option key={key} value={key}>
+                                        {profile.label}
+                                      </option>
+                                    )
+                                  )}
+                                </select>
+                                <span
+                                  title={
+                                    spot.nextStop.isRouted
+                                      ? "實際路線"
+                                      : "直線距離估算"
+                                  }
+                                >
+                                  {spot.nextStop.isRouted ? "" : "~"}
+                                  {spot.nextStop.travelTime}
+                                </span>
+                              </div>
+                              <a
+                                href={spot.nextStop.navLink}
+                                target="_blank"
+                                className="text-[10px] bg-gray-800 text-white px-3 py-1 rounded-full hover:bg-gray-700 transition-colors"
+                              >
+                                導航
+                              </a>
+                            </div>
+                          </div>
+                          <div className="text-[10px] font-mono text-gray-400 mt-2 bg-white px-2 py-0.5 rounded-full border border-gray-100 shadow-sm">
+                            預計 {spot.nextArrivalTime} 抵達
                           </div>
                         </div>
-                        <div className="text-[10px] font-mono text-gray-400 mt-2 bg-white px-2 py-0.5 rounded-full border border-gray-100 shadow-sm">
-                          預計 {spot.nextArrivalTime} 抵達
-                        </div>
-                      </div>
-                    )}
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div className="mx-2 mb-6 glass-panel bg-white rounded-2xl px-4 py-3 border border-gray-100 flex items-center gap-3">
+                <Icons.Wallet size={16} className="text-[#E8D595] shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm font-bold text-gray-700">
+                    當日雜支
                   </div>
-                );
-              })}
+                  <div className="text-[10px] text-gray-400 truncate">
+                    油資、過路費、路邊停車等不屬於景點的花費
+                  </div>
+                </div>
+                {spotTotals[dayLedgerId(day.dayId)] > 0 && (
+                  <span className="text-sm font-mono font-bold text-[#FF6B6B]">
+                    {formatMoney(
+                      spotTotals[dayLedgerId(day.dayId)],
+                      baseCurrency
+                    )}
+                  </span>
+                )}
+                <button
+                  onClick={() => openExpenseModal(dayLedgerSpot(day))}
+                  className="shrink-0 bg-[#F9F3F3] text-[#E4C2C1] px-3 py-2 rounded-xl text-xs font-bold flex items-center gap-1 hover:bg-[#E4C2C1] hover:text-white transition-colors border border-[#E4C2C1]/20"
+                >
+                  <Icons.Wallet size={12} /> 記帳
+                </button>
+              </div>
             </div>
-          </div>
-        ))}
-      </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
 
 // --- InfoTab ---
-const InfoTab = () => {
+// --- 航班 / 住宿設定編輯 (每個行程各自一份) ---
+const FLIGHT_FIELDS = [
+  { key: "date", label: "日期" },
+  { key: "flight", label: "班次" },
+  { key: "airline", label: "航空 / 交通" },
+  { key: "duration", label: "時長" },
+  { key: "from", label: "出發地" },
+  { key: "to", label: "目的地" },
+  { key: "dep", label: "出發時間" },
+  { key: "arr", label: "抵達時間" },
+];
+const HOTEL_FIELDS = [
+  { key: "day", label: "日期 (12/24)" },
+  { key: "name", label: "飯店名稱" },
+  { key: "location", label: "地區" },
+  { key: "link", label: "地圖連結" },
+];
+
+// 航班 / 住宿卡片右上角的編輯切換鈕
+const EditToggle = ({ isEditing, onToggle }) => {
+  const Icons = window.Icons;
+  return (
+    <button
+      onClick={onToggle}
+      className={`ml-auto p-1.5 rounded-lg transition-colors ${
+        isEditing
+          ? "bg-[#E4C2C1] text-white"
+          : "text-gray-300 hover:text-[#E4C2C1]"
+      }`}
+    >
+      {isEditing ? <Icons.Check size={14} /> : <Icons.Pencil size={14} />}
+    </button>
+  );
+};
+
+const InfoTab = ({ flightInfo, hotelInfo, setFlightInfo, setHotelInfo }) => {
   const Icons = window.Icons;
-  const flightInfo = window.FLIGHT_INFO || { outbound: {}, inbound: {} };
-  const hotelInfo = window.HOTEL_INFO || [];
+  const [editing, setEditing] = useState(null); // "flight" | "hotel" | null
+  const inputCls =
+    "w-full bg-gray-50 px-2 py-1.5 rounded-lg text-xs outline-none border border-gray-200 text-gray-700 focus:border-[#E4C2C1]";
 
+  const updateLeg = (leg, key, value) =>
+    setFlightInfo({
+      ...flightInfo,
+      [leg]: { ...(flightInfo[leg] || {}), [key]: value },
+    });
+  const updateHotel = (idx, key, value) =>
+    setHotelInfo(
+      hotelInfo.map((h, i) => (i === idx ? { ...h, [key]: value } : h))
+    );
   const NAV_BUTTONS = [
     {
       title: "超市/熟食",
@@ -1167,119 +7147,784 @@ const InfoTab = () => {
       <div className="glass-panel p-6 rounded-3xl bg-white border-gray-100 shadow-lg">
         <h3 className="font-bold text-lg mb-4 text-gray-800 flex items-center gap-2">
           <Icons.Plane size={20} className="text-[#E4C2C1]" /> 航班資訊
+          <EditToggle
+            isEditing={editing === "flight"}
+            onToggle={() => setEditing(editing === "flight" ? null : "flight")}
+          />
         </h3>
-        <div className="space-y-4">
-          <div className="bg-gray-50 p-4 rounded-xl border border-gray-200">
-            <div className="flex justify-between mb-2">
-              <span
-                className={`text-[10px] font-black px-2 py-0.5 rounded text-white bg-[#A9BFA8]`}
-              >
-                去程
-              </span>
-              <span className="text-[10px] font-bold text-gray-400">
-                {flightInfo.outbound?.date}
-              </span>
-            </div>
-            <div className="flex justify-between items-center text-gray-800">
-              <div className="text-center">
-                <div className="text-xl font-black">
-                  {flightInfo.outbound?.dep}
+        {editing === "flight" ? (
+          <div className="space-y-4">
+            {[
+              ["outbound", "去程"],
+              ["inbound", "回程"],
+            ].map(([leg, label]) => (
+              <div key={leg}>
+                <div className="text-[10px] font-black text-gray-400 mb-1">
+                  {label}
                 </div>
-                <div className="text-[10px] text-gray-500">
-                  {flightInfo.outbound?.from}
+                <div className="grid grid-cols-2 gap-1.5">
+                  {FLIGHT_FIELDS.map((f) => (
+                    <input
+                      key={f.key}
+                      value={flightInfo[leg]?.[f.key] || ""}
+                      onChange={(e) => updateLeg(leg, f.key, e.target.value)}
+                      placeholder={f.label}
+                      className={inputCls}
+                    />
+                  ))}
                 </div>
               </div>
-              <div className="flex flex-col items-center">
-                <span className="text-[10px] text-gray-400">
-                  {flightInfo.outbound?.flight}
+            ))}
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="bg-gray-50 p-4 rounded-xl border border-gray-200">
+              <div className="flex justify-between mb-2">
+                <span
+                  className={`text-[10px] font-black px-2 py-0.5 rounded text-white bg-[#A9BFA8]`}
+                >
+                  去程
+                </span>
+                <span className="text-[10px] font-bold text-gray-400">
+                  {flightInfo.outbound?.date}
                 </span>
-                <div className="w-10 h-px bg-gray-300 my-1"></div>
               </div>
-              <div className="text-center">
-                <div className="text-xl font-black">
-                  {flightInfo.outbound?.arr}
-                </div>
-                <div className="text-[10px] text-gray-500">
-                  {flightInfo.outbound?.to}
+              <div className="flex justify-between items-center text-gray-800">
+                <div className="text-center">
+                  <div className="text-xl font-black">
+                    {flightInfo.outbound?.dep}
+                  </div>
+                  <div className="text-[10px] text-gray-500">
+                    {flightInfo.outbound?.from}
+                  </div>
                 </div>
-              </div>
-            </div>
-          </div>
-          <div className="bg-gray-50 p-4 rounded-xl border border-gray-200">
-            <div className="flex justify-between mb-2">
-              <span
-                className={`text-[10px] font-black px-2 py-0.5 rounded text-white bg-[#E4C2C1]`}
-              >
-                回程
-              </span>
-              <span className="text-[10px] font-bold text-gray-400">
-                {flightInfo.inbound?.date}
-              </span>
-            </div>
-            <div className="flex justify-between items-center text-gray-800">
-              <div className="text-center">
-                <div className="text-xl font-black">
-                  {flightInfo.inbound?.dep}
+                <div className="flex flex-col items-center">
+                  <span className="text-[10px] text-gray-400">
+                    {flightInfo.outbound?.flight}
+                  </span>
+                  <div className="w-10 h-px bg-gray-300 my-1"></div>
                 </div>
-                <div className="text-[10px] text-gray-500">
-                  {flightInfo.inbound?.from}
+                <div className="text-center">
+                  <div className="text-xl font-black">
+                    {flightInfo.outbound?.arr}
+                  </div>
+                  <div className="text-[10px] text-gray-500">
+                    {flightInfo.outbound?.to}
+                  </div>
                 </div>
               </div>
-              <div className="flex flex-col items-center">
-                <span className="text-[10px] text-gray-400">
-                  {flightInfo.inbound?.flight}
+            </div>
+            <div className="bg-gray-50 p-4 rounded-xl border border-gray-200">
+              <div className="flex justify-between mb-2">
+                <span
+                  className={`text-[10px] font-black px-2 py-0.5 rounded text-white bg-[#E4C2C1]`}
+                >
+                  回程
+                </span>
+                <span className="text-[10px] font-bold text-gray-400">
+                  {flightInfo.inbound?.date}
                 </span>
-                <div className="w-16 h-px bg-gray-300 relative">
-                  <Icons.Plane
-                    size={14}
-                    className="absolute -top-1.5 left-1/2 -translate-x-1/2 text-slate-400 rotate-90"
-                  />
-                </div>
               </div>
-              <div className="text-center">
-                <div className="text-xl font-black">
-                  {flightInfo.inbound?.arr}
+              <div className="flex justify-between items-center text-gray-800">
+                <div className="text-center">
+                  <div className="text-xl font-black">
+                    {flightInfo.inbound?.dep}
+                  </div>
+                  <div className="text-[10px] text-gray-500">
+                    {flightInfo.inbound?.from}
+                  </div>
+                </div>
+                <div className="flex flex-col items-center">
+                  <span className="text-[10px] text-gray-400">
+                    {flightInfo.inbound?.flight}
+                  </span>
+                  <div className="w-16 h-px bg-gray-300 relative">
+                    <Icons.Plane
+                      size={14}
+                      className="absolute -top-1.5 left-1/2 -translate-x-1/2 text-slate-400 rotate-90"
+                    />
+                  </div>
                 </div>
-                <div className="text-[10px] text-gray-500">
-                  {flightInfo.inbound?.to}
+                <div className="text-center">
+                  <div className="text-xl font-black">
+                    {flightInfo.inbound?.arr}
+                  </div>
+                  <div className="text-[10px] text-gray-500">
+                    {flightInfo.inbound?.to}
+                  </div>
                 </div>
               </div>
             </div>
           </div>
-        </div>
+        )}
       </div>
 
       <div className="glass-panel p-6 rounded-3xl bg-white border-gray-100 shadow-lg">
         <h3 className="font-bold text-lg mb-4 text-gray-800 flex items-center gap-2">
           <Icons.Hotel size={20} className="text-[#E8D595]" /> 住宿安排
+          <EditToggle
+            isEditing={editing === "hotel"}
+            onToggle={() => setEditing(editing === "hotel" ? null : "hotel")}
+          />
         </h3>
-        <div className="space-y-3">
-          {hotelInfo.map((h, i) => (
-            <div
-              key={i}
-              className="flex items-center gap-3 p-3 rounded-xl bg-gray-50 border border-gray-100 mb-2 last:mb-0"
+        {editing === "hotel" ? (
+          <div className="space-y-3">
+            {hotelInfo.map((h, i) => (
+              <div
+                key={i}
+                className="grid grid-cols-2 gap-1.5 p-2 rounded-xl bg-gray-50 border border-gray-100"
+              >
+                {HOTEL_FIELDS.map((f) => (
+                  <input
+                    key={f.key}
+                    value={h[f.key] || ""}
+                    onChange={(e) => updateHotel(i, f.key, e.target.value)}
+                    placeholder={f.label}
+                    className={inputCls}
+                  />
+                ))}
+                <button
+                  onClick={() =>
+                    setHotelInfo(hotelInfo.filter((_, j) => j !== i))
+                  }
+                  className="col-span-2 text-[10px] font-bold text-gray-400 hover:text-red-400 py-1"
+                >
+                  刪除
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() =>
+                setHotelInfo([
+                  ...hotelInfo,
+                  { day: "", name: "", location: "", desc: "", link: "" },
+                ])
+              }
+              className="w-full py-2 border border-dashed border-gray-300 rounded-xl text-xs font-bold text-gray-400 hover:text-[#E8D595] hover:border-[#E8D595] flex items-center justify-center gap-1 transition-colors"
             >
-              <div className="bg-[#A9BFA8] text-white font-bold text-xs h-10 w-10 flex items-center justify-center rounded-lg">
-                {h.day.split("/")[1]}日
+              <Icons.Plus size={14} /> 新增住宿
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {hotelInfo.length === 0 && (
+              <div className="text-xs text-gray-400 text-center py-2">
+                尚未設定住宿
               </div>
-              <div className="flex-1 min-w-0">
-                <div className="text-sm font-bold text-gray-800 truncate">
-                  {h.name}
+            )}
+            {hotelInfo.map((h, i) => (
+              <div
+                key={i}
+                className="flex items-center gap-3 p-3 rounded-xl bg-gray-50 border border-gray-100 mb-2 last:mb-0"
+              >
+                <div className="bg-[#A9BFA8] text-white font-bold text-xs h-10 w-10 flex items-center justify-center rounded-lg">
+                  {(h.day || "").split("/")[1] || h.day}日
                 </div>
-                <div className="text-[10px] text-gray-500 truncate">
-                  {h.location}
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm font-bold text-gray-800 truncate">
+                    {h.name}
+                  </div>
+                  <div className="text-[10px] text-gray-500 truncate">
+                    {h.location}
+                  </div>
                 </div>
+                <a
+                  href={
+                    h.link ||
+                    `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(
+                      h.name
+                    )}`
+                  }
+                  target="_blank"
+                  className="p-2 bg-white border border-gray-200 rounded-full text-gray-400 hover:text-[#E4C2C1]"
+                >
+                  <Icons.Navigation size={14} />
+                </a>
               </div>
-              <a
-                href={h.link}
-                target="_blank"
-                className="p-2 bg-white border border-gray-200 rounded-full text-gray-400 hover:text-[#E4C2C1]"
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- 預算進度條 ---
+const BUDGET_LEVEL_COLORS = { ok: "#A9BFA8", warn: "#E8D595", over: "#E4C2C1" };
+const BudgetBar = ({ label, spent, budget, formatAmount }) => {
+  const status = budgetStatus(spent, budget);
+  return (
+    <div>
+      <div className="flex justify-between text-[10px] font-bold mb-1">
+        <span className="text-gray-600">{label}</span>
+        <span
+          className={status.level === "over" ? "text-red-400" : "text-gray-400"}
+        >
+          {formatAmount(spent)} / {formatAmount(budget)}
+          {status.level === "over" &&
+            ` (超支 ${formatAmount(-status.remaining)})`}
+        </span>
+      </div>
+      <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+        <div
+          className="h-full rounded-full transition-all"
+          style={{
+            width: `${Math.min(100, status.ratio * 100)}%`,
+            backgroundColor: BUDGET_LEVEL_COLORS[status.level],
+          }}
+        ></div>
+      </div>
+    </div>
+  );
+};
+
+// --- 預算設定彈窗 ---
+const BudgetModal = ({
+  isOpen,
+  onClose,
+  budgets,
+  setBudgets,
+  days,
+  baseCurrency,
+}) => {
+  const Icons = window.Icons;
+  if (!isOpen) return null;
+
+  const parseBudget = (value) => {
+    const amount = parseFloat(value);
+    return amount > 0 ? amount : null;
+  };
+  const setGroupBudget = (group, id, value) => {
+    const next = { ...budgets[group] };
+    if (parseBudget(value)) next[id] = parseBudget(value);
+    else delete next[id];
+    setBudgets({ ...budgets, [group]: next });
+  };
+  const inputCls =
+    "w-28 bg-gray-50 px-2 py-1.5 rounded-lg text-xs font-mono text-right outline-none border border-gray-200 text-gray-700 focus:border-[#A9BFA8]";
+  const symbol = getCurrency(baseCurrency).symbol;
+
+  return (
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-[130] p-4">
+      <div className="glass-panel rounded-3xl p-6 w-full max-w-sm bg-white border border-gray-100 shadow-xl flex flex-col max-h-[85vh]">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="font-bold text-lg flex items-center gap-2 text-gray-800">
+            <Icons.Calculator size={20} className="text-[#A9BFA8]" /> 預算設定
+          </h3>
+          <button onClick={onClose}>
+            <Icons.X size={20} className="text-gray-400 hover:text-gray-600" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto no-scrollbar space-y-4">
+          <div className="flex justify-between items-center">
+            <span className="text-sm font-bold text-gray-700">
+              整趟旅程 ({symbol})
+            </span>
+            <input
+              type="number"
+              min="0"
+              value={budgets.total || ""}
+              onChange={(e) =>
+                setBudgets({ ...budgets, total: parseBudget(e.target.value) })
+              }
+              placeholder="不限"
+              className={inputCls}
+            />
+          </div>
+
+          <div className="pt-4 border-t border-dashed border-gray-200 space-y-2">
+            <div className="text-xs font-bold text-gray-400">每日預算</div>
+            {days.map((day) => (
+              <div
+                key={day.dayId}
+                className="flex justify-between items-center"
               >
-                <Icons.Navigation size={14} />
-              </a>
-            </div>
+                <span className="text-xs text-gray-600 truncate mr-2">
+                  {day.date} {day.title}
+                </span>
+                <input
+                  type="number"
+                  min="0"
+                  value={budgets.days[day.dayId] || ""}
+                  onChange={(e) =>
+                    setGroupBudget("days", day.dayId, e.target.value)
+                  }
+                  placeholder="不限"
+                  className={inputCls}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="pt-4 border-t border-dashed border-gray-200 space-y-2">
+            <div className="text-xs font-bold text-gray-400">分類預算</div>
+            {window.EXPENSE_CATEGORIES.map((c) => (
+              <div key={c.id} className="flex justify-between items-center">
+                <span className="text-xs text-gray-600 flex items-center gap-1.5">
+                  <CategoryIcon category={c.id} size={12} /> {c.label}
+                </span>
+                <input
+                  type="number"
+                  min="0"
+                  value={budgets.categories[c.id] || ""}
+                  onChange={(e) =>
+                    setGroupBudget("categories", c.id, e.target.value)
+                  }
+                  placeholder="不限"
+                  className={inputCls}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- 預算進度 (StatsTab 內) ---
+const BudgetPanel = ({ budgets, stats, dailyStats, formatAmount, onEdit }) => {
+  const Icons = window.Icons;
+  const dayBudgets = dailyStats.filter((d) => budgets.days[d.dayId] > 0);
+  const categoryBudgets = window.EXPENSE_CATEGORIES.filter(
+    (c) => budgets.categories[c.id] > 0
+  );
+  const hasBudget =
+    budgets.total > 0 || dayBudgets.length > 0 || categoryBudgets.length > 0;
+  const categorySpent = (id) =>
+    stats.byCategory.find((c) => c.id === id)?.total || 0;
+
+  return (
+    <div className="glass-panel p-5 rounded-3xl bg-white border-gray-100 shadow-sm">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-sm font-bold text-gray-400 uppercase">預算</h3>
+        <button
+          onClick={onEdit}
+          className="px-2 py-1 rounded-lg text-[10px] font-bold border border-gray-200 text-gray-500 hover:text-[#A9BFA8] flex items-center gap-1"
+        >
+          <Icons.Pencil size={12} /> 設定
+        </button>
+      </div>
+      {!hasBudget ? (
+        <div className="text-xs text-gray-400 text-center py-2">
+          尚未設定預算
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {budgets.total > 0 && (
+            <BudgetBar
+              label="整趟旅程"
+              spent={stats.totalBase}
+              budget={budgets.total}
+              formatAmount={formatAmount}
+            />
+          )}
+          {dayBudgets.map((d) => (
+            <BudgetBar
+              key={d.dayId}
+              label={`${d.date} ${d.title}`}
+              spent={d.totalBase}
+              budget={budgets.days[d.dayId]}
+              formatAmount={formatAmount}
+            />
+          ))}
+          {categoryBudgets.map((c) => (
+            <BudgetBar
+              key={c.id}
+              label={c.label}
+              spent={categorySpent(c.id)}
+              budget={budgets.categories[c.id]}
+              formatAmount={formatAmount}
+            />
           ))}
         </div>
+      )}
+    </div>
+  );
+};
+
+// --- 分帳結算 (StatsTab 內) ---
+const SettleUpPanel = ({ participants, settlement, formatAmount, onEdit }) => {
+  const Icons = window.Icons;
+  const nameOf = (id) => participants.find((p) => p.id === id)?.name || "?";
+  return (
+    <div className="glass-panel p-5 rounded-3xl bg-white border-gray-100 shadow-sm">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-sm font-bold text-gray-400 uppercase">分帳結算</h3>
+        <button
+          onClick={onEdit}
+          className="px-2 py-1 rounded-lg text-[10px] font-bold border border-gray-200 text-gray-500 hover:text-[#A9BFA8] flex items-center gap-1"
+        >
+          <Icons.Users size={12} /> 成員
+        </button>
+      </div>
+      {participants.length === 0 ? (
+        <div className="text-xs text-gray-400 text-center py-2">
+          新增成員後，記帳時可指定付款人與分攤方式
+        </div>
+      ) : (
+        <>
+          <div className="space-y-1.5 mb-3">
+            <div className="grid grid-cols-4 text-[10px] font-bold text-gray-400">
+              <span>成員</span>
+              <span className="text-right">已付</span>
+              <span className="text-right">應分攤</span>
+              <span className="text-right">差額</span>
+            </div>
+            {settlement.balances.map((b) => (
+              <div key={b.id} className="grid grid-cols-4 text-xs items-center">
+                <span className="font-bold text-gray-700 truncate">
+                  {b.name}
+                </span>
+                <span className="text-right font-mono text-gray-500">
+                  {formatAmount(b.paid)}
+                </span>
+                <span className="text-right font-mono text-gray-500">
+                  {formatAmount(b.owed)}
+                </span>
+                <span
+                  className={`text-right font-mono font-bold ${
+                    b.balance >= 0 ? "text-[#A9BFA8]" : "text-[#E4C2C1]"
+                  }`}
+                >
+                  {b.balance >= 0 ? "+" : "-"}
+                  {formatAmount(Math.abs(b.balance))}
+                </span>
+              </div>
+            ))}
+          </div>
+          <div className="pt-3 border-t border-dashed border-gray-200 space-y-1.5">
+            {settlement.transfers.length === 0 ? (
+              <div className="text-xs text-gray-400 text-center">
+                目前不需要轉帳
+              </div>
+            ) : (
+              settlement.transfers.map((t) => (
+                <div
+                  key={`${t.from}-${t.to}`}
+                  className="flex items-center gap-2 text-xs bg-gray-50 rounded-xl px-3 py-2"
+                >
+                  <span className="font-bold text-gray-700">
+                    {nameOf(t.from)}
+                  </span>
+                  <Icons.ArrowRightLeft size={12} className="text-gray-300" />
+                  <span className="font-bold text-gray-700 flex-1">
+                    {nameOf(t.to)}
+                  </span>
+                  <span className="font-mono font-bold text-[#E4C2C1]">
+                    {formatAmount(t.amount)}
+                  </span>
+                </div>
+              ))
+            )}
+          </div>
+          {settlement.unassignedCount > 0 && (
+            <div className="mt-3 text-[10px] font-bold text-amber-600 flex items-center gap-1">
+              <Icons.AlertTriangle size={12} /> {settlement.unassignedCount}{" "}
+              筆消費未指定付款人或沒有分攤成員，未計入結算
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- 花費圖表 (純 SVG，不另外載入圖表套件) ---
+// 金額一律先乘上 CurrencySwitcher 的匯率，和 StatsTab 其他數字一致
+const CHART_SPOT_COLORS = [
+  "#E4C2C1",
+  "#A9BFA8",
+  "#E8D595",
+  "#B5C7D3",
+  "#C9B6D6",
+  "#D8B4A0",
+];
+const CHART_MAX_SPOT_SLICES = 6; // 其餘景點合併成「其他景點」
+
+const SpendBarChart = ({ days, rate, formatAmount, onSelect }) => {
+  const width = 300;
+  const height = 130;
+  const max = Math.max(...days.map((d) => d.totalBase * rate), 1);
+  const slot = width / Math.max(days.length, 1);
+  const barWidth = Math.min(28, slot * 0.6);
+  return (
+    <svg viewBox={`0 0 ${width} ${height + 20}`} className="w-full">
+      {days.map((day, i) => {
+        const value = day.totalBase * rate;
+        const barHeight = (value / max) * (height - 16);
+        const x = i * slot + (slot - barWidth) / 2;
+        return (
+          <g
+            key={day.dayId}
+            onClick={() => onSelect(day)}
+            className="cursor-pointer"
+          >
+            <title>{`${day.date} ${formatAmount(day.totalBase)}`}</title>
+            <rect
+              x={i * slot}
+              y={0}
+              width={slot}
+              height={height}
+              fill="transparent"
+            />
+            <rect
+              x={x}
+              y={height - barHeight}
+              width={barWidth}
+              height={Math.max(barHeight, value > 0 ? 2 : 0)}
+              rx={4}
+              fill={day.isOverBudget ? BUDGET_LEVEL_COLORS.over : "#A9BFA8"}
+            />
+            <text
+              x={i * slot + slot / 2}
+              y={height + 14}
+              textAnchor="middle"
+              fontSize="9"
+              fill="#9CA3AF"
+            >
+              {(day.date || "").split(" ")[0]}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const SpendDonutChart = ({ slices, formatAmount, onSelect }) => {
+  const radius = 40;
+  const circumference = 2 * Math.PI * radius;
+  const total = slices.reduce((sum, s) => sum + s.total, 0);
+  let offset = 0;
+  return (
+    <div className="flex items-center gap-4">
+      <svg viewBox="0 0 120 120" className="w-28 h-28 shrink-0 -rotate-90">
+        <circle
+          cx="60"
+          cy="60"
+          r={radius}
+          fill="none"
+          stroke="#F3F4F6"
+          strokeWidth="18"
+        />
+        {slices.map((slice) => {
+          const length = (slice.total / total) * circumference;
+          const circle = (
+            <circle
+              key={slice.id}
+              cx="60"
+              cy="60"
+              r={radius}
+              fill="none"
+              stroke={slice.color}
+              strokeWidth="18"
+              strokeDasharray={`${length} ${circumference - length}`}
+              strokeDashoffset={-offset}
+              onClick={() => onSelect(slice)}
+              className="cursor-pointer"
+            >
+              <title>{`${slice.label} ${formatAmount(slice.total)}`}</title>
+            </circle>
+          );
+          offset += length;
+          return circle;
+        })}
+      </svg>
+      <div className="flex-1 min-w-0 space-y-1">
+        {slices.map((slice) => (
+          <button
+            key={slice.id}
+            onClick={() => onSelect(slice)}
+            className="w-full flex items-center gap-1.5 text-[11px] text-left hover:bg-gray-50 rounded"
+          >
+            <span
+              className="w-2 h-2 rounded-full shrink-0"
+              style={{ backgroundColor: slice.color }}
+            ></span>
+            <span className="flex-1 truncate font-bold text-gray-600">
+              {slice.label}
+            </span>
+            <span className="font-mono text-gray-400">
+              {Math.round((slice.total / total) * 100)}%
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// startBase：整趟行程帳本 (行前預訂) 的金額，作為第一天之前的起點
+const CumulativeLineChart = ({
+  days,
+  rate,
+  budget,
+  startBase = 0,
+  formatAmount,
+  onSelect,
+}) => {
+  const width = 300;
+  const height = 120;
+  const pad = 10;
+  let running = startBase * rate;
+  const points = days.map((day) => {
+    running += day.totalBase * rate;
+    return { day, value: running };
+  });
+  const budgetValue = budget > 0 ? budget * rate : null;
+  const max = Math.max(running, budgetValue || 0, 1);
+  const step = (width - pad * 2) / Math.max(points.length - 1, 1);
+  const toY = (v) => height - pad - (v / max) * (height - pad * 2);
+  const coords = points.map((p, i) => ({
+    ...p,
+    x: pad + i * step,
+    y: toY(p.value),
+  }));
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full">
+      {budgetValue !== null && (
+        <line
+          x1={pad}
+          x2={width - pad}
+          y1={toY(budgetValue)}
+          y2={toY(budgetValue)}
+          stroke="#E4C2C1"
+          strokeDasharray="4 3"
+        />
+      )}
+      <polyline
+        points={coords.map((c) => `${c.x},${c.y}`).join(" ")}
+        fill="none"
+        stroke="#A9BFA8"
+        strokeWidth="2"
+        strokeLinejoin="round"
+      />
+      {coords.map((c) => (
+        <circle
+          key={c.day.dayId}
+          cx={c.x}
+          cy={c.y}
+          r="5"
+          fill="white"
+          stroke="#A9BFA8"
+          strokeWidth="2"
+          onClick={() => onSelect(c.day)}
+          className="cursor-pointer"
+        >
+          <title>{`${c.day.date} 累計 ${formatAmount(c.value / rate)}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+const SpendingCharts = ({
+  dailyStats,
+  stats,
+  spotTotals,
+  budgets,
+  exchangeRate,
+  formatAmount,
+  onOpenDay,
+  onOpenSlice,
+}) => {
+  const [donutMode, setDonutMode] = useState("category");
+  if (stats.totalBase === 0) return null;
+
+  const spotSlices = (() => {
+    const spots = dailyStats
+      .flatMap((day) => day.spots)
+      .map((spot) => ({
+        id: spot.id,
+        label: spot.name,
+        total: spotTotals[spot.id] || 0,
+      }))
+      .filter((spot) => spot.total > 0)
+      .sort((a, b) => b.total - a.total);
+    const top = spots.slice(0, CHART_MAX_SPOT_SLICES - 1);
+    const rest = spots.slice(CHART_MAX_SPOT_SLICES - 1);
+    const slices = top.map((spot, i) => ({
+      ...spot,
+      color: CHART_SPOT_COLORS[i],
+      filter: { label: spot.label, spotIds: [spot.id] },
+    }));
+    if (rest.length > 0)
+      slices.push({
+        id: "other-spots",
+        label: `其他 ${rest.length} 個景點`,
+        total: rest.reduce((sum, spot) => sum + spot.total, 0),
+        color: CHART_SPOT_COLORS[CHART_MAX_SPOT_SLICES - 1],
+        filter: { label: "其他景點", spotIds: rest.map((spot) => spot.id) },
+      });
+    return slices;
+  })();
+  const categorySlices = stats.byCategory.map((c) => ({
+    ...c,
+    filter: { label: c.label, category: c.id },
+  }));
+  const barDays = dailyStats.map((day) => ({
+    ...day,
+    isOverBudget:
+      budgets.days[day.dayId] > 0 && day.totalBase > budgets.days[day.dayId],
+  }));
+
+  return (
+    <div className="glass-panel p-5 rounded-3xl bg-white border-gray-100 shadow-sm space-y-5">
+      <div>
+        <h3 className="text-sm font-bold text-gray-400 uppercase mb-2">
+          每日花費
+        </h3>
+        <SpendBarChart
+          days={barDays}
+          rate={exchangeRate}
+          formatAmount={formatAmount}
+          onSelect={onOpenDay}
+        />
+      </div>
+      <div>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-sm font-bold text-gray-400 uppercase">
+            花費占比
+          </h3>
+          <div className="flex gap-1">
+            {[
+              { id: "category", label: "分類" },
+              { id: "spot", label: "景點" },
+            ].map((mode) => (
+              <button
+                key={mode.id}
+                onClick={() => setDonutMode(mode.id)}
+                className={`px-2 py-0.5 rounded-full text-[10px] font-bold border ${
+                  donutMode === mode.id
+                    ? "bg-[#A9BFA8] text-white border-[#A9BFA8]"
+                    : "bg-gray-50 text-gray-400 border-gray-200"
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <SpendDonutChart
+          slices={donutMode === "category" ? categorySlices : spotSlices}
+          formatAmount={formatAmount}
+          onSelect={(slice) => onOpenSlice(slice.filter)}
+        />
+      </div>
+      <div>
+        <h3 className="text-sm font-bold text-gray-400 uppercase mb-2">
+          累計花費
+        </h3>
+        <CumulativeLineChart
+          days={dailyStats}
+          rate={exchangeRate}
+          budget={budgets.total}
+          startBase={stats.tripLedgerBase}
+          formatAmount={formatAmount}
+          onSelect={onOpenDay}
+        />
       </div>
     </div>
   );
@@ -1288,13 +7933,26 @@ const InfoTab = () => {
 // --- StatsTab ---
 const StatsTab = ({
   dailyStats,
+  spotTotals,
   handleOpenDailyDetail,
   handleOpenEmailClick,
   stats,
   selectedCurrency,
   exchangeRate,
+  baseCurrency,
+  onChangeBaseCurrency,
+  participants,
+  settlement,
+  openParticipants,
+  budgets,
+  openBudgets,
+  onAddTripExpense,
 }) => {
   const Icons = window.Icons;
+  const formatSelected = (v) =>
+    `${selectedCurrency.symbol} ${(v * exchangeRate).toLocaleString(undefined, {
+      maximumFractionDigits: 0,
+    })}`;
   return (
     <div className="space-y-6 animate-in fade-in slide-in-from-bottom-6 duration-700 pb-20">
       <div className="glass-panel p-6 rounded-3xl bg-white border-gray-100 shadow-lg text-center relative overflow-hidden">
@@ -1302,25 +7960,116 @@ const StatsTab = ({
         <div className="text-sm font-bold text-gray-400 mb-1">總花費估算</div>
         <div className="text-4xl font-black text-gray-800 mb-2 tracking-tight">
           {selectedCurrency.symbol}{" "}
-          {(stats.totalJpy * exchangeRate).toLocaleString(undefined, {
+          {(stats.totalBase * exchangeRate).toLocaleString(undefined, {
             maximumFractionDigits: 0,
           })}
         </div>
-        <div className="text-xs text-gray-400 font-mono mb-6">
-          ( ¥{stats.totalJpy.toLocaleString()} )
+        <div className="text-xs text-gray-400 font-mono mb-2">
+          ( {formatMoney(stats.totalBase, baseCurrency)} )
+        </div>
+        <div className="flex items-center justify-center gap-1 text-[10px] font-bold text-gray-400 mb-6">
+          基準幣別
+          <select
+            value={baseCurrency}
+            onChange={(e) => onChangeBaseCurrency(e.target.value)}
+            className="bg-gray-50 border border-gray-200 rounded-lg px-1 py-0.5 outline-none text-gray-600"
+          >
+            {window.CURRENCY_OPTIONS.map((c) => (
+              <option key={c.code} value={c.code}>
+                {c.code}
+              </option>
+            ))}
+          </select>
         </div>
+        {stats.missingRateCount > 0 && (
+          <div className="text-xs font-bold text-amber-600 bg-amber-50 border border-amber-100 rounded-xl p-2 mb-4 flex items-center justify-center gap-1">
+            <Icons.AlertTriangle size={12} /> {stats.missingRateCount}{" "}
+            筆消費缺少匯率，未計入總額
+          </div>
+        )}
         <button
           onClick={handleOpenEmailClick}
           className="w-full py-3 bg-[#F9F7F5] border border-gray-200 text-[#A9BFA8] rounded-xl text-sm font-bold flex items-center justify-center gap-2 hover:bg-white hover:shadow-md transition-all"
         >
-          <Icons.Mail size={16} /> 發送詳細報表
+          <Icons.Mail size={16} /> 匯出 / 發送詳細報表
         </button>
       </div>
 
+      <SpendingCharts
+        dailyStats={dailyStats}
+        stats={stats}
+        spotTotals={spotTotals}
+        budgets={budgets}
+        exchangeRate={exchangeRate}
+        formatAmount={formatSelected}
+        onOpenDay={handleOpenDailyDetail}
+        onOpenSlice={(filter) =>
+          handleOpenDailyDetail({ isTotalSummary: true, filter })
+        }
+      />
+
+      {stats.byCategory.length > 0 && (
+        <div className="glass-panel p-5 rounded-3xl bg-white border-gray-100 shadow-sm">
+          <h3 className="text-sm font-bold text-gray-400 uppercase mb-3">
+            分類統計
+          </h3>
+          <CategoryBreakdown
+            categories={stats.byCategory}
+            formatAmount={formatSelected}
+          />
+        </div>
+      )}
+
+      <BudgetPanel
+        budgets={budgets}
+        stats={stats}
+        dailyStats={dailyStats}
+        formatAmount={(v) => formatMoney(v, baseCurrency)}
+        onEdit={openBudgets}
+      />
+
+      <SettleUpPanel
+        participants={participants}
+        settlement={settlement}
+        formatAmount={formatSelected}
+        onEdit={openParticipants}
+      />
+
       <div className="space-y-3">
         <h3 className="text-sm font-bold text-gray-400 uppercase ml-1">
           每日明細
         </h3>
+        <div
+          onClick={() => handleOpenDailyDetail(TRIP_LEDGER_DAY)}
+          className="bg-white p-4 rounded-xl border border-gray-100 shadow-sm flex justify-between items-center hover:translate-y-[-2px] transition-transform cursor-pointer"
+        >
+          <div className="flex items-center gap-3">
+            <div className="bg-[#E8D595] w-1.5 h-8 rounded-full"></div>
+            <div>
+              <div className="text-sm font-bold text-gray-800">
+                {TRIP_LEDGER_DAY.date}
+              </div>
+              <div className="text-xs text-gray-500">
+                {TRIP_LEDGER_DAY.title}
+              </div>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="text-lg font-mono font-bold text-[#E4C2C1]">
+              {formatSelected(stats.tripLedgerBase)}
+            </div>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onAddTripExpense();
+              }}
+              title="記一筆整趟行程的花費"
+              className="p-2 rounded-xl bg-[#F9F3F3] text-[#E4C2C1] border border-[#E4C2C1]/20 hover:bg-[#E4C2C1] hover:text-white transition-colors"
+            >
+              <Icons.Plus size={14} />
+            </button>
+          </div>
+        </div>
         {dailyStats.map((day) => (
           <div
             key={day.dayId}
@@ -1337,12 +8086,36 @@ const StatsTab = ({
               </div>
             </div>
             <div className="text-right">
+              <div className="flex justify-end gap-1 mb-0.5">
+                {day.byCategory.slice(0, 4).map((c) => (
+                  <CategoryIcon key={c.id} category={c.id} size={12} />
+                ))}
+              </div>
               <div className="text-lg font-mono font-bold text-[#E4C2C1]">
                 {selectedCurrency.symbol}{" "}
-                {(day.totalTwd * exchangeRate).toLocaleString(undefined, {
+                {(day.totalBase * exchangeRate).toLocaleString(undefined, {
                   maximumFractionDigits: 0,
                 })}
               </div>
+              {budgets.days[day.dayId] > 0 && (
+                <div className="w-20 h-1 bg-gray-100 rounded-full overflow-hidden ml-auto mt-1">
+                  <div
+                    className="h-full rounded-full"
+                    style={{
+                      width: `${Math.min(
+                        100,
+                        budgetStatus(day.totalBase, budgets.days[day.dayId])
+                          .ratio * 100
+                      )}%`,
+                      backgroundColor:
+                        BUDGET_LEVEL_COLORS[
+                          budgetStatus(day.totalBase, budgets.days[day.dayId])
+                            .level
+                        ],
+                    }}
+                  ></div>
+                </div>
+              )}
             </div>
           </div>
         ))}
@@ -1567,7 +8340,7 @@ const GuardTab = ({
 // 4. 主應用程式 (App) - 整合所有邏輯
 // ==========================================
 
-function App() {
+function App({ tripId, onSwitchTrip }) {
   const Icons = window.Icons;
 
   // --- States (UI Control) ---
@@ -1578,24 +8351,88 @@ function App() {
   );
 
   // --- States (Data) ---
+  // 行程資料：優先使用匯入並存在本機的版本，否則使用 index.html 的範例
+  const [trips, setTrips] = useState(loadTrips);
+  const currentTrip = trips.find((t) => t.id === tripId) || {};
+  const baseCurrency = currentTrip.baseCurrency || DEFAULT_BASE_CURRENCY;
+  const [itinerary, setItinerary] = useState(() =>
+    backfillItineraryDefaults(
+      ensureItineraryIds(
+        loadTripData(tripId, "itinerary", window.RAW_KML_DATA)
+      ),
+      window.RAW_KML_DATA
+    )
+  );
+  const [flightInfo, setFlightInfo] = useState(() =>
+    loadTripData(tripId, "flight_info", { outbound: {}, inbound: {} })
+  );
+  const [hotelInfo, setHotelInfo] = useState(() =>
+    loadTripData(tripId, "hotel_info", [])
+  );
   const [dayStartTimes, setDayStartTimes] = useState(() =>
-    JSON.parse(localStorage.getItem("start_times") || "{}")
+    loadTripData(tripId, "start_times", {})
   );
   const [actualDepartures, setActualDepartures] = useState(() =>
-    JSON.parse(localStorage.getItem("departures") || "{}")
-  );
-  const [stays, setStays] = useState(() =>
-    JSON.parse(localStorage.getItem("stays") || "{}")
+    loadTripData(tripId, "departures", {})
   );
+  const [stays, setStays] = useState(() => loadTripData(tripId, "stays", {}));
   const [transportModes, setTransportModes] = useState(() =>
-    JSON.parse(localStorage.getItem("modes") || "{}")
+    loadTripData(tripId, "modes", {})
   );
   const [expenses, setExpenses] = useState(() =>
-    JSON.parse(localStorage.getItem("expenses") || "{}")
+    stampExpenseCurrency(loadTripData(tripId, "expenses", {}), baseCurrency)
   );
   const [spotTicketCounts, setSpotTicketCounts] = useState(() =>
-    JSON.parse(localStorage.getItem("spot_tickets") || "{}")
+    loadTripData(tripId, "spot_tickets", {})
+  );
+  const [participants, setParticipants] = useState(() =>
+    loadTripData(tripId, "participants", [])
+  );
+  const [party, setParty] = useState(() => loadTripData(tripId, "party", []));
+  const [filterPresets, setFilterPresets] = useState(() =>
+    loadTripData(tripId, "filter_presets", [])
+  );
+  const [budgets, setBudgets] = useState(() =>
+    loadTripData(tripId, "budgets", EMPTY_BUDGETS)
+  );
+
+  // --- States (Travel) ---
+  const [travelSettings, setTravelSettings] = useState(() =>
+    JSON.parse(
+      localStorage.getItem("travel_settings") ||
+        '{"profiles":{},"routingUrl":""}'
+    )
+  );
+  const [routeCache, setRouteCache] = useState(() =>
+    JSON.parse(localStorage.getItem("route_cache") || "{}")
   );
+  const travelProfiles = useMemo(
+    () => getTravelProfiles(travelSettings.profiles),
+    [travelSettings]
+  );
+  const failedRoutesRef = useRef(new Set());
+  const [weatherCache, setWeatherCache] = useState(() =>
+    JSON.parse(localStorage.getItem("weather_cache") || "{}")
+  );
+  const failedWeatherRef = useRef(new Set());
+  // 清除快取後遞增，讓預報 effect 立即重新抓取
+  const [weatherRefreshKey, setWeatherRefreshKey] = useState(0);
+
+  // --- States (Live) ---
+  const [liveSettings, setLiveSettings] = useState(() =>
+    JSON.parse(
+      localStorage.getItem("live_settings") ||
+        '{"enabled":false,"delayThreshold":30}'
+    )
+  );
+  const [now, setNow] = useState(() => new Date());
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  // 即時模式追蹤的天：日期是今天的那天，其次是目前選取的天，否則第一天
+  const liveDay =
+    itinerary.find((d) => d.isoDate === toLocalIsoDate(now)) ||
+    itinerary.find((d) => d.dayId === selectedDay) ||
+    itinerary[0];
+  const liveDayId = liveDay ? liveDay.dayId : null;
 
   // --- States (AI & Feature) ---
   const [selectedCurrency, setSelectedCurrency] = useState(() => {
@@ -1605,8 +8442,20 @@ function App() {
       window.CURRENCY_OPTIONS[1]
     );
   });
-  const [exchangeRate, setExchangeRate] = useState(1);
+  const [rateTable, setRateTable] = useState(() =>
+    normalizeRateTable(
+      JSON.parse(localStorage.getItem("exchange_rates") || "{}")
+    )
+  );
+  const [rateSettings, setRateSettings] = useState(() =>
+    JSON.parse(
+      localStorage.getItem("rate_settings") ||
+        '{"provider":"ecb","url":"","overrides":{}}'
+    )
+  );
   const [isRateLoading, setIsRateLoading] = useState(false);
+  const failedRatesRef = useRef(new Set());
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
 
   const [aiLoading, setAiLoading] = useState(false);
   const [isAnalyzingReceipt, setIsAnalyzingReceipt] = useState(false);
@@ -1625,163 +8474,459 @@ function App() {
   );
   const [isSendingEmail, setIsSendingEmail] = useState(false);
   const [isDailyDetailOpen, setIsDailyDetailOpen] = useState(false);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
+  const [isTripLibraryOpen, setIsTripLibraryOpen] = useState(false);
+  const [isBackupOpen, setIsBackupOpen] = useState(false);
+  const [isTravelSettingsOpen, setIsTravelSettingsOpen] = useState(false);
+  const [isCalendarExportOpen, setIsCalendarExportOpen] = useState(false);
+  const [isPrintBookletOpen, setIsPrintBookletOpen] = useState(false);
+  const [isRateSettingsOpen, setIsRateSettingsOpen] = useState(false);
+  const [isParticipantsOpen, setIsParticipantsOpen] = useState(false);
+  const [isBudgetOpen, setIsBudgetOpen] = useState(false);
   const [selectedDailyStats, setSelectedDailyStats] = useState(null);
   const [expenseForm, setExpenseForm] = useState({
     category: "food",
     amount: "",
     note: "",
+    currency: baseCurrency,
+    paidBy: "",
+    split: DEFAULT_SPLIT,
   });
+  // 記住上一次記帳的幣別 (例如在日本連續記日幣) 與付款人
+  const [lastExpenseCurrency, setLastExpenseCurrency] = useState(null);
+  const [lastPaidBy, setLastPaidBy] = useState(null);
+  // 最近刪除的紀錄 (新的在最後)，依相反順序復原
+  const [deletedExpenses, setDeletedExpenses] = useState([]);
+  const [viewingReceiptId, setViewingReceiptId] = useState(null);
+  const [receiptQueue, setReceiptQueue] = useState([]);
+  const [isReceiptQueueOpen, setIsReceiptQueueOpen] = useState(false);
+  const processingQueueRef = useRef(false);
+  useEffect(() => {
+    if (deletedExpenses.length === 0) return;
+    const timer = setTimeout(() => setDeletedExpenses([]), 10000);
+    return () => clearTimeout(timer);
+  }, [deletedExpenses]);
 
   // --- Persistence Effects ---
   useEffect(() => {
-    localStorage.setItem("start_times", JSON.stringify(dayStartTimes));
+    saveTrips(trips);
+  }, [trips]);
+  useEffect(() => {
+    saveTripData(tripId, "itinerary", itinerary);
+  }, [itinerary]);
+  useEffect(() => {
+    saveTripData(tripId, "flight_info", flightInfo);
+  }, [flightInfo]);
+  useEffect(() => {
+    saveTripData(tripId, "hotel_info", hotelInfo);
+  }, [hotelInfo]);
+  useEffect(() => {
+    saveTripData(tripId, "start_times", dayStartTimes);
   }, [dayStartTimes]);
   useEffect(() => {
-    localStorage.setItem("departures", JSON.stringify(actualDepartures));
+    saveTripData(tripId, "departures", actualDepartures);
   }, [actualDepartures]);
   useEffect(() => {
-    localStorage.setItem("stays", JSON.stringify(stays));
+    saveTripData(tripId, "stays", stays);
   }, [stays]);
   useEffect(() => {
-    localStorage.setItem("modes", JSON.stringify(transportModes));
+    saveTripData(tripId, "modes", transportModes);
   }, [transportModes]);
   useEffect(() => {
-    localStorage.setItem("expenses", JSON.stringify(expenses));
+    saveTripData(tripId, "expenses", expenses);
   }, [expenses]);
   useEffect(() => {
-    localStorage.setItem("spot_tickets", JSON.stringify(spotTicketCounts));
+    saveTripData(tripId, "spot_tickets", spotTicketCounts);
   }, [spotTicketCounts]);
+  useEffect(() => {
+    saveTripData(tripId, "participants", participants);
+  }, [participants]);
+  useEffect(() => {
+    saveTripData(tripId, "party", party);
+  }, [party]);
+  useEffect(() => {
+    saveTripData(tripId, "filter_presets", filterPresets);
+  }, [filterPresets]);
+  useEffect(() => {
+    saveTripData(tripId, "budgets", budgets);
+  }, [budgets]);
   useEffect(() => {
     localStorage.setItem("themeIndex", currentThemeIndex);
     if (window.THEMES && window.THEMES[currentThemeIndex])
       document.body.className = `theme-${window.THEMES[currentThemeIndex].name}`;
   }, [currentThemeIndex]);
+  useEffect(() => {
+    localStorage.setItem("travel_settings", JSON.stringify(travelSettings));
+  }, [travelSettings]);
+  useEffect(() => {
+    localStorage.setItem("route_cache", JSON.stringify(routeCache));
+  }, [routeCache]);
+  useEffect(() => {
+    localStorage.setItem("weather_cache", JSON.stringify(weatherCache));
+  }, [weatherCache]);
+  useEffect(() => {
+    localStorage.setItem("exchange_rates", JSON.stringify(rateTable));
+  }, [rateTable]);
+  useEffect(() => {
+    localStorage.setItem("rate_settings", JSON.stringify(rateSettings));
+  }, [rateSettings]);
+  useEffect(() => {
+    refreshReceiptQueue();
+    if (!("serviceWorker" in navigator)) return;
+    const handleMessage = (e) => {
+      if (e.data && e.data.type === "receipt-queue-sync") processReceiptQueue();
+    };
+    navigator.serviceWorker.addEventListener("message", handleMessage);
+    return () =>
+      navigator.serviceWorker.removeEventListener("message", handleMessage);
+  }, []);
+  useEffect(() => {
+    if (isOnline) processReceiptQueue();
+  }, [isOnline]);
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+  useEffect(() => {
+    localStorage.setItem("live_settings", JSON.stringify(liveSettings));
+  }, [liveSettings]);
+  useEffect(() => {
+    if (!liveSettings.enabled) return;
+    setNow(new Date());
+    const timer = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(timer);
+  }, [liveSettings.enabled]);
   useEffect(() => {
     if (window.emailjs) window.emailjs.init("mYOFMMnqLdDxR0wjj");
   }, []);
 
-  // --- Currency Fetch ---
+  // --- Route Fetch (有設定路線服務時，逐段查詢尚未快取的路線) ---
   useEffect(() => {
-    const fetchRate = async () => {
-      if (selectedCurrency.code === "TWD") {
-        setExchangeRate(1);
-        return;
-      }
-      setIsRateLoading(true);
-      try {
-        const res = await generateGeminiContent(
-          `1 TWD to ${selectedCurrency.code} rate? number only`,
-          null,
-          true
+    if (!travelSettings.routingUrl) return;
+    const legs = [];
+    itinerary.forEach((day) =>
+      day.spots.forEach((spot, idx) => {
+        const next = day.spots[idx + 1];
+        if (!next) return;
+        const profile = getModeProfile(
+          transportModes[spot.id] || "car",
+          travelProfiles
         );
-        const matches = res.match(/[\d.]+/g);
-        const rate = matches ? parseFloat(matches[matches.length - 1]) : 1;
-        setExchangeRate(rate);
-      } catch (e) {
-        setExchangeRate(1);
+        if (!profile.osrmProfile) return;
+        const key = routeCacheKey(profile.osrmProfile, spot, next);
+        if (routeCache[key] || failedRoutesRef.current.has(key)) return;
+        legs.push({
+          key,
+          osrmProfile: profile.osrmProfile,
+          from: spot,
+          to: next,
+        });
+      })
+    );
+    if (legs.length === 0) return;
+    let cancelled = false;
+    const fetchLegs = async () => {
+      for (const leg of legs) {
+        if (cancelled) return;
+        try {
+          const route = await fetchRoute(
+            travelSettings.routingUrl,
+            leg.osrmProfile,
+            leg.from,
+            leg.to
+          );
+          if (!cancelled) setRouteCache((p) => ({ ...p, [leg.key]: route }));
+        } catch (e) {
+          // 查詢失敗 (離線、服務不支援該 profile) 就沿用估算值，本次不再重試
+          failedRoutesRef.current.add(leg.key);
+        }
+      }
+    };
+    fetchLegs();
+    return () => {
+      cancelled = true;
+    };
+  }, [itinerary, transportModes, travelProfiles, travelSettings.routingUrl]);
+
+  // --- Weather Fetch (有日期的天，逐一抓取景點當天的逐時預報) ---
+  // 恢復連線時重試離線期間失敗的預報 (需在下方抓取的 effect 之前執行)
+  useEffect(() => {
+    if (isOnline) failedWeatherRef.current.clear();
+  }, [isOnline]);
+  useEffect(() => {
+    const provider =
+      WEATHER_PROVIDERS[travelSettings.weatherProvider || "open-meteo"];
+    if (!provider) return;
+    const todayIso = toLocalIsoDate(new Date());
+    const requests = {};
+    itinerary.forEach((day) => {
+      if (!day.isoDate) return;
+      if (!isInForecastRange(provider, day.isoDate, todayIso)) return;
+      day.spots.forEach((spot) => {
+        const key = weatherCacheKey(spot, day.isoDate);
+        const cached = weatherCache[key];
+        const isStale =
+          cached && Date.now() - cached.fetchedAt > WEATHER_CACHE_TTL;
+        if (cached && !(isStale && isOnline)) return;
+        if (failedWeatherRef.current.has(key)) return;
+        requests[key] = { lat: spot.lat, lon: spot.lon, isoDate: day.isoDate };
+      });
+    });
+    const entries = Object.entries(requests);
+    if (entries.length === 0) return;
+    let cancelled = false;
+    const fetchAll = async () => {
+      for (const [key, req] of entries) {
+        if (cancelled) return;
+        try {
+          const forecast = await provider.fetchDay({
+            ...req,
+            baseUrl: travelSettings.weatherUrl,
+          });
+          if (!cancelled)
+            setWeatherCache((p) =>
+              pruneWeatherCache({
+                ...p,
+                [key]: { ...forecast, fetchedAt: Date.now() },
+              })
+            );
+        } catch (e) {
+          // 超出預報範圍或離線時保留舊快取，本次不再重試
+          failedWeatherRef.current.add(key);
+        }
       }
-      setIsRateLoading(false);
     };
-    fetchRate();
-  }, [selectedCurrency]);
+    fetchAll();
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    itinerary,
+    travelSettings.weatherProvider,
+    travelSettings.weatherUrl,
+    weatherRefreshKey,
+    isOnline,
+  ]);
+
+  // 顯示用匯率 (基準 → 選擇的幣別)；沒有匯率時改以基準幣別顯示，不用 1 硬換
+  const today = toLocalIsoDate(new Date());
+  const displayRate = findRate(
+    rateTable,
+    baseCurrency,
+    selectedCurrency.code,
+    today,
+    rateSettings.overrides
+  );
+  const displayCurrency = displayRate
+    ? selectedCurrency
+    : getCurrency(baseCurrency);
+  const exchangeRate = displayRate ? displayRate.rate : 1;
+  const isDisplayRateStale = isRateStale(displayRate, today);
 
   // --- 核心運算：行程瀑布流 ---
+  // plannedTime 為不含實際出發紀錄的原訂時間，用來計算延誤
   const tripData = useMemo(() => {
-    return window.RAW_KML_DATA.map((day) => {
-      let currentMinutes = timeToMinutes(dayStartTimes[day.dayId] || "09:00");
-      const newSpots = day.spots.map((spot, idx) => {
-        const spotId = `${day.dayId}-s${idx}`;
-        const stayStr = stays[spotId] || "1.5 hr";
-        const stayMinutes = parseStayDuration(stayStr);
-        const arrivalTimeStr = minutesToTimeStr(currentMinutes);
-        let departureMinutes;
-        let isDeparted = false;
-        let actualDepTime = null;
-        if (actualDepartures[spotId]) {
-          actualDepTime = actualDepartures[spotId];
-          departureMinutes = timeToMinutes(actualDepTime);
-          isDeparted = true;
-        } else {
-          departureMinutes = currentMinutes + stayMinutes;
-        }
-        let nextStopInfo = null;
-        let nextArrivalTimeStr = "";
-        if (idx < day.spots.length - 1) {
-          const nextSpot = day.spots[idx + 1];
-          const dist = getDistanceFromLatLonInKm(
-            spot.lat,
-            spot.lon,
-            nextSpot.lat,
-            nextSpot.lon
-          );
-          const mode = transportModes[spotId] || "car";
-          const speed = mode === "car" ? 40 : 4;
-          let travelMinutes = Math.round((dist / speed) * 60);
-          if (mode === "car") travelMinutes += 10;
-          currentMinutes = departureMinutes + travelMinutes;
-          nextArrivalTimeStr = minutesToTimeStr(currentMinutes);
-          nextStopInfo = {
-            name: nextSpot.name,
-            distance: `${dist} km`,
-            driveTime: Math.round((dist / 40) * 60 + 10) + "m",
-            walkTime: Math.round((dist / 4) * 60) + "m",
-            navLink: `https://www.google.com/maps/dir/?api=1&origin=${
-              spot.lat
-            },${spot.lon}&destination=${nextSpot.lat},${
-              nextSpot.lon
-            }&travelmode=${mode === "car" ? "driving" : "walking"}`,
-          };
-        }
-        return {
-          ...spot,
-          id: spotId,
-          time: arrivalTimeStr,
-          stay: stayStr,
-          isDeparted,
-          actualDepTime,
-          nextStop: nextStopInfo,
-          nextArrivalTime: nextArrivalTimeStr,
-          mapcodeDisplay: spot.mapCode || "GPS",
-          gmapLink: `https://www.google.com/maps/search/?api=1&query=${spot.lat},${spot.lon}`,
-          weather: "sunny",
-          temp: "10°C",
-          ticket: spot.ticket || null,
-        };
+    return itinerary.map((day, dayIdx) => {
+      const ctx = {
+        startTime: dayStartTimes[day.dayId],
+        stays,
+        actualDepartures,
+        transportModes,
+        travelProfiles,
+        routeCache,
+        weatherCache:
+          travelSettings.weatherProvider === "off" ? null : weatherCache,
+      };
+      const planned = computeDaySchedule(day, {
+        ...ctx,
+        actualDepartures: {},
+      });
+      const spots = computeDaySchedule(day, {
+        ...ctx,
+        nowMinutes:
+          liveSettings.enabled && day.dayId === liveDayId
+            ? nowMinutes
+            : undefined,
       });
-      return { ...day, spots: newSpots };
+      return {
+        ...day,
+        dayNumber: dayIdx + 1,
+        spots: spots.map((spot, idx) => ({
+          ...spot,
+          plannedTime: planned[idx].time,
+          plannedArrivalMinutes: planned[idx].arrivalMinutes,
+        })),
+      };
     });
-  }, [dayStartTimes, actualDepartures, stays, transportModes]);
+  }, [
+    itinerary,
+    dayStartTimes,
+    actualDepartures,
+    stays,
+    transportModes,
+    travelProfiles,
+    routeCache,
+    weatherCache,
+    travelSettings.weatherProvider,
+    liveSettings.enabled,
+    liveDayId,
+    nowMinutes,
+  ]);
 
   // --- 統計數據計算 ---
+  // 金額一律換算成行程的基準幣別 (totalBase)
+  const currencyContext = {
+    baseCurrency,
+    rateTable,
+    rateOverrides: rateSettings.overrides,
+  };
+  const ticketContext = { counts: spotTicketCounts, party, participants };
+  const expenseLines = useMemo(
+    () =>
+      collectExpenseLines(tripData, expenses, ticketContext, currencyContext),
+    [
+      tripData,
+      expenses,
+      spotTicketCounts,
+      party,
+      participants,
+      baseCurrency,
+      rateTable,
+      rateSettings.overrides,
+    ]
+  );
+
+  // --- Exchange Rates (今天 + 每筆外幣消費的日期；未來的日期先用今天的匯率) ---
+  const rateDates = useMemo(() => {
+    const dates = new Set([today]);
+    expenseLines.forEach((line) => {
+      if (line.currency !== baseCurrency)
+        dates.add(line.spendDate > today ? today : line.spendDate);
+    });
+    return [...dates].sort().join(",");
+  }, [expenseLines, baseCurrency, today]);
+  // isCancelled：由 effect 呼叫時，切換行程 (App 重新掛載) 或條件改變後不再寫回 state
+  const fetchRatesForDates = async (
+    dates,
+    { force = false, isCancelled = () => false } = {}
+  ) => {
+    const provider = RATE_PROVIDERS[rateSettings.provider];
+    if (!provider) return;
+    const pending = dates.filter((date) => {
+      if (force) return true;
+      if (failedRatesRef.current.has(date)) return false;
+      const entry = rateTable[date];
+      if (!entry) return true;
+      return (
+        date === today && isOnline && Date.now() - entry.fetchedAt > RATE_TTL
+      );
+    });
+    // 前一次被取消的查詢可能沒來得及關掉讀取狀態
+    if (pending.length === 0) return setIsRateLoading(false);
+    setIsRateLoading(true);
+    for (const date of pending) {
+      if (isCancelled()) return;
+      try {
+        const result = await provider.fetchRates({
+          baseUrl: rateSettings.url,
+          isoDate: date === today ? "latest" : date,
+        });
+        if (isCancelled()) return;
+        setRateTable((p) => ({
+          ...p,
+          [date]: {
+            ...result,
+            fetchedAt: Date.now(),
+            source: rateSettings.provider,
+          },
+        }));
+        failedRatesRef.current.delete(date);
+      } catch (e) {
+        // 離線或服務沒有該日期：保留舊快取 (畫面會標示過期)，恢復連線時再試
+        failedRatesRef.current.add(date);
+      }
+    }
+    if (!isCancelled()) setIsRateLoading(false);
+  };
+  useEffect(() => {
+    if (isOnline) failedRatesRef.current.clear();
+    let cancelled = false;
+    fetchRatesForDates(rateDates.split(","), { isCancelled: () => cancelled });
+    return () => {
+      cancelled = true;
+    };
+  }, [rateDates, rateSettings.provider, rateSettings.url, isOnline]);
+  // 換匯率來源時清掉舊報價，避免混用兩個來源的匯率
+  const handleChangeRateSettings = (next) => {
+    if (
+      next.provider !== rateSettings.provider ||
+      next.url !== rateSettings.url
+    ) {
+      failedRatesRef.current.clear();
+      setRateTable({});
+    }
+    setRateSettings(next);
+  };
   const dailyStats = useMemo(() => {
     return tripData.map((d) => {
-      let dayTotal = 0;
-      d.spots.forEach((spot) => {
-        const spotExpenses = expenses[spot.id] || [];
-        spotExpenses.forEach((e) => (dayTotal += e.amount || 0));
-        if (spot.ticket) {
-          const counts = spotTicketCounts[spot.id] || { adult: 2, child: 2 };
-          dayTotal +=
-            spot.ticket.adult * counts.adult + spot.ticket.child * counts.child;
-        }
-      });
-      return { ...d, totalTwd: dayTotal };
+      const lines = expenseLines.filter((line) => line.dayId === d.dayId);
+      return {
+        ...d,
+        totalBase: sumBaseAmount(lines),
+        byCategory: sumByCategory(lines),
+      };
+    });
+  }, [tripData, expenseLines]);
+  const spotTotals = useMemo(() => {
+    const totals = {};
+    expenseLines.forEach((line) => {
+      totals[line.spotId] = (totals[line.spotId] || 0) + (line.baseAmount || 0);
     });
-  }, [tripData, expenses, spotTicketCounts]);
+    return totals;
+  }, [expenseLines]);
   const stats = {
-    totalJpy: dailyStats.reduce((sum, d) => sum + d.totalTwd, 0),
+    totalBase: sumBaseAmount(expenseLines),
+    byCategory: sumByCategory(expenseLines),
+    // 整趟行程帳本不屬於任何一天，每日加總 + 這筆 = 總額
+    tripLedgerBase: spotTotals[TRIP_LEDGER_ID] || 0,
+    missingRateCount: expenseLines.filter((line) => line.baseAmount === null)
+      .length,
   };
+  // 景點卡片上的「今日預算剩餘」：依行程順序扣掉到這個景點為止的花費 (含當日雜支)
+  const budgetRemaining = useMemo(() => {
+    const remaining = {};
+    tripData.forEach((day) => {
+      if (!(budgets.days[day.dayId] > 0)) return;
+      // 當日雜支沒有發生的景點，先從當天預算扣掉
+      let left =
+        budgets.days[day.dayId] - (spotTotals[dayLedgerId(day.dayId)] || 0);
+      day.spots.forEach((spot) => {
+        left -= spotTotals[spot.id] || 0;
+        remaining[spot.id] = left;
+      });
+    });
+    return remaining;
+  }, [tripData, budgets, spotTotals]);
+  const settlement = useMemo(() => {
+    const result = computeBalances(expenseLines, participants);
+    return {
+      ...result,
+      transfers: settleUp(result.balances, currencyDecimals(baseCurrency)),
+    };
+  }, [expenseLines, participants, baseCurrency]);
 
   // --- Handlers ---
   const handleDayStartTimeChange = (id, val) =>
     setDayStartTimes((p) => ({ ...p, [id]: val }));
   const handleStayChangeNew = (id, val) =>
     setStays((p) => ({ ...p, [id]: val }));
-  const handleTransportToggle = (id) =>
-    setTransportModes((p) => ({
-      ...p,
-      [id]: p[id] === "walk" ? "car" : "walk",
-    }));
+  const handleTransportChange = (id, mode) =>
+    setTransportModes((p) => ({ ...p, [id]: mode }));
   const handleDepartureToggle = (id) =>
     setActualDepartures((p) => {
       const newState = { ...p };
@@ -1795,37 +8940,245 @@ function App() {
       }
       return newState;
     });
-  const getTicketCounts = (id) =>
-    spotTicketCounts[id] || { adult: 2, child: 2 };
-  const updateSpotTicketCount = (id, type, delta) =>
+  // 張數預設依同行旅客；按 +/- 後整組寫入 spot_tickets，之後不再跟著旅客變動
+  const getTicketCounts = (spot) =>
+    resolveTicketCounts(
+      spot.ticket || {},
+      spotTicketCounts[spot.id],
+      party,
+      participants
+    );
+  const updateSpotTicketCount = (spot, tier, delta) => {
+    const current = getTicketCounts(spot);
+    const tierCounts = Object.fromEntries(
+      TICKET_TIERS.map((t) => [t.id, current[t.id] || 0])
+    );
     setSpotTicketCounts((p) => ({
       ...p,
-      [id]: {
-        ...(p[id] || { adult: 2, child: 2 }),
-        [type]: Math.max(0, (p[id]?.[type] || 2) + delta),
+      [spot.id]: {
+        ...p[spot.id],
+        ...tierCounts,
+        [tier]: Math.max(0, tierCounts[tier] + delta),
       },
     }));
+  };
+  const resetSpotTicketCounts = (id) =>
+    setSpotTicketCounts((p) => {
+      const { [id]: stored, ...rest } = p;
+      return stored?.paidBy
+        ? { ...rest, [id]: { paidBy: stored.paidBy } }
+        : rest;
+    });
+  const setSpotTicketPayer = (id, paidBy) =>
+    setSpotTicketCounts((p) => ({
+      ...p,
+      [id]: { ...p[id], paidBy },
+    }));
+
+  // --- 行程庫 ---
+  const handleCreateTrip = (name) => {
+    const id = createId("trip");
+    saveTripData(id, "itinerary", createBlankItinerary());
+    saveTripData(id, "flight_info", { outbound: {}, inbound: {} });
+    saveTripData(id, "hotel_info", []);
+    saveTrips([...trips, { id, name, createdAt: Date.now(), archived: false }]);
+    onSwitchTrip(id);
+  };
+  const handleDuplicateTrip = (sourceId) => {
+    const source = trips.find((t) => t.id === sourceId);
+    const id = createId("trip");
+    TRIP_DATA_KEYS.forEach((key) => {
+      const raw = localStorage.getItem(tripKey(sourceId, key));
+      if (raw !== null) localStorage.setItem(tripKey(id, key), raw);
+    });
+    setTrips([
+      ...trips,
+      {
+        id,
+        name: `${source.name} (複製)`,
+        createdAt: Date.now(),
+        archived: false,
+      },
+    ]);
+  };
+  const handleRenameTrip = (id, name) =>
+    setTrips((p) => p.map((t) => (t.id === id ? { ...t, name } : t)));
+  // 未標示幣別的門票先補上舊的基準幣別，切換後金額意義不變。
+  // 預算以基準幣別記錄，用今天的匯率換算；查不到匯率時確認後清除
+  const handleChangeBaseCurrency = (code) => {
+    if (code === baseCurrency) return;
+    const hasBudgets =
+      budgets.total > 0 ||
+      Object.values(budgets.days).some((v) => v > 0) ||
+      Object.values(budgets.categories).some((v) => v > 0);
+    if (hasBudgets) {
+      const found = findRate(
+        rateTable,
+        baseCurrency,
+        code,
+        today,
+        rateSettings.overrides
+      );
+      if (found) {
+        const convert = (v) => (v > 0 ? roundAmount(v * found.rate, code) : v);
+        setBudgets({
+          total: convert(budgets.total),
+          days: Object.fromEntries(
+            Object.entries(budgets.days).map(([k, v]) => [k, convert(v)])
+          ),
+          categories: Object.fromEntries(
+            Object.entries(budgets.categories).map(([k, v]) => [k, convert(v)])
+          ),
+        });
+      } else if (
+        window.confirm(
+          `找不到 ${baseCurrency} → ${code} 的匯率，無法換算預算。切換後會清除目前設定的預算，確定要切換嗎？`
+        )
+      )
+        setBudgets(EMPTY_BUDGETS);
+      else return;
+    }
+    setItinerary((days) =>
+      days.map((day) => ({
+        ...day,
+        spots: day.spots.map((spot) =>
+          spot.ticket && !spot.ticket.currency
+            ? { ...spot, ticket: { ...spot.ticket, currency: baseCurrency } }
+            : spot
+        ),
+      }))
+    );
+    setTrips((p) =>
+      p.map((t) => (t.id === tripId ? { ...t, baseCurrency: code } : t))
+    );
+  };
+  const handleToggleArchiveTrip = (id) =>
+    setTrips((p) =>
+      p.map((t) => (t.id === id ? { ...t, archived: !t.archived } : t))
+    );
+
+  // 取代整份行程：沿用對得上的景點 / 天數 ID，其餘舊 ID 的資料在確認後清掉。取消時回傳 false
+  const replaceItinerary = (days) => {
+    const plan = carryOverItineraryIds(itinerary, ensureItineraryIds(days));
+    const removedIds = [
+      ...plan.removedSpotIds,
+      ...plan.removedDayIds.map(dayLedgerId),
+    ];
+    const records = removedIds.reduce(
+      (sum, id) => sum + (expenses[id] || []).length,
+      0
+    );
+    if (
+      records > 0 &&
+      !window.confirm(
+        `新行程對不上原有的 ${plan.removedSpotIds.length} 個景點與 ${plan.removedDayIds.length} 天，相關的 ${records} 筆消費紀錄會一併刪除。確定要取代目前的行程嗎？`
+      )
+    )
+      return false;
+    setItinerary(plan.days);
+    handleSpotsRemoved(removedIds);
+    setDayStartTimes((p) => {
+      const next = { ...p };
+      plan.removedDayIds.forEach((id) => delete next[id]);
+      return next;
+    });
+    setSelectedDay("all");
+    return true;
+  };
+  const handleImportItinerary = (days) => replaceItinerary(days);
+  const handleResetItinerary = () => replaceItinerary(window.RAW_KML_DATA);
+  const handleItineraryChange = (days) => {
+    setItinerary(days);
+    if (selectedDay !== "all" && !days.some((d) => d.dayId === selectedDay))
+      setSelectedDay("all");
+  };
+  const handleOptimizeDay = (dayId) => {
+    const day = itinerary.find((d) => d.dayId === dayId);
+    return optimizeDayRoute(day, {
+      startTime: dayStartTimes[dayId],
+      stays,
+      actualDepartures,
+      transportModes,
+      travelProfiles,
+      routeCache,
+    });
+  };
+  // 依 ID 重排目前的景點，不用建議產生當下的景點資料覆蓋；不在清單內的景點維持在最後
+  const handleApplyDayOrder = (dayId, spotIds) =>
+    setItinerary(
+      itinerary.map((d) => {
+        if (d.dayId !== dayId) return d;
+        const ordered = spotIds
+          .map((id) => d.spots.find((s) => s.id === id))
+          .filter(Boolean);
+        const rest = d.spots.filter((s) => !spotIds.includes(s.id));
+        return { ...d, spots: [...ordered, ...rest] };
+      })
+    );
+  // 景點被刪除時一併清掉以其 ID 為 key 的資料
+  const handleSpotsRemoved = (spotIds) => {
+    const omit = (obj) => {
+      const next = { ...obj };
+      spotIds.forEach((id) => delete next[id]);
+      return next;
+    };
+    setExpenses(omit);
+    setStays(omit);
+    setTransportModes(omit);
+    setActualDepartures(omit);
+    setSpotTicketCounts(omit);
+  };
 
   const openExpenseModal = (spot) => {
     setCurrentEditingSpot(spot);
-    setExpenseForm({ category: "food", amount: "", note: "" });
+    setExpenseForm({
+      category: "food",
+      amount: "",
+      note: "",
+      currency: lastExpenseCurrency || baseCurrency,
+      paidBy: participants.some((p) => p.id === lastPaidBy)
+        ? lastPaidBy
+        : participants[0]?.id || "",
+      split: DEFAULT_SPLIT,
+    });
     setPendingReceipts([]);
     setIsModalOpen(true);
   };
-  const saveExpense = () => {
+  const saveExpense = async () => {
     const newRecs = [];
+    const receiptsToSave = [];
     const timestamp = Date.now();
+    // 有成員時才記錄付款人與分攤；指定金額只適用於手動輸入的這一筆
+    const split = expenseForm.split || DEFAULT_SPLIT;
+    const splitFields =
+      participants.length > 0
+        ? { paidBy: expenseForm.paidBy || null, split }
+        : {};
+    const formAmount = parseAmount(expenseForm.amount, expenseForm.currency);
     if (expenseForm.amount) {
+      if (split.type === "exact" && participants.length > 0) {
+        const exactSum = participants
+          .filter((p) => !(split.excluded || []).includes(p.id))
+          .reduce((sum, p) => sum + (split.amounts?.[p.id] || 0), 0);
+        if (Math.abs(exactSum - formAmount) >= 0.01) {
+          alert(
+            `指定金額合計 ${exactSum}，與消費金額 ${expenseForm.amount} 不符`
+          );
+          return;
+        }
+      }
       newRecs.push({
         id: timestamp,
         timestamp: timestamp,
-        amount: parseInt(expenseForm.amount),
+        amount: formAmount,
         note: expenseForm.note || "手動記帳",
-        category: "food",
+        category: expenseForm.category,
+        currency: expenseForm.currency,
+        ...splitFields,
       });
     }
     pendingReceipts.forEach((p, idx) => {
-      if (p.isChecked && !p.isAnalyzing) {
+      if (p.isChecked && !p.isAnalyzing && !p.isQueued) {
         let recordTime = timestamp + idx + 1;
         if (p.note && p.note.match(/^\d{4}\/\d{2}\/\d{2}/)) {
           const aiDate = new Date(
@@ -1833,16 +9186,135 @@ function App() {
           );
           if (!isNaN(aiDate.getTime())) recordTime = aiDate.getTime();
         }
-        newRecs.push({
-          id: timestamp + idx + 100,
-          timestamp: recordTime,
-          amount: parseInt(p.amount),
-          note: p.note,
-          category: "food",
-        });
+        let receiptId;
+        if (p.image) {
+          receiptId = createId("receipt");
+          receiptsToSave.push({
+            id: receiptId,
+            tripId,
+            image: p.image,
+            thumb: p.thumb,
+            size: Math.round((p.image.length * 3) / 4),
+            createdAt: timestamp,
+          });
+        }
+        const receiptSplitFields =
+          split.type === "exact"
+            ? {
+                ...splitFields,
+                split: { ...DEFAULT_SPLIT, excluded: split.excluded },
+              }
+            : splitFields;
+        // 指定給成員的明細只由該成員分攤
+        const assignSplitFields = (assign) =>
+          participants.some((m) => m.id === assign)
+            ? {
+                ...splitFields,
+                split: {
+                  ...DEFAULT_SPLIT,
+                  excluded: participants
+                    .filter((m) => m.id !== assign)
+                    .map((m) => m.id),
+                },
+              }
+            : receiptSplitFields;
+        const receiptCurrency = p.currency || expenseForm.currency;
+        splitReceiptItems({
+          ...p,
+          currency: receiptCurrency,
+          amount: parseAmount(p.amount, receiptCurrency),
+        }).forEach((part, partIdx) =>
+          newRecs.push({
+            id: timestamp + idx * 100 + 100 + partIdx,
+            ...(receiptId ? { receiptId } : {}),
+            timestamp: recordTime,
+            amount: part.amount,
+            note: part.note,
+            category: normalizeCategory(p.category),
+            currency: receiptCurrency,
+            ...(p.items
+              ? {
+                  items: part.items.map(({ assign, ...item }) => item),
+                  // 整張收據的稅與服務費只記在第一筆，拆出去的金額已含分攤
+                  ...(partIdx === 0
+                    ? { tax: p.tax, serviceCharge: p.serviceCharge }
+                    : {}),
+                  paymentMethod: p.paymentMethod,
+                }
+              : {}),
+            ...assignSplitFields(part.assign),
+          })
+        );
       }
     });
     if (newRecs.length > 0) {
+      const day = withLedgers(tripData).find((d) =>
+        d.spots.some((spot) => spot.id === currentEditingSpot.id)
+      );
+      const newLines = newRecs.map((r) => {
+        const found = findRate(
+          rateTable,
+          r.currency,
+          baseCurrency,
+          toLocalIsoDate(new Date(r.timestamp)),
+          rateSettings.overrides
+        );
+        return {
+          dayId: day && day.dayId,
+          category: r.category,
+          baseAmount: found ? r.amount * found.rate : null,
+        };
+      });
+      const overruns = findBudgetOverruns(
+        budgets,
+        expenseLines,
+        newLines,
+        tripData
+      );
+      if (
+        overruns.length > 0 &&
+        !window.confirm(
+          `這筆消費會超出預算：\n${overruns
+            .map(
+              (o) =>
+                `${o.label}：${formatMoney(
+                  o.spent,
+                  baseCurrency
+                )} / ${formatMoney(o.budget, baseCurrency)}`
+            )
+            .join("\n")}\n\n仍要儲存嗎？`
+        )
+      )
+        return;
+      const confirmedQueueIds = pendingReceipts
+        .filter((p) => p.isChecked && p.queueId)
+        .map((p) => p.queueId);
+      // 先移出佇列再記帳；移除失敗就不儲存並取消勾選，避免同一張收據之後又被確認一次
+      if (confirmedQueueIds.length > 0) {
+        try {
+          await removeQueuedReceipts(confirmedQueueIds);
+        } catch (e) {
+          setPendingReceipts((prev) =>
+            prev.map((p) =>
+              confirmedQueueIds.includes(p.queueId)
+                ? { ...p, isChecked: false }
+                : p
+            )
+          );
+          alert(
+            "無法將收據移出待辨識佇列，這次沒有儲存。已取消勾選這些收據，可先儲存其他項目。"
+          );
+          return;
+        }
+        refreshReceiptQueue();
+      }
+      receiptsToSave.forEach((receipt) =>
+        saveReceiptImage(receipt).catch(() =>
+          alert("收據照片儲存失敗，可能是瀏覽器空間不足")
+        )
+      );
+      setLastExpenseCurrency(expenseForm.currency);
+      if (expenseForm.paidBy) setLastPaidBy(expenseForm.paidBy);
       setExpenses((p) => ({
         ...p,
         [currentEditingSpot.id]: [
@@ -1853,8 +9325,58 @@ function App() {
       setIsModalOpen(false);
     }
   };
-  const deleteExpense = (sid, rid) =>
+  // 刪除後保留最近幾筆，可從畫面下方的提示逐筆復原 (最後一次刪除後 10 秒內)
+  const deleteExpense = (sid, rid) => {
+    const index = (expenses[sid] || []).findIndex((r) => r.id === rid);
+    if (index < 0) return;
+    setDeletedExpenses((p) => [
+      ...p.slice(-(UNDO_DELETE_LIMIT - 1)),
+      { spotId: sid, record: expenses[sid][index], index },
+    ]);
     setExpenses((p) => ({ ...p, [sid]: p[sid].filter((r) => r.id !== rid) }));
+  };
+  const undoDeleteExpense = () => {
+    const last = deletedExpenses[deletedExpenses.length - 1];
+    if (!last) return;
+    const { spotId, record, index } = last;
+    setExpenses((p) => {
+      const records = [...(p[spotId] || [])];
+      records.splice(index, 0, record);
+      return { ...p, [spotId]: records };
+    });
+    setDeletedExpenses((p) => p.slice(0, -1));
+  };
+  // 修改既有消費；targetSpotId 不同時把紀錄搬到另一個景點
+  const updateExpense = (sid, rid, patch, targetSpotId = sid) =>
+    setExpenses((p) => {
+      const record = (p[sid] || []).find((r) => r.id === rid);
+      if (!record) return p;
+      const updated = applyExpenseEdit(record, patch, {
+        from: sid,
+        to: targetSpotId,
+      });
+      if (targetSpotId === sid)
+        return {
+          ...p,
+          [sid]: p[sid].map((r) => (r.id === rid ? updated : r)),
+        };
+      return {
+        ...p,
+        [sid]: p[sid].filter((r) => r.id !== rid),
+        [targetSpotId]: [...(p[targetSpotId] || []), updated],
+      };
+    });
+  const spotOptions = useMemo(
+    () =>
+      withLedgers(tripData).flatMap((day) =>
+        day.spots.map((spot) => ({
+          id: spot.id,
+          name: spot.name,
+          dayLabel: day.date,
+        }))
+      ),
+    [tripData]
+  );
 
   const handleOpenEmailClick = () => {
     setEmailInput(localStorage.getItem("user_email") || "");
@@ -1864,6 +9386,31 @@ function App() {
     setSelectedDailyStats(dayData);
     setIsDailyDetailOpen(true);
   };
+  const buildReport = (lines = expenseLines, filterLabel = "") =>
+    buildExpenseReport(tripData, lines, {
+      tripName: currentTrip.name || "旅程",
+      baseCurrency,
+      display: { code: displayCurrency.code, rate: exchangeRate },
+      participants,
+      filterLabel,
+    });
+  // lines / filterLabel 來自明細彈窗的篩選結果；未指定時匯出全部
+  const handleDownloadReport = (format, lines, filterLabel) => {
+    const report = buildReport(lines, filterLabel);
+    const stamp = `${toLocalIsoDate(new Date())}${filterLabel ? "-篩選" : ""}`;
+    if (format === "csv")
+      downloadFile(
+        `${report.tripName}-花費-${stamp}.csv`,
+        buildExpenseCsv(report),
+        "text/csv;charset=utf-8"
+      );
+    else
+      downloadFile(
+        `${report.tripName}-花費-${stamp}.html`,
+        buildExpenseReportHtml(report),
+        "text/html;charset=utf-8"
+      );
+  };
   const handleSendEmail = async () => {
     if (!emailInput) {
       alert("請輸入信箱");
@@ -1872,12 +9419,12 @@ function App() {
     setIsSendingEmail(true);
     localStorage.setItem("user_email", emailInput);
     try {
-      const htmlMessage = `<html><body><h2>旅遊報表</h2><p>總花費: ¥${stats.totalJpy}</p></body></html>`;
+      const report = buildReport();
       await window.emailjs.send("service_5yh7x6g", "template_dlbyml8", {
         email: emailInput,
         to_email: emailInput,
-        subject: "旅遊花費報表",
-        message: htmlMessage,
+        subject: `${report.tripName} 花費報表`,
+        message: buildExpenseReportHtml(report),
       });
       alert("發送成功！");
       setIsEmailModalOpen(false);
@@ -1888,6 +9435,79 @@ function App() {
     }
   };
 
+  // --- 待辨識收據佇列 ---
+  const refreshReceiptQueue = () =>
+    listQueuedReceipts()
+      .then((entries) =>
+        setReceiptQueue(entries.sort((a, b) => a.createdAt - b.createdAt))
+      )
+      .catch(() => {});
+  const processReceiptQueue = async ({ onlyId = null } = {}) => {
+    if (processingQueueRef.current || !navigator.onLine) return;
+    processingQueueRef.current = true;
+    try {
+      const entries = await listQueuedReceipts();
+      for (const entry of entries) {
+        if (entry.result) continue;
+        if (
+          onlyId
+            ? entry.id !== onlyId
+            : entry.attempts >= RECEIPT_AUTO_RETRY_LIMIT
+        )
+          continue;
+        try {
+          const receipt = await analyzeReceiptImage(entry.image);
+          await putQueuedReceipt({
+            ...entry,
+            attempts: entry.attempts + 1,
+            lastError: null,
+            result: receiptToPendingFields(receipt, entry.createdAt),
+          });
+        } catch (e) {
+          await putQueuedReceipt({
+            ...entry,
+            attempts: entry.attempts + 1,
+            lastError: describeReceiptError(e),
+          });
+        }
+      }
+    } catch (e) {
+      // 讀不到佇列 (IndexedDB 無法使用) 時略過
+    } finally {
+      processingQueueRef.current = false;
+      refreshReceiptQueue();
+    }
+  };
+  const tripReceiptQueue = receiptQueue.filter(
+    (entry) => entry.tripId === tripId
+  );
+  // 把辨識完成的收據帶回記帳彈窗確認 (景點已刪除時改記在整趟行程帳本)
+  const openQueuedReceipt = (entry) => {
+    const allSpots = withLedgers(tripData).flatMap((d) => d.spots);
+    const spot = allSpots.find((s) => s.id === entry.spotId) || allSpots[0];
+    if (!spot) return;
+    openExpenseModal(spot);
+    setPendingReceipts([
+      {
+        id: entry.id,
+        queueId: entry.id,
+        isChecked: true,
+        isAnalyzing: false,
+        image: entry.image,
+        thumb: entry.thumb,
+        currency: entry.currency,
+        ...entry.result,
+      },
+    ]);
+    setIsReceiptQueueOpen(false);
+  };
+  const removeQueuedReceipt = (entry) => {
+    if (!window.confirm("刪除這張待辨識收據？照片也會一併刪除。")) return;
+    removeQueuedReceipts([entry.id])
+      .catch(() => alert("刪除失敗，請稍後再試"))
+      .finally(refreshReceiptQueue);
+  };
+
   const handleImageUpload = async (e) => {
     const files = Array.from(e.target.files);
     if (files.length === 0) return;
@@ -1907,35 +9527,61 @@ function App() {
       return new Promise((resolve) => {
         const reader = new FileReader();
         reader.onloadend = async () => {
+          // 先壓縮留存照片，AI 辨識失敗時仍可對照
+          const [image, thumb] = await Promise.all([
+            compressImage(reader.result, RECEIPT_MAX_SIZE, 0.7),
+            compressImage(reader.result, RECEIPT_THUMB_SIZE, 0.6),
+          ]);
+          setPendingReceipts((prev) =>
+            prev.map((p) => (p.id === item.id ? { ...p, image, thumb } : p))
+          );
           try {
-            const res = await generateGeminiContent(
-              `分析這張收據的金額、店家名稱與時間。回傳 JSON: {amount: number, store: string, date: "YYYY/MM/DD HH:mm"}。如果找不到時間，date 回傳 null。`,
-              reader.result
-            );
-            const jsonMatch = res.match(/\{[\s\S]*\}/);
-            const json = JSON.parse(jsonMatch ? jsonMatch[0] : res);
+            if (!navigator.onLine) throw new Error("OFFLINE");
+            const receipt = await analyzeReceiptImage(reader.result);
             setPendingReceipts((prev) =>
-              prev.map((p) => {
-                if (p.id !== item.id) return p;
-                const displayNote =
-                  (json.date ? json.date + " " : "") +
-                  (json.store || "未命名收據");
-                return {
-                  ...p,
-                  isAnalyzing: false,
-                  amount: json.amount,
-                  note: displayNote,
-                  timestamp: json.date
-                    ? new Date(json.date).getTime()
-                    : Date.now(),
-                };
-              })
+              prev.map((p) =>
+                p.id === item.id
+                  ? {
+                      ...p,
+                      isAnalyzing: false,
+                      ...receiptToPendingFields(receipt, Date.now()),
+                    }
+                  : p
+              )
             );
           } catch (e) {
+            // 失敗的收據放進佇列，恢復連線後自動重試，不會因為關掉彈窗而遺失
+            const reason = describeReceiptError(e);
+            let note = `辨識失敗：${reason}`;
+            try {
+              await putQueuedReceipt({
+                id: createId("queued"),
+                tripId,
+                spotId: currentEditingSpot.id,
+                currency: expenseForm.currency,
+                image,
+                thumb,
+                createdAt: Date.now(),
+                attempts: e.message === "OFFLINE" ? 0 : 1,
+                lastError: reason,
+                result: null,
+              });
+              requestReceiptSync();
+              refreshReceiptQueue();
+              note = `已加入待辨識收據 (${reason})`;
+            } catch (queueError) {
+              // IndexedDB 無法使用時只能留在畫面上
+            }
             setPendingReceipts((prev) =>
               prev.map((p) =>
                 p.id === item.id
-                  ? { ...p, isAnalyzing: false, note: "辨識失敗" }
+                  ? {
+                      ...p,
+                      isAnalyzing: false,
+                      isChecked: false,
+                      isQueued: note.startsWith("已加入"),
+                      note,
+                    }
                   : p
               )
             );
@@ -1996,18 +9642,47 @@ function App() {
                 }}
               />
             </div>
-            <h1 className="font-black text-lg text-gray-800">
-              {window.RAW_KML_DATA[0].title}
-            </h1>
+            <button
+              onClick={() => setIsTripLibraryOpen(true)}
+              className="text-left"
+              title="切換行程"
+            >
+              <h1 className="font-black text-lg text-gray-800 flex items-center gap-1">
+                {currentTrip.name || itinerary[0]?.title}
+                <Icons.ChevronDown size={16} className="text-gray-400" />
+              </h1>
+            </button>
           </div>
           <div className="flex items-center gap-2">
             <CurrencySwitcher
               selectedCurrency={selectedCurrency}
-              exchangeRate={exchangeRate}
+              baseCurrency={baseCurrency}
+              exchangeRate={displayRate ? displayRate.rate : null}
+              rateInfo={displayRate}
+              isStale={isDisplayRateStale}
+              isOnline={isOnline}
+              onOpenRateSettings={() => setIsRateSettingsOpen(true)}
               isRateLoading={isRateLoading}
               setSelectedCurrency={setSelectedCurrency}
             />
 
+            {tripReceiptQueue.length > 0 && (
+              <button
+                onClick={() => setIsReceiptQueueOpen(true)}
+                className={`relative p-2 rounded-full border shadow-sm w-9 h-9 flex items-center justify-center ${
+                  tripReceiptQueue.some((entry) => entry.result)
+                    ? "bg-[#E4C2C1] border-[#E4C2C1] text-white"
+                    : "bg-white border-amber-200 text-amber-500"
+                }`}
+                title="待辨識收據"
+              >
+                <Icons.Camera size={16} />
+                <span className="absolute -top-1 -right-1 min-w-4 h-4 px-1 rounded-full bg-gray-800 text-white text-[9px] font-bold flex items-center justify-center">
+                  {tripReceiptQueue.length}
+                </span>
+              </button>
+            )}
+
             {/* NEW: 莫蘭迪粉綠圓形地圖 FAB (In Navbar) */}
             <button
               onClick={handleOpenMap}
@@ -2035,23 +9710,61 @@ function App() {
             dayStartTimes={dayStartTimes}
             handleDayStartTimeChange={handleDayStartTimeChange}
             handleDepartureToggle={handleDepartureToggle}
-            handleTransportToggle={handleTransportToggle}
+            handleTransportChange={handleTransportChange}
+            travelProfiles={travelProfiles}
+            openTravelSettings={() => setIsTravelSettingsOpen(true)}
+            openCalendarExport={() => setIsCalendarExportOpen(true)}
+            openPrintBooklet={() => setIsPrintBookletOpen(true)}
             handleStayChangeNew={handleStayChangeNew}
             openExpenseModal={openExpenseModal}
             transportModes={transportModes}
             expenses={expenses}
             getTicketCounts={getTicketCounts}
             updateSpotTicketCount={updateSpotTicketCount}
+            resetSpotTicketCounts={resetSpotTicketCounts}
+            participants={participants}
+            party={party}
+            openParticipants={() => setIsParticipantsOpen(true)}
+            setSpotTicketPayer={setSpotTicketPayer}
+            budgetRemaining={budgetRemaining}
+            spotTotals={spotTotals}
+            baseCurrency={baseCurrency}
             STAY_OPTIONS={window.STAY_OPTIONS}
+            openImportModal={() => setIsImportModalOpen(true)}
+            itinerary={itinerary}
+            setItinerary={handleItineraryChange}
+            onSpotsRemoved={handleSpotsRemoved}
+            onOptimizeDay={handleOptimizeDay}
+            onApplyDayOrder={handleApplyDayOrder}
+            liveSettings={liveSettings}
+            setLiveSettings={setLiveSettings}
+            liveDayId={liveDayId}
+            now={now}
+          />
+        )}
+        {activeTab === "info" && (
+          <InfoTab
+            flightInfo={flightInfo}
+            hotelInfo={hotelInfo}
+            setFlightInfo={setFlightInfo}
+            setHotelInfo={setHotelInfo}
           />
         )}
-        {activeTab === "info" && <InfoTab />}
         {activeTab === "stats" && (
           <StatsTab
             dailyStats={dailyStats}
+            spotTotals={spotTotals}
             stats={stats}
-            selectedCurrency={selectedCurrency}
+            selectedCurrency={displayCurrency}
             exchangeRate={exchangeRate}
+            baseCurrency={baseCurrency}
+            onChangeBaseCurrency={handleChangeBaseCurrency}
+            participants={participants}
+            settlement={settlement}
+            openParticipants={() => setIsParticipantsOpen(true)}
+            budgets={budgets}
+            openBudgets={() => setIsBudgetOpen(true)}
+            onAddTripExpense={() => openExpenseModal(TRIP_LEDGER_SPOT)}
             handleOpenDailyDetail={(d) => {
               setSelectedDailyStats(d);
               setIsDailyDetailOpen(true);
@@ -2062,8 +9775,8 @@ function App() {
         {activeTab === "guard" && (
           <GuardTab
             tripData={tripData}
-            flightInfo={window.FLIGHT_INFO}
-            hotelInfo={window.HOTEL_INFO}
+            flightInfo={flightInfo}
+            hotelInfo={hotelInfo}
             openKeyModal={setIsKeyModalOpen}
             aiLoading={aiLoading}
             setAiLoading={setAiLoading}
@@ -2120,22 +9833,163 @@ function App() {
         expenses={expenses}
         deleteExpense={deleteExpense}
         quotaStatus={quotaStatus}
+        participants={participants}
+        updateExpense={updateExpense}
+        spotOptions={spotOptions}
+        onViewReceipt={setViewingReceiptId}
         togglePendingReceipt={(id) =>
           setPendingReceipts((p) =>
             p.map((x) => (x.id === id ? { ...x, isChecked: !x.isChecked } : x))
           )
         }
+        updatePendingReceipt={(id, patch) =>
+          setPendingReceipts((p) =>
+            p.map((x) => (x.id === id ? { ...x, ...patch } : x))
+          )
+        }
         removePendingReceipt={(id) =>
           setPendingReceipts((p) => p.filter((x) => x.id !== id))
         }
         isAnalyzingReceipt={isAnalyzingReceipt}
       />
+      <KmlImportModal
+        isOpen={isImportModalOpen}
+        onClose={() => setIsImportModalOpen(false)}
+        onImport={handleImportItinerary}
+        onReset={handleResetItinerary}
+      />
+      <TripLibraryModal
+        isOpen={isTripLibraryOpen}
+        onClose={() => setIsTripLibraryOpen(false)}
+        trips={trips}
+        activeTripId={tripId}
+        onSwitch={onSwitchTrip}
+        onCreate={handleCreateTrip}
+        onDuplicate={handleDuplicateTrip}
+        onRename={handleRenameTrip}
+        onToggleArchive={handleToggleArchiveTrip}
+        onOpenBackup={() => {
+          setIsTripLibraryOpen(false);
+          setIsBackupOpen(true);
+        }}
+      />
+      <ReceiptQueueModal
+        isOpen={isReceiptQueueOpen}
+        onClose={() => setIsReceiptQueueOpen(false)}
+        entries={tripReceiptQueue}
+        spotNames={Object.fromEntries(
+          spotOptions.map((o) => [o.id, `${o.dayLabel} · ${o.name}`])
+        )}
+        isOnline={isOnline}
+        onConfirm={openQueuedReceipt}
+        onRetry={(entry) => processReceiptQueue({ onlyId: entry.id })}
+        onRemove={removeQueuedReceipt}
+      />
+      <ReceiptViewer
+        receiptId={viewingReceiptId}
+        onClose={() => setViewingReceiptId(null)}
+      />
+      {deletedExpenses.length > 0 && (
+        <div className="fixed bottom-20 left-1/2 -translate-x-1/2 z-[150] bg-gray-800 text-white text-xs font-bold rounded-full pl-4 pr-2 py-2 shadow-lg flex items-center gap-3">
+          已刪除「
+          {deletedExpenses[deletedExpenses.length - 1].record.note || "消費"}」
+          {deletedExpenses.length > 1 && ` 等 ${deletedExpenses.length} 筆`}
+          <button
+            onClick={undoDeleteExpense}
+            className="px-3 py-1 rounded-full bg-[#E4C2C1] hover:brightness-105"
+          >
+            復原
+          </button>
+        </div>
+      )}
+      <BudgetModal
+        isOpen={isBudgetOpen}
+        onClose={() => setIsBudgetOpen(false)}
+        budgets={budgets}
+        setBudgets={setBudgets}
+        days={tripData}
+        baseCurrency={baseCurrency}
+      />
+      <ParticipantsModal
+        isOpen={isParticipantsOpen}
+        onClose={() => setIsParticipantsOpen(false)}
+        participants={participants}
+        setParticipants={setParticipants}
+        party={party}
+        setParty={setParty}
+      />
+      <ExchangeRateModal
+        isOpen={isRateSettingsOpen}
+        onClose={() => setIsRateSettingsOpen(false)}
+        rateSettings={rateSettings}
+        setRateSettings={handleChangeRateSettings}
+        rateTable={rateTable}
+        baseCurrency={baseCurrency}
+        fetchRatesForDates={fetchRatesForDates}
+        isRateLoading={isRateLoading}
+        onClearRates={() => {
+          failedRatesRef.current.clear();
+          setRateTable({});
+        }}
+      />
+      <PrintBooklet
+        isOpen={isPrintBookletOpen}
+        onClose={() => setIsPrintBookletOpen(false)}
+        tripName={currentTrip.name || "旅程"}
+        tripData={tripData}
+        flightInfo={flightInfo}
+        hotelInfo={hotelInfo}
+        dailyStats={dailyStats}
+        stats={stats}
+        baseCurrency={baseCurrency}
+      />
+      <CalendarExportModal
+        isOpen={isCalendarExportOpen}
+        onClose={() => setIsCalendarExportOpen(false)}
+        tripData={tripData}
+        tripId={tripId}
+        tripName={currentTrip.name || "trip"}
+      />
+      <TravelSettingsModal
+        isOpen={isTravelSettingsOpen}
+        onClose={() => setIsTravelSettingsOpen(false)}
+        travelSettings={travelSettings}
+        setTravelSettings={(next) => {
+          if (next.routingUrl !== travelSettings.routingUrl)
+            failedRoutesRef.current.clear();
+          if (
+            next.weatherProvider !== travelSettings.weatherProvider ||
+            next.weatherUrl !== travelSettings.weatherUrl
+          )
+            failedWeatherRef.current.clear();
+          // 模擬與實際預報共用快取 key，切換來源時清空避免混用
+          if (next.weatherProvider !== travelSettings.weatherProvider)
+            setWeatherCache({});
+          setTravelSettings(next);
+        }}
+        routeCacheSize={Object.keys(routeCache).length}
+        clearRouteCache={() => {
+          failedRoutesRef.current.clear();
+          setRouteCache({});
+        }}
+        weatherCacheSize={Object.keys(weatherCache).length}
+        clearWeatherCache={() => {
+          failedWeatherRef.current.clear();
+          setWeatherCache({});
+          setWeatherRefreshKey((k) => k + 1);
+        }}
+      />
+      <BackupModal
+        isOpen={isBackupOpen}
+        onClose={() => setIsBackupOpen(false)}
+      />
       <EmailModal
         isOpen={isEmailModalOpen}
         onClose={() => setIsEmailModalOpen(false)}
         emailInput={emailInput}
         setEmailInput={setEmailInput}
         handleSendEmail={handleSendEmail}
+        onDownloadReport={handleDownloadReport}
         isSendingEmail={isSendingEmail}
       />
       <DailyDetailModal
@@ -2143,15 +9997,32 @@ function App() {
         onClose={() => setIsDailyDetailOpen(false)}
         dayData={selectedDailyStats}
         allExpenses={expenses}
-        spotTicketCounts={spotTicketCounts}
-        selectedCurrency={selectedCurrency}
+        ticketContext={ticketContext}
+        selectedCurrency={displayCurrency}
         exchangeRate={exchangeRate}
+        currencyContext={currencyContext}
         tripData={tripData}
+        onViewReceipt={setViewingReceiptId}
+        filterPresets={filterPresets}
+        setFilterPresets={setFilterPresets}
+        onExport={handleDownloadReport}
       />
     </div>
   );
 }
 
+// 以行程 ID 作為 key：切換行程時整個 App 重新掛載，各狀態從該行程的儲存區重新讀取
+function Root() {
+  const [activeTripId, setActiveTripId] = useState(ensureTripLibrary);
+  const switchTrip = (id) => {
+    localStorage.setItem("active_trip", id);
+    setActiveTripId(id);
+  };
+  return (
+    <App key={activeTripId} tripId={activeTripId} onSwitchTrip={switchTrip} />
+  );
+}
+
 const root = ReactDOM.createRoot(document.getElementById("root"));
-root.render(<App />);
+root.render(<Root />);
 
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'tokyo-trip-v1';
+const CACHE_NAME = 'tokyo-trip-v4';
 const ASSETS_TO_CACHE = [
   './',
   './index.html',
@@ -12,6 +12,8 @@ const ASSETS_TO_CACHE = [
   'https://cdn.tailwindcss.com',
   'https://cdn.jsdelivr.net/npm/marked/marked.min.js',
   'https://cdn.jsdelivr.net/npm/@emailjs/browser@3/dist/email.min.js',
+  'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js',
+  'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.min.js',
   'https://fonts.googleapis.com/css2?family=Noto+Sans+TC:wght@400;500;700;900&family=JetBrains+Mono:wght@500&display=swap'
 ];
 
@@ -46,4 +48,16 @@ self.addEventListener('activate', (event) => {
       );
     })
   );
-});
\ No newline at end of file
+});
+
+// 背景同步：恢復連線時通知開啟中的頁面重新辨識待辨識收據
+// (AI 金鑰只存在頁面的 localStorage，service worker 本身不呼叫 AI)
+self.addEventListener('sync', (event) => {
+  if (event.tag === 'receipt-queue') {
+    event.waitUntil(
+      self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+        clients.forEach((client) => client.postMessage({ type: 'receipt-queue-sync' }));
+      })
+    );
+  }
+});